@@ -0,0 +1,166 @@
+import { createHash } from 'node:crypto';
+import http from 'node:http';
+
+import {
+    ApplianceSimulator,
+    handleApplianceMessage,
+} from '../shared/components/appliance-simulator.js';
+
+// Runs one ApplianceSimulator for every window that connects, so a cook
+// started in one prototype can be watched and changed from another:
+//
+//   node scripts/applianceServer.mjs      (PORT=9000 to move it)
+//
+// then pick "Local server" in a prototype's Appliance control. Plain
+// WebSocket text frames, no dependencies.
+
+const PORT = Number(process.env.PORT) || 8787;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    text: 0x1,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa,
+};
+
+const simulator = new ApplianceSimulator();
+const sockets = new Set();
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pulls whole frames off the front of `buffer`; returns them and the rest
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        const frameLength = headerLength + maskLength + length;
+        if (buffer.length - offset < frameLength) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i += 1) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        frames.push({ opcode, payload });
+        offset += frameLength;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function sendMessage(socket, message) {
+    if (socket.writable) {
+        socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    }
+}
+
+function handleFrame(socket, { opcode, payload }) {
+    if (opcode === OPCODES.close) {
+        socket.end(encodeFrame(OPCODES.close));
+        return;
+    }
+    if (opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, payload));
+        return;
+    }
+    if (opcode !== OPCODES.text) return;
+
+    let message;
+    try {
+        message = JSON.parse(payload.toString('utf8'));
+    } catch (error) {
+        console.warn('Ignoring a message that is not JSON:', error.message);
+        return;
+    }
+    const reply = handleApplianceMessage(simulator, message);
+    if (reply) {
+        sendMessage(socket, reply);
+    }
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('This is a WebSocket server for the appliance simulator.\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        '',
+    ].join('\r\n'));
+
+    sockets.add(socket);
+    console.log(`Client connected (${sockets.size} open)`);
+    sendMessage(socket, { type: 'state', reason: 'connect', state: simulator.getState() });
+
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([buffered, chunk]));
+        buffered = rest;
+        frames.forEach((frame) => handleFrame(socket, frame));
+    });
+    socket.on('close', () => {
+        sockets.delete(socket);
+        console.log(`Client disconnected (${sockets.size} open)`);
+    });
+    socket.on('error', () => {
+        sockets.delete(socket);
+    });
+});
+
+simulator.addEventListener('state', (event) => {
+    const message = { type: 'state', ...event.detail };
+    sockets.forEach((socket) => sendMessage(socket, message));
+});
+
+server.listen(PORT, () => {
+    console.log(`Appliance simulator listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+
+import CircularTimeDial from '../shared/components/circular-time-dial.js';
+import { ManualClock } from '../shared/components/dial-clock.js';
+
+// Runs a headless CircularTimeDial through a short cook with no DOM globals,
+// the way a worker or an image-comparison script uses it:
+//
+//   node scripts/checkHeadlessDial.mjs
+
+// Enough of a 2D context for the ring renderer; every draw call is a no-op
+function createRecordingContext(size = 320) {
+    const calls = { count: 0 };
+    const gradient = { addColorStop() {} };
+    const context = new Proxy({ canvas: { width: size, height: size } }, {
+        get(target, property) {
+            if (property in target) return target[property];
+            if (property === 'createLinearGradient' || property === 'createConicGradient' || property === 'createRadialGradient') {
+                return () => gradient;
+            }
+            return () => {
+                calls.count += 1;
+            };
+        },
+        set(target, property, value) {
+            target[property] = value;
+            return true;
+        },
+    });
+    return { context, calls };
+}
+
+function checkHeadlessDial() {
+    assert.equal(typeof document, 'undefined', 'run this without a DOM');
+
+    const clock = new ManualClock();
+    const dial = new CircularTimeDial(null, { headless: true, clock });
+    const events = [];
+    ['valuechange', 'cookstart', 'complete'].forEach((type) => {
+        dial.addEventListener(type, () => events.push(type));
+    });
+
+    const startTemperature = dial.temperature;
+    dial.handleDialInput('rotate-cw');
+    assert.notEqual(dial.temperature, startTemperature, 'rotating changes the temperature');
+
+    dial.setMode('time');
+    dial.handleDialInput('rotate-ccw');
+    dial.setTotalMinutes(1);
+    dial.applyDebugSettings({ preheatEnabled: false });
+
+    dial.startCooking();
+    clock.advance(2000);
+    assert.equal(dial.getPhase(), 'cooking');
+    dial.fastForward(60);
+    clock.advance(1000);
+    assert.equal(dial.getPhase(), 'complete');
+
+    const { context, calls } = createRecordingContext();
+    dial.renderRing(context, { size: 320, pixelRatio: 1 });
+    assert.ok(calls.count > 0, 'the ring draws into a plain context');
+
+    dial.destroy();
+    assert.deepEqual([...new Set(events)], ['valuechange', 'cookstart', 'complete']);
+    console.log('Headless dial check passed');
+}
+
+try {
+    checkHeadlessDial();
+} catch (error) {
+    console.error('Headless dial check failed:', error);
+    process.exitCode = 1;
+}
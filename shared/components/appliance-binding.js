@@ -0,0 +1,243 @@
+import { CIRCULAR_TIME_DIAL_EVENTS, convertTemperature } from './circular-time-dial.js';
+
+/**
+ * ApplianceDialBinding
+ * Makes a CircularTimeDial a client of an ApplianceClient
+ * (appliance-simulator.js). Turning, starting, pausing and the door go to
+ * the appliance as commands; the appliance's state drives the dial back, so
+ * a cook started or changed in another window shows up here too.
+ *
+ * While bound the dial's preheat follows the appliance: its thermal model is
+ * swapped for ApplianceThermalMirror, which reports the appliance's oven
+ * temperature and ends the preheat when the appliance does. The countdown
+ * still runs locally and is pulled back whenever it drifts from the
+ * appliance's remaining time.
+ */
+
+// Seconds the local countdown may drift before it is corrected
+const MAX_DRIFT_SECONDS = 1.5;
+
+const COUNTDOWN_PHASES = ['preheat', 'cooking'];
+
+/**
+ * Stands in for OvenThermalModel inside the dial: it does not simulate,
+ * it repeats the last appliance state.
+ */
+export class ApplianceThermalMirror {
+  constructor({ getTimeScale = () => 1 } = {}) {
+    this.getTimeScale = getTimeScale;
+    this.options = { ambient: 72, tolerance: 5, mode: 'bake', heatDistribution: 50 };
+    this.temperature = this.options.ambient;
+    this.target = null;
+    this.doorOpen = false;
+    this.power = 0;
+    this.phase = 'idle';
+    this.preheatRemaining = 0;
+  }
+
+  update(state) {
+    this.options = { ...this.options, ambient: state.ambient, mode: state.mode, heatDistribution: state.heatDistribution };
+    this.temperature = state.ovenTemperature;
+    this.target = COUNTDOWN_PHASES.includes(state.phase) && !state.paused ? state.temperature : null;
+    this.doorOpen = state.doorOpen;
+    this.power = state.heating ? 1 : 0;
+    this.phase = state.phase;
+    this.preheatRemaining = state.preheatRemaining;
+  }
+
+  // The appliance owns these; the dial's calls are ignored
+  configure() {
+    return this;
+  }
+
+  setTarget() {}
+
+  step() {
+    return null;
+  }
+
+  setDoorOpen(open) {
+    this.doorOpen = Boolean(open);
+  }
+
+  // Preheat ends when the appliance says so, not when the dial starts
+  isAtTarget() {
+    return this.phase === 'cooking' || this.phase === 'complete';
+  }
+
+  // Model seconds, which is what the dial expects from a thermal model
+  estimateSecondsToTarget() {
+    if (this.preheatRemaining === null) return Infinity;
+    return this.preheatRemaining * this.getTimeScale();
+  }
+
+  getState() {
+    return {
+      temperature: this.temperature,
+      target: this.target,
+      power: this.power,
+      doorOpen: this.doorOpen,
+      mode: this.options.mode,
+      heatDistribution: this.options.heatDistribution
+    };
+  }
+}
+
+export class ApplianceDialBinding {
+  constructor(dial, client, options = {}) {
+    if (!dial || !client) {
+      throw new Error('ApplianceDialBinding: a dial and an appliance client are required');
+    }
+    this.dial = dial;
+    this.client = client;
+    this.onError = options.onError || (() => {});
+    this.applying = false;
+    this.inFlight = 0;
+    this.destroyed = false;
+
+    this.mirror = new ApplianceThermalMirror({ getTimeScale: () => dial.getThermalSpeed() });
+    this.previousThermalModel = dial.thermalModel;
+    this.previousSettings = {
+      preheatEnabled: dial.debugSettings.preheatEnabled,
+      preheatModel: dial.debugSettings.preheatModel
+    };
+    dial.thermalModel = this.mirror;
+    dial.applyDebugSettings({ preheatEnabled: true, preheatModel: 'thermal' });
+
+    const events = CIRCULAR_TIME_DIAL_EVENTS;
+    this.dialHandlers = [
+      [events.VALUE_CHANGE, (event) => this.handleValueChange(event.detail)],
+      [events.COOK_START, () => this.sendIf((state) => !COUNTDOWN_PHASES.includes(state.phase), () => client.start())],
+      [events.PAUSE, () => this.sendIf((state) => !state.paused, () => client.pause())],
+      [events.RESUME, () => this.sendIf((state) => state.paused, () => client.resume())],
+      [events.DOOR_CHANGE, (event) => this.sendIf((state) => state.doorOpen !== event.detail.open, () => client.setDoorOpen(event.detail.open))],
+      [events.DEBUG_SETTINGS_CHANGE, (event) => {
+        const { ovenMode } = event.detail.settings;
+        this.sendIf((state) => state.mode !== ovenMode, () => client.setMode(ovenMode));
+      }]
+    ];
+    this.dialHandlers.forEach(([type, handler]) => dial.addEventListener(type, handler));
+
+    this.handleState = (event) => this.applyState(event.detail.state);
+    client.addEventListener('state', this.handleState);
+    if (client.getState()) {
+      this.applyState(client.getState());
+    }
+  }
+
+  // Commands that echo the appliance's own change back are skipped
+  sendIf(shouldSend, send) {
+    const state = this.client.getState();
+    if (this.applying || !state || !this.client.isConnected() || !shouldSend(state)) return;
+
+    this.inFlight += 1;
+    send().catch(this.onError).finally(() => {
+      this.inFlight -= 1;
+      // States that arrived mid-turn were skipped; catch up with the last one
+      if (this.inFlight === 0 && !this.destroyed && this.client.getState()) {
+        this.applyState(this.client.getState());
+      }
+    });
+  }
+
+  cancel() {
+    return this.client.cancel();
+  }
+
+  handleValueChange(detail) {
+    // Only the user's turns are commands; 'api' changes come from applyState
+    if (detail.source !== 'input') return;
+    const dial = this.dial;
+
+    if (detail.temperature !== detail.previousTemperature) {
+      const temperature = convertTemperature(detail.temperature, dial.temperatureUnit, 'fahrenheit');
+      this.sendIf(() => true, () => this.client.setTemperature(Math.round(temperature)));
+    }
+    if (detail.totalMinutes !== detail.previousTotalMinutes) {
+      this.sendIf(() => true, () => this.client.setTime(detail.totalMinutes));
+    }
+  }
+
+  toDialTemperature(fahrenheit) {
+    return this.dial.snapTemperature(convertTemperature(fahrenheit, 'fahrenheit', this.dial.temperatureUnit));
+  }
+
+  applyState(state) {
+    const dial = this.dial;
+    this.mirror.update(state);
+    this.applying = true;
+    try {
+      if (dial.getDebugSettings().ovenMode !== state.mode) {
+        dial.setHeatProfile({ mode: state.mode, heatDistribution: state.heatDistribution });
+      }
+
+      // While our own commands are in flight the dial is ahead of the
+      // appliance; syncing back would undo the user's last turns
+      const temperature = this.toDialTemperature(state.temperature);
+      if (this.inFlight === 0 && temperature !== dial.temperature) {
+        dial.setTemperature(temperature);
+      }
+
+      this.applyPhase(state);
+      dial.render();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  applyPhase(state) {
+    const dial = this.dial;
+    const phase = dial.getPhase();
+    const running = COUNTDOWN_PHASES.includes(state.phase);
+
+    if (!running) {
+      if (state.phase === 'idle' && phase !== 'setup' && phase !== 'waiting') {
+        // Cancelled on the appliance
+        dial.reset({ temperature: this.toDialTemperature(state.temperature), totalMinutes: state.totalMinutes, mode: 'time' });
+      } else if (state.phase === 'complete' && dial.countdownMode) {
+        dial.setCountdownRemaining(0);
+        dial.updateCountdown();
+      } else if (phase === 'setup' && this.inFlight === 0 && state.totalMinutes !== dial.totalMinutes) {
+        dial.setTotalMinutes(state.totalMinutes);
+      }
+      return;
+    }
+
+    if (phase === 'setup' || phase === 'complete' || phase === 'waiting') {
+      // Started elsewhere
+      if (phase !== 'setup') {
+        dial.reset({ temperature: this.toDialTemperature(state.temperature), totalMinutes: state.totalMinutes, mode: 'time' });
+      } else if (state.totalMinutes !== dial.totalMinutes) {
+        dial.setTotalMinutes(state.totalMinutes);
+      }
+      dial.startCooking();
+      return;
+    }
+    if (!dial.countdownMode) return; // Ring fill still running
+
+    if (state.paused !== dial.isPaused()) {
+      if (state.paused) {
+        dial.pause();
+      } else {
+        dial.resume();
+      }
+    }
+    if (state.phase === 'cooking' && !dial.isPreheating()
+      && Math.abs(dial.getCountdownRemaining() - state.remainingSeconds) > MAX_DRIFT_SECONDS) {
+      dial.setCountdownRemaining(state.remainingSeconds / 60);
+    }
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.dialHandlers.forEach(([type, handler]) => this.dial.removeEventListener(type, handler));
+    this.client.removeEventListener('state', this.handleState);
+    this.dial.thermalModel = this.previousThermalModel;
+    this.dial.applyDebugSettings(this.previousSettings);
+  }
+}
+
+export const bindDialToAppliance = (dial, client, options) => new ApplianceDialBinding(dial, client, options);
+
+export default ApplianceDialBinding;
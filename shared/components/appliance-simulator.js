@@ -0,0 +1,515 @@
+import { createClock } from './dial-clock.js';
+import { OvenThermalModel, THERMAL_MODES } from './oven-thermal.js';
+
+/**
+ * ApplianceSimulator
+ * A stand-in for the oven's control board. The simulator owns the cook
+ * (oven mode, set temperature, time, heat distribution, door, phase) and
+ * runs preheat on OvenThermalModel; UIs change it only through commands and
+ * follow its state messages, the way they will talk to the real appliance.
+ *
+ * ApplianceClient talks to a simulator over a transport: 'local' runs one in
+ * the page (getSharedApplianceSimulator), 'websocket' connects to
+ * `node scripts/applianceServer.mjs`, which lets several windows observe and
+ * drive the same cook.
+ *
+ * Messages are JSON objects:
+ *   client -> appliance  { type: 'command', id, command: { type, ...args } }
+ *   appliance -> client  { type: 'result', id, ok, state | error }
+ *                        { type: 'state', reason, state }
+ * Temperatures are in °F; times in seconds except totalMinutes.
+ */
+
+export const APPLIANCE_COMMANDS = Object.freeze({
+  SET_MODE: 'set-mode', // { mode } one of THERMAL_MODES
+  SET_TEMPERATURE: 'set-temperature', // { temperature }
+  SET_TIME: 'set-time', // { totalMinutes }; mid-cook this is the time left
+  SET_HEAT_DISTRIBUTION: 'set-heat-distribution', // { heatDistribution } 0-100, top element's share
+  SET_DOOR: 'set-door', // { open }
+  START: 'start',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  CANCEL: 'cancel'
+});
+
+const COMMAND_TYPES = Object.values(APPLIANCE_COMMANDS);
+
+export const APPLIANCE_PHASES = Object.freeze(['idle', 'preheat', 'cooking', 'complete']);
+
+export const DEFAULT_APPLIANCE_SETTINGS = Object.freeze({
+  mode: 'bake',
+  temperature: 350,
+  totalMinutes: 20,
+  heatDistribution: 50
+});
+
+export const APPLIANCE_LIMITS = Object.freeze({
+  temperature: Object.freeze({ min: 80, max: 500 }),
+  totalMinutes: Object.freeze({ min: 1, max: 24 * 60 })
+});
+
+export const DEFAULT_APPLIANCE_URL = 'ws://localhost:8787';
+
+const TICK_MS = 100;
+
+const assertNumber = (value, name, { min, max }) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`ApplianceSimulator: ${name} must be between ${min} and ${max}`);
+  }
+  return number;
+};
+
+export class ApplianceSimulator extends EventTarget {
+  constructor(options = {}) {
+    super();
+    this.clock = createClock(options.clock);
+    this.thermalSpeed = Math.max(1, options.thermalSpeed || 60); // Model seconds per clock second
+    this.thermal = options.thermal || new OvenThermalModel({ ambient: options.ambient });
+
+    const settings = { ...DEFAULT_APPLIANCE_SETTINGS, ...(options.settings || {}) };
+    this.mode = settings.mode;
+    this.temperature = settings.temperature;
+    this.totalMinutes = settings.totalMinutes;
+    this.heatDistribution = settings.heatDistribution;
+    this.thermal.configure({ mode: this.mode, heatDistribution: this.heatDistribution });
+
+    this.phase = 'idle';
+    this.paused = false;
+    this.remainingSeconds = 0;
+    this.revision = 0;
+
+    this._lastTick = this.clock.now();
+    this._lastTelemetry = null;
+    this._timer = this.clock.setInterval(() => this.tick(), TICK_MS);
+  }
+
+  isRunning() {
+    return this.phase === 'preheat' || this.phase === 'cooking';
+  }
+
+  getState() {
+    return {
+      mode: this.mode,
+      temperature: this.temperature,
+      totalMinutes: this.totalMinutes,
+      heatDistribution: this.heatDistribution,
+      phase: this.phase,
+      paused: this.paused,
+      remainingSeconds: Math.ceil(this.remainingSeconds),
+      ovenTemperature: Math.round(this.thermal.temperature),
+      heating: this.thermal.power > 0,
+      doorOpen: this.thermal.doorOpen,
+      // Clock seconds until preheat ends at full power; null when it cannot (door open)
+      preheatRemaining: this.getPreheatRemaining(),
+      ambient: this.thermal.options.ambient,
+      revision: this.revision
+    };
+  }
+
+  getPreheatRemaining() {
+    if (this.phase !== 'preheat') return 0;
+    const seconds = this.thermal.estimateSecondsToTarget(this.temperature) / this.thermalSpeed;
+    return Number.isFinite(seconds) ? Math.ceil(seconds) : null;
+  }
+
+  /**
+   * Runs a command and returns the new state. Invalid commands, or ones
+   * the current phase does not allow, throw without changing anything.
+   */
+  execute(command = {}) {
+    if (!COMMAND_TYPES.includes(command.type)) {
+      throw new Error(`ApplianceSimulator: unknown command "${command.type}"`);
+    }
+    this.tick();
+
+    switch (command.type) {
+      case APPLIANCE_COMMANDS.SET_MODE:
+        if (!THERMAL_MODES[command.mode]) {
+          throw new Error(`ApplianceSimulator: unknown mode "${command.mode}"`);
+        }
+        this.mode = command.mode;
+        this.thermal.configure({ mode: this.mode });
+        break;
+      case APPLIANCE_COMMANDS.SET_TEMPERATURE:
+        this.temperature = assertNumber(command.temperature, 'temperature', APPLIANCE_LIMITS.temperature);
+        break;
+      case APPLIANCE_COMMANDS.SET_TIME:
+        this.totalMinutes = assertNumber(command.totalMinutes, 'totalMinutes', APPLIANCE_LIMITS.totalMinutes);
+        if (this.isRunning()) {
+          this.remainingSeconds = this.totalMinutes * 60;
+        }
+        break;
+      case APPLIANCE_COMMANDS.SET_HEAT_DISTRIBUTION:
+        this.heatDistribution = assertNumber(command.heatDistribution, 'heatDistribution', { min: 0, max: 100 });
+        this.thermal.configure({ heatDistribution: this.heatDistribution });
+        break;
+      case APPLIANCE_COMMANDS.SET_DOOR:
+        this.thermal.setDoorOpen(command.open);
+        break;
+      case APPLIANCE_COMMANDS.START:
+        if (this.isRunning()) {
+          throw new Error('ApplianceSimulator: a cook is already running');
+        }
+        this.phase = 'preheat';
+        this.paused = false;
+        this.remainingSeconds = this.totalMinutes * 60;
+        this.updateThermalTarget();
+        break;
+      case APPLIANCE_COMMANDS.PAUSE:
+      case APPLIANCE_COMMANDS.RESUME:
+        if (!this.isRunning()) {
+          throw new Error(`ApplianceSimulator: nothing to ${command.type}`);
+        }
+        this.paused = command.type === APPLIANCE_COMMANDS.PAUSE;
+        this.updateThermalTarget();
+        break;
+      case APPLIANCE_COMMANDS.CANCEL:
+        this.phase = 'idle';
+        this.paused = false;
+        this.remainingSeconds = 0;
+        this.updateThermalTarget();
+        break;
+      default:
+        break;
+    }
+
+    this.publish(command.type);
+    return this.getState();
+  }
+
+  updateThermalTarget() {
+    this.thermal.setTarget(this.isRunning() && !this.paused ? this.temperature : null);
+  }
+
+  // Advances the oven and the cook to the clock's time; runs every TICK_MS
+  tick() {
+    const now = this.clock.now();
+    const seconds = Math.max(0, (now - this._lastTick) / 1000);
+    this._lastTick = now;
+    if (seconds === 0) return;
+
+    this.updateThermalTarget();
+    this.thermal.step(seconds * this.thermalSpeed);
+
+    if (this.phase === 'preheat' && !this.paused && this.thermal.isAtTarget()) {
+      this.phase = 'cooking';
+      this.publish('preheat-end');
+      return;
+    }
+    if (this.phase === 'cooking' && !this.paused) {
+      this.remainingSeconds = Math.max(0, this.remainingSeconds - seconds);
+      if (this.remainingSeconds === 0) {
+        this.phase = 'complete';
+        this.updateThermalTarget();
+        this.publish('complete');
+        return;
+      }
+    }
+
+    // Telemetry goes out when a displayed number changes
+    const telemetry = `${Math.ceil(this.remainingSeconds)}|${Math.round(this.thermal.temperature)}`;
+    if (telemetry !== this._lastTelemetry) {
+      this.publish('telemetry');
+    }
+  }
+
+  publish(reason) {
+    this.revision += 1;
+    const state = this.getState();
+    this._lastTelemetry = `${state.remainingSeconds}|${state.ovenTemperature}`;
+    this.dispatchEvent(new CustomEvent('state', { detail: { reason, state } }));
+  }
+
+  destroy() {
+    this.clock.clearInterval(this._timer);
+  }
+}
+
+/**
+ * Answers one client message; shared by the in-page transport and the
+ * WebSocket server. Returns the reply, or null for messages that need none.
+ */
+export const handleApplianceMessage = (simulator, message) => {
+  if (!message || message.type !== 'command') return null;
+  try {
+    return { type: 'result', id: message.id, ok: true, state: simulator.execute(message.command) };
+  } catch (error) {
+    return { type: 'result', id: message.id, ok: false, error: error.message };
+  }
+};
+
+let sharedApplianceSimulator = null;
+
+export const getSharedApplianceSimulator = () => {
+  if (!sharedApplianceSimulator) {
+    sharedApplianceSimulator = new ApplianceSimulator();
+  }
+  return sharedApplianceSimulator;
+};
+
+// Messages are copied through JSON so in-page clients see what a socket would
+const roundTrip = (message) => JSON.parse(JSON.stringify(message));
+
+export class LocalApplianceTransport {
+  constructor(options = {}) {
+    this.simulator = options.simulator || getSharedApplianceSimulator();
+    this.label = 'local';
+    this._onMessage = null;
+    this._onState = null;
+  }
+
+  static isSupported() {
+    return true;
+  }
+
+  async open({ onMessage }) {
+    this._onMessage = onMessage;
+    this._onState = (event) => onMessage(roundTrip({ type: 'state', ...event.detail }));
+    this.simulator.addEventListener('state', this._onState);
+    onMessage(roundTrip({ type: 'state', reason: 'connect', state: this.simulator.getState() }));
+  }
+
+  send(message) {
+    const reply = handleApplianceMessage(this.simulator, roundTrip(message));
+    if (reply && this._onMessage) {
+      this._onMessage(roundTrip(reply));
+    }
+  }
+
+  async close() {
+    if (this._onState) {
+      this.simulator.removeEventListener('state', this._onState);
+      this._onState = null;
+    }
+    this._onMessage = null;
+  }
+}
+
+export class WebSocketApplianceTransport {
+  constructor(options = {}) {
+    this.url = options.url || DEFAULT_APPLIANCE_URL;
+    this.label = 'websocket';
+    this.socket = null;
+  }
+
+  static isSupported() {
+    return typeof WebSocket === 'function';
+  }
+
+  open({ onMessage, onClose }) {
+    if (!WebSocketApplianceTransport.isSupported()) {
+      return Promise.reject(new Error('ApplianceClient: WebSocket is not available'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      let opened = false;
+      this.socket = socket;
+
+      socket.addEventListener('open', () => {
+        opened = true;
+        resolve();
+      });
+      socket.addEventListener('error', () => {
+        if (!opened) {
+          reject(new Error(`ApplianceClient: could not connect to ${this.url}`));
+        }
+      });
+      socket.addEventListener('close', () => {
+        if (opened) onClose();
+      });
+      socket.addEventListener('message', (event) => {
+        try {
+          onMessage(JSON.parse(event.data));
+        } catch (_error) {
+          // Not one of ours
+        }
+      });
+    });
+  }
+
+  // Throws while the socket is connecting or closed so the command fails
+  // instead of waiting for a reply that will never come
+  send(message) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      throw new Error(`ApplianceClient: not connected to ${this.url}`);
+    }
+    this.socket.send(JSON.stringify(message));
+  }
+
+  async close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+const TRANSPORTS = {
+  local: LocalApplianceTransport,
+  websocket: WebSocketApplianceTransport
+};
+
+/**
+ * The UI side: sends commands and keeps the latest appliance state. 'state'
+ * events carry `{ reason, state }` for every change, including ones made
+ * from other windows.
+ */
+export class ApplianceClient extends EventTarget {
+  constructor(options = {}) {
+    super();
+    this.onStatusChange = options.onStatusChange;
+    this.transport = null;
+    this.status = 'disconnected';
+    this.state = null;
+    this._nextId = 1;
+    this._pending = new Map();
+  }
+
+  static isSupported(kind) {
+    const Transport = TRANSPORTS[kind];
+    return Boolean(Transport && Transport.isSupported());
+  }
+
+  isConnected() {
+    return this.status === 'connected';
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // `kind` is 'local', 'websocket' or a transport instance
+  async connect(kind = 'local', options = {}) {
+    await this.disconnect();
+
+    let transport = kind;
+    if (typeof kind === 'string') {
+      const Transport = TRANSPORTS[kind];
+      if (!Transport) {
+        throw new Error(`ApplianceClient: unknown transport "${kind}"`);
+      }
+      transport = new Transport(options);
+    }
+
+    this.transport = transport;
+    this._setStatus('connecting');
+    try {
+      await transport.open({
+        onMessage: (message) => this.handleMessage(message),
+        onClose: () => {
+          if (this.transport === transport) {
+            this.disconnect();
+          }
+        }
+      });
+    } catch (error) {
+      this.transport = null;
+      this._setStatus('disconnected', error);
+      throw error;
+    }
+
+    this._setStatus('connected');
+    return transport;
+  }
+
+  async disconnect() {
+    const transport = this.transport;
+    if (!transport) return;
+
+    this.transport = null;
+    // Revisions are per appliance; the next one may count from zero again
+    this.state = null;
+    this._pending.forEach(({ reject }) => reject(new Error('ApplianceClient: disconnected')));
+    this._pending.clear();
+    await transport.close();
+    this._setStatus('disconnected');
+  }
+
+  // Resolves with the appliance state after the command, rejects with its error
+  send(command) {
+    if (!this.transport) {
+      return Promise.reject(new Error('ApplianceClient: not connected'));
+    }
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject });
+      try {
+        this.transport.send({ type: 'command', id, command });
+      } catch (error) {
+        this._pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  handleMessage(message) {
+    if (!message) return;
+
+    if (message.type === 'result') {
+      const pending = this._pending.get(message.id);
+      if (!pending) return;
+      this._pending.delete(message.id);
+      if (message.ok) {
+        pending.resolve(message.state);
+      } else {
+        pending.reject(new Error(message.error));
+      }
+      return;
+    }
+
+    if (message.type === 'state' && message.state) {
+      // Replies and broadcasts can arrive out of order; keep the newest
+      // from this connection
+      if (this.state && message.state.revision < this.state.revision) return;
+      this.state = message.state;
+      this.dispatchEvent(new CustomEvent('state', { detail: { reason: message.reason, state: message.state } }));
+    }
+  }
+
+  setMode(mode) {
+    return this.send({ type: APPLIANCE_COMMANDS.SET_MODE, mode });
+  }
+
+  setTemperature(temperature) {
+    return this.send({ type: APPLIANCE_COMMANDS.SET_TEMPERATURE, temperature });
+  }
+
+  setTime(totalMinutes) {
+    return this.send({ type: APPLIANCE_COMMANDS.SET_TIME, totalMinutes });
+  }
+
+  setHeatDistribution(heatDistribution) {
+    return this.send({ type: APPLIANCE_COMMANDS.SET_HEAT_DISTRIBUTION, heatDistribution });
+  }
+
+  setDoorOpen(open) {
+    return this.send({ type: APPLIANCE_COMMANDS.SET_DOOR, open: Boolean(open) });
+  }
+
+  start() {
+    return this.send({ type: APPLIANCE_COMMANDS.START });
+  }
+
+  pause() {
+    return this.send({ type: APPLIANCE_COMMANDS.PAUSE });
+  }
+
+  resume() {
+    return this.send({ type: APPLIANCE_COMMANDS.RESUME });
+  }
+
+  cancel() {
+    return this.send({ type: APPLIANCE_COMMANDS.CANCEL });
+  }
+
+  _setStatus(status, error = null) {
+    this.status = status;
+    if (typeof this.onStatusChange === 'function') {
+      this.onStatusChange({ status, error, transport: this.transport ? this.transport.label : null });
+    }
+  }
+}
+
+export default ApplianceSimulator;
@@ -1,28 +1,57 @@
+import { createClock, CLOCK_RATES } from './dial-clock.js';
+import { SvgRingContext, patchSVG } from './svg-ring-context.js';
+import { sanitizeSettings } from './debug-presets.js';
+import { DEBUG_SETTINGS_CHANGE_EVENT, formatFieldValue, parseControlValue, toControlValue } from './debug-panel.js';
+import { EASINGS, formatCubicBezier, parseCubicBezier, resolveEasing } from './easing.js';
+import { getDialPalette, listDialPalettes, resolveDialPalette } from './dial-palettes.js';
+import { FEEDBACK_CUES } from './dial-feedback.js';
+import { AccelerationTrace, VelocityAcceleration } from './dial-acceleration.js';
+import { OvenThermalModel, THERMAL_MODES } from './oven-thermal.js';
+
 const BASE_GRAY = '#434343';
 const DEFAULT_TEMP_TICK_COUNT = 72;
 const BASE_TICK_LENGTH = 15;
 const BASE_TICK_STROKE_WIDTH = 3;
-const SOLID_TEMP_GRADIENTS = Object.freeze({
-    'solid-temp': [
-        { ratio: 0, color: '#2e2e2e' },
-        { ratio: 1, color: '#ffffff' }
-    ],
-    'solid-temp-red': [
-        { ratio: 0, color: '#2e2e2e' },
-        { ratio: 0.6, color: '#5A060A' },
-        { ratio: 1, color: '#FB7E75' }
-    ]
-});
+
+// The ring is laid out in this square (canvas units) and scaled to whatever
+// surface it is drawn on
+export const RING_VIEW_SIZE = 320;
+const RING_RADIUS = 136;
+
+// Where the ring is drawn in the page: the canvas, or live SVG markup that
+// can be inspected and styled
+const RING_RENDERERS = Object.freeze(['canvas', 'svg']);
 
 const TAU = Math.PI * 2;
 
+// Pointer/wheel rotation tuning
+const POINTER_DEAD_ZONE_RATIO = 0.35; // ignore drags that start near the center readout
+const WHEEL_STEP_PX = 40; // accumulated wheel delta per dial step
+const WHEEL_LINE_PX = 16; // pixels per line for DOM_DELTA_LINE wheels
+
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
+const getDevicePixelRatio = () => (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+
+// Headless dials may run in a worker or in Node, where there is no document
+const hasDocument = () => typeof document !== 'undefined';
+
 const normalizeAngle = (angle) => {
     const normalized = angle % TAU;
     return normalized < 0 ? normalized + TAU : normalized;
 };
 
+// Signed shortest rotation from one angle to another, positive = clockwise on screen
+const getSignedAngleDelta = (fromAngle, toAngle) => {
+    let delta = normalizeAngle(toAngle) - normalizeAngle(fromAngle);
+    if (delta > Math.PI) {
+        delta -= TAU;
+    } else if (delta < -Math.PI) {
+        delta += TAU;
+    }
+    return delta;
+};
+
 const getClockwiseDelta = (startAngle, endAngle) => {
     const start = normalizeAngle(startAngle);
     const end = normalizeAngle(endAngle);
@@ -129,9 +158,272 @@ const ID_SUFFIXES = {
     rackIcon: 'rackIcon',
     rackLabel: 'rackLabel',
     cookingStatus: 'cookingStatus',
-    completionButtons: 'completionButtons',
-    bitMoreBtn: 'bitMoreBtn',
-    keepWarmBtn: 'keepWarmBtn'
+    stageLabel: 'stageLabel',
+    completionButtons: 'completionButtons'
+};
+
+// Events dispatched on the dial (it is an EventTarget); details carry getState()
+export const CIRCULAR_TIME_DIAL_EVENTS = Object.freeze({
+    VALUE_CHANGE: 'valuechange',
+    MODE_CHANGE: 'modechange',
+    COOK_START: 'cookstart',
+    PREHEAT_END: 'preheatend',
+    COUNTDOWN_TICK: 'countdowntick',
+    COMPLETE: 'complete',
+    COMPLETION_ACTION: 'completionaction',
+    UNIT_CHANGE: 'unitchange',
+    PAUSE: 'pause',
+    RESUME: 'resume',
+    STAGE_CHANGE: 'stagechange',
+    DELAY_START: 'delaystart', // A scheduled cook is waiting; COOK_START follows when it begins
+    DELAY_CANCEL: 'delaycancel',
+    OVEN_TEMPERATURE: 'oventemperature', // Whole-degree changes of the simulated cavity temperature
+    DOOR_CHANGE: 'doorchange',
+    ACCELERATION: 'acceleration', // One per accelerated detent; detail.sample is the trace entry
+    DEBUG_SETTINGS_CHANGE: DEBUG_SETTINGS_CHANGE_EVENT
+});
+
+// Dial buttons that can pause a running cook; the other one switches what
+// rotation adjusts (time or temperature) mid-cook
+const PAUSE_BUTTONS = Object.freeze(['aux', 'press']);
+
+const PREHEAT_SECONDS = 10;
+
+// Delay start picks a clock time in 15-minute slots, up to a day ahead
+const SCHEDULE_SLOT_MS = 15 * 60 * 1000;
+const SCHEDULE_SLOT_COUNT = 96;
+
+// What a press cycles through in setup; 'schedule' only with delayStartEnabled
+const SETUP_MODES = Object.freeze(['temperature', 'time', 'schedule']);
+
+// Earliest 15-minute clock time at or after `time` (local time, so slots
+// land on :00/:15/:30/:45 whatever the timezone offset)
+const ceilToScheduleSlot = (time) => {
+    const date = new Date(time);
+    const offset = (date.getMinutes() * 60 + date.getSeconds()) * 1000 + date.getMilliseconds();
+    const intoSlot = offset % SCHEDULE_SLOT_MS;
+    return intoSlot === 0 ? time : time - intoSlot + SCHEDULE_SLOT_MS;
+};
+
+// 15-minute slot of the day (0-95) a time falls in
+const getScheduleSlotOfDay = (time) => {
+    const date = new Date(time);
+    return Math.floor((date.getHours() * 60 + date.getMinutes()) / 15);
+};
+
+// "6:45" and "PM"
+const formatClockTime = (time) => {
+    const date = new Date(time);
+    const hours = date.getHours();
+    return {
+        time: `${hours % 12 || 12}:${date.getMinutes().toString().padStart(2, '0')}`,
+        meridiem: hours < 12 ? 'AM' : 'PM'
+    };
+};
+
+// Debug fast-forward skips this much cook time per click
+const FAST_FORWARD_SECONDS = 60;
+
+// Hand-off between program stages: the crossed boundary glows and the new
+// temperature fades in
+const STAGE_TRANSITION_MS = 600;
+
+const KEEP_WARM_TEMPERATURE_F = 170;
+
+// Buttons offered once the cook is done, in display order. `handler(dial,
+// action)` runs on press after completionaction fires; actions without one
+// are left to the host's completionaction listener.
+export const DEFAULT_COMPLETION_ACTIONS = Object.freeze([
+    Object.freeze({
+        id: 'bit-more',
+        label: 'A bit more',
+        handler: (dial) => dial.continueCooking({ minutes: 2 })
+    }),
+    Object.freeze({
+        id: 'keep-warm',
+        label: 'Keep warm',
+        handler: (dial) => dial.continueCooking({
+            minutes: 30,
+            temperature: convertTemperature(KEEP_WARM_TEMPERATURE_F, 'fahrenheit', dial.getTemperatureUnit()),
+            status: 'Keeping warm'
+        })
+    })
+]);
+
+const normalizeCompletionActions = (actions) => {
+    if (!Array.isArray(actions) || actions.length === 0) {
+        throw new Error('CircularTimeDial: completion actions need at least one entry');
+    }
+
+    return actions.map((action, index) => {
+        if (!action || !action.id || !action.label) {
+            throw new Error(`CircularTimeDial: completion action ${index + 1} needs an id and a label`);
+        }
+        if (action.handler !== undefined && typeof action.handler !== 'function') {
+            throw new Error(`CircularTimeDial: completion action "${action.id}" has an invalid handler`);
+        }
+        return { id: String(action.id), label: String(action.label), handler: action.handler || null };
+    });
+};
+
+const DEFAULT_STATE = Object.freeze({
+    temperature: 400,
+    totalMinutes: 10,
+    mode: 'temperature'
+});
+
+// Glyph, label and detent size for each unit. Temperatures, ranges and
+// setters always use the dial's active unit.
+export const TEMPERATURE_UNITS = Object.freeze({
+    fahrenheit: Object.freeze({ symbol: '°F', label: 'degrees Fahrenheit', iconClass: 'fa-degree-fahrenheit', step: 5 }),
+    celsius: Object.freeze({ symbol: '°C', label: 'degrees Celsius', iconClass: 'fa-degree-celsius', step: 5 })
+});
+
+const DEFAULT_TEMPERATURE_UNIT = 'fahrenheit';
+
+// Temperature range; the ring always spans min..max. A range without a
+// `unit` is taken to be in the dial's unit, otherwise it is converted.
+export const DEFAULT_TEMPERATURE_RANGE = Object.freeze({
+    unit: 'fahrenheit',
+    min: 300,
+    max: 480,
+    step: 5
+});
+
+export const convertTemperature = (value, from, to) => {
+    if (from === to) return value;
+    return to === 'celsius' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32;
+};
+
+const assertTemperatureUnit = (unit) => {
+    if (!TEMPERATURE_UNITS[unit]) {
+        throw new Error(`CircularTimeDial: unknown temperature unit "${unit}"`);
+    }
+    return unit;
+};
+
+const roundToStep = (value, step) => Math.round(value / step) * step;
+
+// Time step schedule. Each segment steps by `step` until `upTo`; the last
+// segment's `upTo` is the maximum. The first segment is Phase A (fine ticks),
+// later segments are Phase B. Values are minutes unless `unit: 'seconds'`.
+export const DEFAULT_TIME_SCHEDULE = Object.freeze({
+    unit: 'minutes',
+    min: 1,
+    segments: Object.freeze([
+        Object.freeze({ upTo: 60, step: 1 }),
+        Object.freeze({ upTo: 72 * 60, step: 15 })
+    ])
+});
+
+const SCHEDULE_EPSILON = 1e-6;
+
+// Time is tracked in minutes but snapped to whole seconds
+const roundToSecond = (minutes) => Math.round(minutes * 60) / 60;
+
+const normalizeTemperatureRange = (range, unit = DEFAULT_TEMPERATURE_UNIT) => {
+    const source = range ? { ...DEFAULT_TEMPERATURE_RANGE, unit, ...range } : DEFAULT_TEMPERATURE_RANGE;
+    const sourceUnit = assertTemperatureUnit(source.unit);
+    const min = Number(source.min);
+    const max = Number(source.max);
+    const step = Number(source.step);
+
+    if (![min, max, step].every(Number.isFinite) || min >= max || step <= 0) {
+        throw new Error(`CircularTimeDial: invalid temperature range ${JSON.stringify(range)}`);
+    }
+
+    if (sourceUnit === unit) {
+        return { min, max, step };
+    }
+
+    // Converted ranges land on whole detents of the target unit
+    // (300–480°F becomes 150–250°C in 5° steps)
+    const targetStep = TEMPERATURE_UNITS[unit].step;
+    const convertedMin = roundToStep(convertTemperature(min, sourceUnit, unit), targetStep);
+    const convertedMax = roundToStep(convertTemperature(max, sourceUnit, unit), targetStep);
+    return {
+        min: convertedMin,
+        max: Math.max(convertedMax, convertedMin + targetStep),
+        step: targetStep
+    };
+};
+
+const normalizeTimeSchedule = (schedule = {}) => {
+    const unit = schedule.unit || DEFAULT_TIME_SCHEDULE.unit;
+    if (unit !== 'minutes' && unit !== 'seconds') {
+        throw new Error(`CircularTimeDial: unknown time schedule unit "${unit}"`);
+    }
+    const toMinutes = (value) => roundToSecond(unit === 'seconds' ? Number(value) / 60 : Number(value));
+
+    const min = toMinutes(schedule.min ?? (unit === 'seconds' ? DEFAULT_TIME_SCHEDULE.min * 60 : DEFAULT_TIME_SCHEDULE.min));
+    if (!Number.isFinite(min) || min <= 0) {
+        throw new Error(`CircularTimeDial: invalid time schedule minimum ${schedule.min}`);
+    }
+
+    const rawSegments = Array.isArray(schedule.segments) && schedule.segments.length
+        ? schedule.segments
+        : DEFAULT_TIME_SCHEDULE.segments;
+
+    let from = min;
+    const segments = rawSegments.map((segment) => {
+        const upTo = toMinutes(segment.upTo);
+        const step = unit === 'seconds' ? Number(segment.step) / 60 : Number(segment.step);
+
+        if (!Number.isFinite(upTo) || !Number.isFinite(step) || step <= 0 || upTo <= from) {
+            throw new Error(`CircularTimeDial: invalid time schedule segment ${JSON.stringify(segment)}`);
+        }
+
+        const steps = Math.ceil((upTo - from) / step - SCHEDULE_EPSILON);
+        const normalized = { from, upTo, step, steps };
+        from = upTo;
+        return normalized;
+    });
+
+    return {
+        min,
+        max: segments[segments.length - 1].upTo,
+        segments,
+        totalSteps: segments.reduce((sum, segment) => sum + segment.steps, 0)
+    };
+};
+
+const KEY_TO_DIAL_EVENT = Object.freeze({
+    p: 'rotate-cw',
+    o: 'rotate-ccw',
+    q: 'press',
+    1: 'aux',
+    r: 'reset'
+});
+
+// Standard slider keys, handled while the ring has focus. PageUp/PageDown
+// and Home/End jump along the schedule instead (see jumpValue).
+const SLIDER_KEY_TO_DIAL_EVENT = Object.freeze({
+    ArrowUp: 'rotate-cw',
+    ArrowRight: 'rotate-cw',
+    ArrowDown: 'rotate-ccw',
+    ArrowLeft: 'rotate-ccw',
+    Enter: 'press',
+    ' ': 'press'
+});
+const PAGE_STEPS = 10;
+
+// Minutes left at which a running cook is announced to screen readers
+const ANNOUNCED_MINUTES_LEFT = Object.freeze([10, 5, 1]);
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const pluralize = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+// "1 hour 15 minutes", "4 minutes 30 seconds", for aria-valuetext
+const describeDuration = (totalSeconds) => {
+    const seconds = Math.max(0, Math.round(totalSeconds));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const parts = [];
+    if (hours) parts.push(pluralize(hours, 'hour'));
+    if (minutes) parts.push(pluralize(minutes, 'minute'));
+    if (seconds % 60 || !parts.length) parts.push(pluralize(seconds % 60, 'second'));
+    return parts.join(' ');
 };
 
 export const DEFAULT_DEBUG_SETTINGS = Object.freeze({
@@ -142,20 +434,37 @@ export const DEFAULT_DEBUG_SETTINGS = Object.freeze({
     radiusPercent: 10,
     alignment: 'outward',
     curve: 'exponential',
+    falloffBezier: '0.25, 0.1, 0.25, 1', // Used when curve is 'bezier'
+    scaleEasing: 'easeOutCubic', // Scale-in/out of the scaled ticks
+    scaleBezier: '0.33, 1, 0.68, 1', // Used when scaleEasing is 'bezier'
     tickMode: 'wrap',
     autoReset: true,
     resetDelay: 0.45,
     gapAngle: 2,
     preheatEnabled: true,
+    preheatModel: 'fixed', // 'fixed' (PREHEAT_SECONDS) or 'thermal' (see oven-thermal.js)
+    ovenMode: 'bake',
+    ambientTemperature: 72, // °F the oven starts from and cools back to
+    thermalSpeed: 60, // Model seconds per clock second, so a 10-minute preheat demos in 10 s
+    delayStartEnabled: true,
+    scheduleTarget: 'ready-by', // The picked clock time is when the cook finishes ('ready-by') or starts ('start-at')
     flashDuration: 150,
     flashCount: 3,
     globalTickMode: '72-continuous',
     trailMode: 'standard',
     rapidModeThreshold: 30,
+    accelerationModel: 'rapid', // 'rapid' (4x after a burst) or 'velocity' (see dial-acceleration.js)
+    velocityMaxStep: 12,
+    velocityMinRate: 6,
+    velocityMaxRate: 30,
+    velocitySmoothing: 0.3,
+    velocityHysteresis: 0.25,
+    velocityCurve: 'easeIn',
     colorMode: 'red-temp-no-trail',
     roundedCaps: false,
     showRack: false,
-    fontMode: 'default'
+    fontMode: 'default',
+    reducedMotion: 'auto' // 'auto' follows prefers-reduced-motion; 'on' / 'off' override it
 });
 
 export const createCircularTimeDialDebugSettings = (overrides = {}) => ({
@@ -163,20 +472,461 @@ export const createCircularTimeDialDebugSettings = (overrides = {}) => ({
     ...overrides
 });
 
-const buildTemplate = (idPrefix) => {
+const ENABLED_OPTIONS = [
+    { value: true, label: 'Enabled' },
+    { value: false, label: 'Disabled' }
+];
+
+const showWhenScaling = (settings) => settings.scalingEnabled;
+const showWhenThermal = (settings) => settings.preheatEnabled && settings.preheatModel === 'thermal';
+const showWhenVelocity = (settings) => settings.accelerationModel === 'velocity';
+
+// Named falloff curves; 'bezier' and 'custom' are resolved in applyCurve()
+const FALLOFF_CURVES = Object.freeze({
+    linear: (distance) => 1 - distance,
+    easeOut: (distance) => 1 - (distance * distance),
+    easeIn: (distance) => 1 - Math.sqrt(distance),
+    sine: (distance) => Math.cos(distance * Math.PI / 2),
+    exponential: (distance) => Math.pow(1 - distance, 3)
+});
+
+const SCALE_EASING_NAMES = Object.freeze(['easeOutCubic', 'easeOutQuad', 'ease', 'easeIn', 'easeOut', 'easeInOut', 'linear']);
+
+// Describes every debug setting for DebugPanel. `elementId`/`valueElementId`
+// name the controls in prototypes that still ship hand-written markup
+// (custom-cook, evolving-flow); setupDebugControls binds those by ID.
+export const CIRCULAR_TIME_DIAL_DEBUG_SCHEMA = Object.freeze([
+    {
+        key: 'globalTickMode',
+        label: 'Global Tick Mode',
+        type: 'select',
+        group: 'Ring',
+        elementId: 'globalTickModeSelect',
+        options: [
+            { value: 'default', label: 'Default (Original tick counts)' },
+            { value: '72-ticks', label: '72 Ticks (All modes use 72 ticks)' },
+            { value: '72-continuous', label: '72 Continuous (59 min ticks + 13 hour ticks)' }
+        ]
+    },
+    {
+        key: 'tickMode',
+        label: 'Hour Ticks',
+        type: 'select',
+        group: 'Ring',
+        options: [
+            { value: 'wrap', label: 'Wrap' },
+            { value: 'hourly', label: 'Hourly' },
+            { value: '15min', label: '15 minute' }
+        ]
+    },
+    {
+        key: 'gapAngle',
+        label: 'Ring Gap (degrees)',
+        type: 'range',
+        group: 'Ring',
+        min: 0,
+        max: 30,
+        step: 0.1,
+        format: (value) => `${value}°`,
+        elementId: 'gapAngle',
+        valueElementId: 'gapAngleValue'
+    },
+    {
+        key: 'colorMode',
+        label: 'Color Mode',
+        type: 'select',
+        group: 'Ring',
+        elementId: 'colorModeSelect',
+        // Read when a panel renders, so palettes registered by the host are listed
+        get options() {
+            return listDialPalettes().map(({ name, label }) => ({ value: name, label }));
+        }
+    },
+    {
+        key: 'gradientColorMode',
+        label: 'Trail Gradient',
+        type: 'select',
+        group: 'Ring',
+        elementId: 'gradientColorSelect',
+        options: [
+            { value: 'seamless', label: 'Seamless' },
+            { value: 'gradient', label: 'Filled ticks only' },
+            { value: 'standard', label: 'Off' }
+        ]
+    },
+    {
+        key: 'trailMode',
+        label: 'Trail Mode (P/O keys)',
+        type: 'select',
+        group: 'Ring',
+        elementId: 'trailModeSelect',
+        options: [
+            { value: 'standard', label: 'Standard' },
+            { value: 'stay', label: 'Directional' },
+            { value: 'animated', label: 'Animated' }
+        ]
+    },
+    {
+        key: 'roundedCaps',
+        label: 'Rounded Line Caps',
+        type: 'boolean',
+        group: 'Ring',
+        elementId: 'lineCapSelect'
+    },
+    {
+        key: 'fontMode',
+        label: 'Number Font Mode',
+        type: 'select',
+        group: 'Display',
+        elementId: 'fontModeSelect',
+        options: [
+            { value: 'default', label: '5xl active / 2xl inactive' },
+            { value: 'uniformLarge', label: 'Lock at 4xl' },
+            { value: 'largeMedium', label: '5xl active / 4xl inactive' }
+        ]
+    },
+    {
+        key: 'showRack',
+        label: 'Show Rack',
+        type: 'boolean',
+        group: 'Display',
+        elementId: 'rackDisplaySelect',
+        options: [
+            { value: true, label: 'Visible' },
+            { value: false, label: 'Hidden' }
+        ]
+    },
+    {
+        key: 'preheatEnabled',
+        label: 'Enable Preheat',
+        type: 'boolean',
+        group: 'Behaviour',
+        elementId: 'preheatSelect',
+        options: ENABLED_OPTIONS
+    },
+    {
+        key: 'preheatModel',
+        label: 'Preheat Model',
+        type: 'select',
+        group: 'Behaviour',
+        options: [
+            { value: 'fixed', label: 'Fixed (10 s)' },
+            { value: 'thermal', label: 'Oven thermal model' }
+        ],
+        visibleWhen: (settings) => settings.preheatEnabled
+    },
+    {
+        key: 'ovenMode',
+        label: 'Oven Mode',
+        type: 'select',
+        group: 'Behaviour',
+        options: Object.keys(THERMAL_MODES).map((mode) => ({ value: mode, label: THERMAL_MODES[mode].label })),
+        visibleWhen: showWhenThermal
+    },
+    {
+        key: 'ambientTemperature',
+        label: 'Ambient Temperature',
+        type: 'range',
+        group: 'Behaviour',
+        min: 40,
+        max: 100,
+        step: 1,
+        format: (value) => `${value}°F`,
+        visibleWhen: showWhenThermal
+    },
+    {
+        key: 'thermalSpeed',
+        label: 'Thermal Time Scale',
+        type: 'range',
+        group: 'Behaviour',
+        min: 1,
+        max: 120,
+        step: 1,
+        format: (value) => `x${value}`,
+        visibleWhen: showWhenThermal
+    },
+    {
+        key: 'delayStartEnabled',
+        label: 'Delay Start Mode',
+        type: 'boolean',
+        group: 'Behaviour',
+        options: ENABLED_OPTIONS
+    },
+    {
+        key: 'scheduleTarget',
+        label: 'Scheduled Time Is',
+        type: 'select',
+        group: 'Behaviour',
+        options: [
+            { value: 'ready-by', label: 'Ready by (finish)' },
+            { value: 'start-at', label: 'Start at' }
+        ],
+        visibleWhen: (settings) => settings.delayStartEnabled
+    },
+    {
+        key: 'rapidModeThreshold',
+        label: 'Rapid Mode Threshold',
+        type: 'number',
+        group: 'Behaviour',
+        min: 1,
+        max: 120,
+        step: 1,
+        format: (value) => `${value} presses`,
+        elementId: 'rapidModeThreshold',
+        valueElementId: 'rapidModeThresholdValue',
+        visibleWhen: (settings) => settings.accelerationModel !== 'velocity'
+    },
+    {
+        key: 'accelerationModel',
+        label: 'Acceleration Model',
+        type: 'select',
+        group: 'Acceleration',
+        options: [
+            { value: 'rapid', label: 'Rapid mode (press count)' },
+            { value: 'velocity', label: 'Velocity curve' }
+        ]
+    },
+    {
+        key: 'velocityMaxStep',
+        label: 'Max Step',
+        type: 'range',
+        group: 'Acceleration',
+        min: 1,
+        max: 40,
+        step: 1,
+        format: (value) => `${value}x`,
+        visibleWhen: showWhenVelocity
+    },
+    {
+        key: 'velocityMinRate',
+        label: 'Acceleration Starts At',
+        type: 'range',
+        group: 'Acceleration',
+        min: 0,
+        max: 30,
+        step: 1,
+        format: (value) => `${value} detents/s`,
+        visibleWhen: showWhenVelocity
+    },
+    {
+        key: 'velocityMaxRate',
+        label: 'Max Step At',
+        type: 'range',
+        group: 'Acceleration',
+        min: 5,
+        max: 60,
+        step: 1,
+        format: (value) => `${value} detents/s`,
+        visibleWhen: showWhenVelocity
+    },
+    {
+        key: 'velocitySmoothing',
+        label: 'Rate Smoothing',
+        type: 'range',
+        group: 'Acceleration',
+        min: 0.05,
+        max: 1,
+        step: 0.05,
+        format: (value) => (value >= 1 ? 'Off' : String(value)),
+        visibleWhen: showWhenVelocity
+    },
+    {
+        key: 'velocityHysteresis',
+        label: 'Step Hysteresis',
+        type: 'range',
+        group: 'Acceleration',
+        min: 0,
+        max: 1,
+        step: 0.05,
+        format: (value) => `${value} steps`,
+        visibleWhen: showWhenVelocity
+    },
+    {
+        key: 'velocityCurve',
+        label: 'Velocity Curve',
+        type: 'select',
+        group: 'Acceleration',
+        options: SCALE_EASING_NAMES.map((name) => ({ value: name, label: name })),
+        visibleWhen: showWhenVelocity
+    },
+    {
+        key: 'flashDuration',
+        label: 'Flash Duration (ms)',
+        type: 'number',
+        group: 'Behaviour',
+        min: 50,
+        max: 500,
+        step: 25,
+        format: (value) => `${value}ms`,
+        elementId: 'flashDuration',
+        valueElementId: 'flashDurationValue'
+    },
+    {
+        key: 'flashCount',
+        label: 'Flash Count',
+        type: 'number',
+        group: 'Behaviour',
+        min: 1,
+        max: 10,
+        step: 1,
+        format: (value) => `${value} flashes`,
+        elementId: 'flashCount',
+        valueElementId: 'flashCountValue'
+    },
+    {
+        key: 'reducedMotion',
+        label: 'Reduced Motion',
+        type: 'select',
+        group: 'Behaviour',
+        options: [
+            { value: 'auto', label: 'Follow system setting' },
+            { value: 'on', label: 'On' },
+            { value: 'off', label: 'Off' }
+        ]
+    },
+    {
+        key: 'scalingEnabled',
+        label: 'Enable Tick Scaling',
+        type: 'boolean',
+        group: 'Tick Scaling',
+        elementId: 'enableScalingSelect',
+        options: ENABLED_OPTIONS
+    },
+    {
+        key: 'currentLength',
+        label: 'Current Tick Length',
+        type: 'range',
+        group: 'Tick Scaling',
+        min: 1.5,
+        max: 4,
+        step: 0.1,
+        format: (value) => `${value}x`,
+        visibleWhen: showWhenScaling,
+        elementId: 'currentLength',
+        valueElementId: 'currentLengthValue'
+    },
+    {
+        key: 'adjacentFalloff',
+        label: 'Adjacent Falloff %',
+        type: 'range',
+        group: 'Tick Scaling',
+        min: 10,
+        max: 50,
+        step: 5,
+        format: (value) => `${value}%`,
+        visibleWhen: showWhenScaling,
+        elementId: 'adjacentFalloff',
+        valueElementId: 'adjacentFalloffValue'
+    },
+    {
+        key: 'radiusPercent',
+        label: 'Affected Radius %',
+        type: 'range',
+        group: 'Tick Scaling',
+        min: 5,
+        max: 20,
+        step: 1,
+        format: (value) => `${value}%`,
+        visibleWhen: showWhenScaling,
+        elementId: 'radiusPercent',
+        valueElementId: 'radiusPercentValue'
+    },
+    {
+        key: 'autoReset',
+        label: 'Auto Reset Scaling',
+        type: 'boolean',
+        group: 'Tick Scaling',
+        options: ENABLED_OPTIONS,
+        visibleWhen: showWhenScaling,
+        elementId: 'autoResetSelect'
+    },
+    {
+        key: 'resetDelay',
+        label: 'Reset Delay (seconds)',
+        type: 'number',
+        group: 'Tick Scaling',
+        min: 0.1,
+        max: 10,
+        step: 0.05,
+        format: (value) => `${value}s`,
+        visibleWhen: showWhenScaling,
+        elementId: 'resetDelay',
+        valueElementId: 'resetDelayValue'
+    },
+    {
+        key: 'alignment',
+        label: 'Tick Alignment',
+        type: 'select',
+        group: 'Tick Scaling',
+        options: [
+            { value: 'center', label: 'Centered' },
+            { value: 'inward', label: 'Inward' },
+            { value: 'outward', label: 'Outward' }
+        ],
+        visibleWhen: showWhenScaling,
+        elementId: 'alignmentSelect'
+    },
+    {
+        key: 'curve',
+        label: 'Falloff Curve',
+        type: 'select',
+        group: 'Tick Scaling',
+        options: [
+            { value: 'easeIn', label: 'Ease In' },
+            { value: 'linear', label: 'Linear' },
+            { value: 'easeOut', label: 'Ease Out' },
+            { value: 'sine', label: 'Sine Wave' },
+            { value: 'exponential', label: 'Exponential' },
+            { value: 'bezier', label: 'Cubic bezier' },
+            { value: 'custom', label: 'Custom function' }
+        ],
+        visibleWhen: showWhenScaling,
+        elementId: 'curveSelect'
+    },
+    {
+        key: 'falloffBezier',
+        label: 'Falloff Bezier',
+        type: 'bezier',
+        group: 'Tick Scaling',
+        visibleWhen: (settings) => settings.scalingEnabled && settings.curve === 'bezier'
+    },
+    {
+        key: 'scaleEasing',
+        label: 'Scale In/Out Easing',
+        type: 'select',
+        group: 'Tick Scaling',
+        options: [
+            ...SCALE_EASING_NAMES.map((name) => ({ value: name, label: name })),
+            { value: 'bezier', label: 'Cubic bezier' },
+            { value: 'custom', label: 'Custom function' }
+        ],
+        visibleWhen: showWhenScaling
+    },
+    {
+        key: 'scaleBezier',
+        label: 'Scale Bezier',
+        type: 'bezier',
+        group: 'Tick Scaling',
+        visibleWhen: (settings) => settings.scalingEnabled && settings.scaleEasing === 'bezier'
+    }
+]);
+
+const buildTemplate = (idPrefix, unit, temperature) => {
     const withPrefix = (suffix) => (idPrefix ? `${idPrefix}-${suffix}` : suffix);
+    const { label, iconClass } = TEMPERATURE_UNITS[unit];
 
     return `
     <div class="cooking-status" id="${withPrefix(ID_SUFFIXES.cookingStatus)}"></div>
     <canvas id="${withPrefix(ID_SUFFIXES.dial)}" width="320" height="320"></canvas>
     <div class="center-display">
+        <div class="stage-label" id="${withPrefix(ID_SUFFIXES.stageLabel)}" hidden></div>
         <div class="temp-display" id="${withPrefix(ID_SUFFIXES.tempDisplay)}">
-            <div class="temp-unit" style="opacity: 0;" aria-label="degrees Fahrenheit">
-                <i class="fa-kit fa-degree-fahrenheit" aria-hidden="true"></i>
+            <div class="temp-unit" style="opacity: 0;" aria-label="${label}">
+                <i class="fa-kit ${iconClass}" aria-hidden="true"></i>
             </div>
-            <div class="temp-number">400</div>
-            <div class="temp-unit" aria-label="degrees Fahrenheit">
-                <i class="fa-kit fa-degree-fahrenheit" aria-hidden="true"></i>
+            <div class="temp-number">${temperature}</div>
+            <div class="temp-unit" aria-label="${label}">
+                <i class="fa-kit ${iconClass}" aria-hidden="true"></i>
             </div>
         </div>
         <div class="time-display-main" id="${withPrefix(ID_SUFFIXES.timeDisplayMain)}">10:00</div>
@@ -186,17 +936,21 @@ const buildTemplate = (idPrefix) => {
         </div>
         <div class="rack-label" id="${withPrefix(ID_SUFFIXES.rackLabel)}">RACK</div>
     </div>
-    <div class="completion-buttons" id="${withPrefix(ID_SUFFIXES.completionButtons)}">
-        <button class="completion-btn active" id="${withPrefix(ID_SUFFIXES.bitMoreBtn)}">A bit more</button>
-        <button class="completion-btn" id="${withPrefix(ID_SUFFIXES.keepWarmBtn)}">Keep warm</button>
-    </div>
+    <div class="completion-buttons" id="${withPrefix(ID_SUFFIXES.completionButtons)}"></div>
 `;
 };
 
-class CircularTimeDial {
+class CircularTimeDial extends EventTarget {
     constructor(target = '.circular-time-dial', options = {}) {
-        const container = typeof target === 'string' ? document.querySelector(target) : target;
-        if (!container) {
+        super();
+
+        // Headless dials have no markup: they keep state, timers and events and
+        // draw the ring into `options.canvas` (OffscreenCanvas, node-canvas) or
+        // wherever renderRing() is pointed. Used for workers and image tests.
+        this.headless = Boolean(options.headless);
+
+        const container = this.headless ? null : (typeof target === 'string' ? document.querySelector(target) : target);
+        if (!container && !this.headless) {
             throw new Error(`CircularTimeDial: container "${target}" not found`);
         }
 
@@ -205,6 +959,17 @@ class CircularTimeDial {
         this.debugRoot = options.debugRoot || null;
         this.debugSelectors = options.debugSelectors || {};
         this._debugElementCache = new Map();
+        this.debugBindings = [];
+        this.debugControlSyncs = []; // Push debugSettings back into bound controls
+
+        // Lifecycle: tracked timers, suspended rendering while hidden, teardown
+        this.updateLoopTimers = [];
+        this.frameRequests = new Map();
+        this.renderSuspended = false;
+        this.destroyed = false;
+        this.ownsMarkup = !options.useExistingMarkup && !this.headless;
+        this.autoSuspend = options.autoSuspend !== false && !this.headless;
+        this.visibilityObserver = null;
 
         // Debug settings
         const providedDebug = options.debugSettings || {};
@@ -212,9 +977,41 @@ class CircularTimeDial {
             ...DEFAULT_DEBUG_SETTINGS,
             ...providedDebug
         };
+        if (options.palette) {
+            this.debugSettings.colorMode = options.palette;
+        }
+        if (options.reducedMotion !== undefined) {
+            this.debugSettings.reducedMotion = typeof options.reducedMotion === 'boolean'
+                ? (options.reducedMotion ? 'on' : 'off')
+                : options.reducedMotion;
+        }
+
+        // Functions passed to setFalloffCurve()/setScaleEasing(); settings can only hold strings
+        this.customFalloffCurve = null;
+        this.customScaleEasing = null;
+        if (options.falloffCurve) {
+            this.setFalloffCurve(options.falloffCurve, { render: false });
+        }
+        if (options.scaleEasing) {
+            this.setScaleEasing(options.scaleEasing, { render: false });
+        }
 
-        this.autoBindKeys = options.autoBindKeys !== false;
+        this.autoBindKeys = options.autoBindKeys !== false && !this.headless;
         this.boundHandleKeydown = this.handleKeydown.bind(this);
+        this.dialInput = null;
+        this.dialInputHandle = null;
+        this.pointerInput = options.pointerInput !== false && !this.headless;
+        this.pointerDrag = null;
+        this.wheelDelta = 0;
+        this.unacceleratedInput = false; // Set while a pointer or wheel step is applied
+
+        // Every timer, interval and animation reads this clock (see dial-clock.js)
+        this.clock = createClock(options.clock);
+
+        this.pauseButton = options.pauseButton || 'aux';
+        if (!PAUSE_BUTTONS.includes(this.pauseButton)) {
+            throw new Error(`CircularTimeDial: pauseButton must be one of ${PAUSE_BUTTONS.join(', ')}`);
+        }
 
         const idPrefix = typeof options.idPrefix === 'string' ? options.idPrefix : 'circular-time-dial';
         this.idPrefix = idPrefix;
@@ -223,43 +1020,85 @@ class CircularTimeDial {
             this.ids[key] = idPrefix ? `${idPrefix}-${suffix}` : suffix;
         });
 
-        this.root.classList.add('circular-time-dial');
+        if (this.root) {
+            this.root.classList.add('circular-time-dial');
+        }
+
+        this.temperatureUnit = assertTemperatureUnit(options.temperatureUnit || DEFAULT_TEMPERATURE_UNIT);
+        this.temperatureRangeSource = this.resolveTemperatureRangeSource(options.temperatureRange);
+        this.unitFlip = null;
 
-        if (!options.useExistingMarkup) {
-            this.root.innerHTML = buildTemplate(idPrefix);
+        const temperatureRange = normalizeTemperatureRange(this.temperatureRangeSource, this.temperatureUnit);
+        this.minTemp = temperatureRange.min;
+        this.maxTemp = temperatureRange.max;
+        this.tempStep = temperatureRange.step;
+
+        if (this.ownsMarkup) {
+            this.root.innerHTML = buildTemplate(idPrefix, this.temperatureUnit, this.getDefaultState().temperature);
         }
 
-        this.canvas = document.getElementById(this.ids.dial);
+        const findElement = (key) => (this.headless ? null : document.getElementById(this.ids[key]));
+        this.canvas = this.headless ? options.canvas || null : findElement('dial');
+        this.renderer = options.renderer || 'canvas';
+        if (!RING_RENDERERS.includes(this.renderer)) {
+            throw new Error(`CircularTimeDial: renderer must be one of ${RING_RENDERERS.join(', ')}`);
+        }
         this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
-        this.tempDisplay = document.getElementById(this.ids.tempDisplay);
-        this.timeDisplayMain = document.getElementById(this.ids.timeDisplayMain);
-        this.modeLabel = document.getElementById(this.ids.modeLabel);
-        this.rackIcon = document.getElementById(this.ids.rackIcon);
-        this.rackLabel = document.getElementById(this.ids.rackLabel);
-        this.cookingStatus = document.getElementById(this.ids.cookingStatus);
-        this.completionButtons = document.getElementById(this.ids.completionButtons);
-        this.bitMoreBtn = document.getElementById(this.ids.bitMoreBtn);
-        this.keepWarmBtn = document.getElementById(this.ids.keepWarmBtn);
-
-        if (!this.canvas || !this.ctx || !this.tempDisplay || !this.timeDisplayMain || !this.modeLabel || !this.cookingStatus || !this.completionButtons || !this.bitMoreBtn || !this.keepWarmBtn) {
+        this.tempDisplay = findElement('tempDisplay');
+        this.timeDisplayMain = findElement('timeDisplayMain');
+        this.modeLabel = findElement('modeLabel');
+        this.rackIcon = findElement('rackIcon');
+        this.rackLabel = findElement('rackLabel');
+        this.cookingStatus = findElement('cookingStatus');
+        this.stageLabel = findElement('stageLabel'); // Optional; older markup has none
+        this.completionButtons = findElement('completionButtons');
+
+        if (!this.headless && (!this.canvas || !this.ctx || !this.tempDisplay || !this.timeDisplayMain || !this.modeLabel || !this.cookingStatus || !this.completionButtons)) {
             throw new Error('CircularTimeDial: required markup missing after initialization');
         }
+        if (this.headless && this.canvas && !this.ctx) {
+            throw new Error('CircularTimeDial: headless canvas has no 2D context');
+        }
+
+        // Pointer input and sizing target whichever element shows the ring
+        this.svgHost = null;
+        this.svgMarkup = null;
+        this.ringSurface = this.canvas;
+        if (this.renderer === 'svg' && !this.headless) {
+            this.svgHost = document.createElement('div');
+            this.svgHost.className = 'ring-svg';
+            this.canvas.parentNode.insertBefore(this.svgHost, this.canvas);
+            this.canvas.hidden = true;
+            this.ctx = new SvgRingContext({ width: RING_VIEW_SIZE });
+            this.ringSurface = this.svgHost;
+        }
 
-        this.totalMinutes = 10; // Start with 10 minutes
-        this.maxMinutes = 72 * 60;
+        this.timeSchedule = normalizeTimeSchedule(options.timeSchedule);
+        this.minMinutes = this.timeSchedule.min;
+        this.maxMinutes = this.timeSchedule.max;
 
-        this.temperature = 400; // Start with 400°F
-        this.minTemp = 300;
-        this.maxTemp = 480;
+        this.totalMinutes = this.snapMinutes(DEFAULT_STATE.totalMinutes); // Start with 10 minutes
+        this.temperature = this.getDefaultState().temperature; // Start with 400°F (205°C)
+        this.updateTemperatureUnitDisplay();
 
         this.tempMode = true; // Start in temperature mode
+        this.scheduleMode = false; // Third setup mode: pick a delayed start
+        this.scheduledTime = null; // Picked clock time (ms), null for no delay
+
+        this.centerX = RING_VIEW_SIZE / 2;
+        this.centerY = RING_VIEW_SIZE / 2;
+        this.radius = RING_RADIUS;
 
-        this.centerX = 160;
-        this.centerY = 160;
-        this.radius = 136;
+        // Display size in CSS px. A numeric `size` option pins it; otherwise it
+        // follows the host element. The backing store is size × devicePixelRatio.
+        this.fixedSize = Number(options.size) > 0 ? Number(options.size) : null;
+        this.size = RING_VIEW_SIZE;
+        this.pixelRatio = 1;
+        this.resizeObserver = null;
+        this.pixelRatioWatch = null;
 
         // Timer for scaling reset
-        this.lastActionTime = Date.now();
+        this.lastActionTime = this.clock.now();
         this.scalingActive = false;
 
         // Acceleration properties for rapid key presses
@@ -272,6 +1111,16 @@ class CircularTimeDial {
         this.rapidModeWindow = 2000; // Time window (2 seconds) to count clicks for rapid mode
         this.rapidModeDecayTime = 600; // ms - time of inactivity before exiting rapid mode
         this.lastKeyPressed = null; // Track which key was last pressed ('o' or 'p')
+        this.velocityAcceleration = new VelocityAcceleration(this.getVelocityOptions());
+        this.accelerationTrace = new AccelerationTrace();
+        this.accelerationRate = 0; // Smoothed detents/s in the velocity model
+
+        // Simulated oven cavity for the 'thermal' preheat model
+        this.thermalModel = options.thermalModel || new OvenThermalModel(this.getThermalOptions());
+        this.lastThermalUpdate = null;
+        this.preheatStartTemperature = null;
+        this.preheatReachedAt = null; // Clock time the cavity reached the target
+        this.lastOvenTemperature = null;
 
         // Animation properties
         this.animationDuration = 300; // ms
@@ -291,10 +1140,28 @@ class CircularTimeDial {
         this.colonBlinkState = true;
         this.preheatPhase = false;
         this.preheatFlashState = true;
+        this.paused = false;
+        this.pausedAt = null;
+        this.countdownAdjustTarget = 'time'; // What rotation adjusts mid-cook
+
+        // Delay start: the scheduled cook waits until delayStartAt
+        this.waitingMode = false;
+        this.delayStartAt = null;
+        this.lastScheduleRenderSecond = null;
+
+        // Multi-stage program: stages run back to back after one preheat
+        this.program = null;
+        this.stageIndex = 0;
+        this.completedStageSeconds = []; // Actual length of each finished stage
+        this.stageTransitionStart = null;
 
         // Completion state properties
         this.cookingComplete = false;
-        this.selectedButton = 0; // 0 = "A bit more", 1 = "Keep warm"
+        this.completionActions = normalizeCompletionActions(options.completionActions || DEFAULT_COMPLETION_ACTIONS);
+        this.selectedButton = 0; // Index into completionActions
+        this.followOn = null; // Short cook started from the completion screen
+        this.rangeBeforeFollowOn = null; // { source } while a follow-on cook has widened the range
+        this.lastCountdownTickSecond = null;
 
         // Flash animation properties
         this.isFlashing = false;
@@ -315,795 +1182,2632 @@ class CircularTimeDial {
         this.trailCatchUpStart = null;
         this.trailFlowOutAnimation = false;
         this.trailFlowOutStart = null;
-        this.lastMovementTime = Date.now();
+        this.lastMovementTime = this.clock.now();
         this.isMoving = false;
         this.previousCurrentTick = -1;
         this.movementDirection = null; // 'forward' or 'backward'
         this.trailLength = 0; // How many trail ticks to show (grows as you move)
         this.maxTrailLength = 7; // Maximum trail length
 
-        if (this.autoBindKeys) {
+        if (options.dialInput) {
+            this.bindDialInput(options.dialInput);
+        } else if (this.autoBindKeys) {
             this.setupEventListeners();
         }
-        this.setupDebugControls();
+        if (this.pointerInput) {
+            this.setupPointerInput();
+        }
+        this.systemReducedMotion = false;
+        this.reducedMotionWatch = null;
+        this.liveRegion = null;
+        if (!this.headless) {
+            this.watchReducedMotion();
+            this.setupAccessibility();
+        }
+        this.feedback = null;
+        this.feedbackHandlers = [];
+        if (options.feedback) {
+            this.setFeedback(options.feedback);
+        }
+        this.renderCompletionButtons();
+        if (!this.headless) {
+            this.setupDebugControls();
+        }
         this.updateRackDisplay();
         this.applyFontMode();
         this.startUpdateLoop();
+        if (this.autoSuspend) {
+            this.setupVisibilityObserver();
+        }
+        if (!this.headless) {
+            this.setupSizing();
+        }
         this.render();
     }
 
     setupEventListeners() {
+        if (!hasDocument()) return;
         document.addEventListener('keydown', this.boundHandleKeydown);
     }
 
-    handleKeydown(event) {
-        if (!event || !event.key) {
+    // ---- Lifecycle -------------------------------------------------------
+
+    // Stops drawing while the host is hidden (e.g. a flow container with
+    // `hidden` set). Timers keep running, so a countdown stays accurate and
+    // the dial catches up on the first frame after it shows again.
+    setupVisibilityObserver() {
+        if (typeof IntersectionObserver !== 'function') {
             return;
         }
 
-        const key = event.key.toLowerCase();
-        if (key === 'p') {
-            if (this.cookingComplete) {
-                this.navigateButtons(1); // Next button
-            } else {
-                if (this.debugSettings.trailMode === 'stay') {
-                    this.startTrailDirectionAnimation('normal'); // P sets trail to normal direction
-                }
-                this.increaseValue();
-            }
-        } else if (key === 'o') {
-            if (this.cookingComplete) {
-                this.navigateButtons(-1); // Previous button
+        this.visibilityObserver = new IntersectionObserver((entries) => {
+            const entry = entries[entries.length - 1];
+            if (entry.isIntersecting) {
+                this.resumeRendering();
             } else {
-                if (this.debugSettings.trailMode === 'stay') {
-                    this.startTrailDirectionAnimation('opposite'); // O sets trail to opposite direction
-                }
-                this.decreaseValue();
+                this.suspendRendering();
             }
-        } else if (key === 'r') {
-            this.restart();
-        } else if (key === 'q') {
-            this.toggleMode();
-        } else if (key === '1') {
-            this.startCooking();
-        }
+        });
+        this.visibilityObserver.observe(this.root);
     }
 
-    calculateAcceleration(currentKey) {
-        const now = Date.now();
+    suspendRendering() {
+        this.renderSuspended = true;
+    }
 
-        // Check if direction changed - if so, reset rapid mode
-        if (this.lastKeyPressed && this.lastKeyPressed !== currentKey) {
-            this.rapidMode = false;
-            this.keyPressHistory = [];
-            this.accelerationMultiplier = 1;
-        }
-        this.lastKeyPressed = currentKey;
+    resumeRendering() {
+        if (!this.renderSuspended) return;
+        this.renderSuspended = false;
+        this.render();
+    }
 
-        // Add current key press to history
-        this.keyPressHistory.push(now);
+    isRenderingSuspended() {
+        return this.renderSuspended;
+    }
 
-        // Clean old key presses (older than rapid mode window)
-        this.keyPressHistory = this.keyPressHistory.filter(timestamp => 
-            now - timestamp <= this.rapidModeWindow
-        );
+    // ---- Sizing ----------------------------------------------------------
 
-        // Check if we should enter rapid mode
-        if (!this.rapidMode && this.keyPressHistory.length >= this.rapidModeThreshold) {
-            this.rapidMode = true;
+    setupSizing() {
+        if (this.fixedSize) {
+            this.root.style.width = `${this.fixedSize}px`;
+            this.root.style.height = `${this.fixedSize}px`;
         }
+        this.resize(this.fixedSize || this.measureHostSize());
+        this.watchPixelRatio();
 
-        // Check if we should exit rapid mode (no recent key presses)
-        if (this.rapidMode) {
-            const timeSinceLastPress = now - this.keyPressHistory[this.keyPressHistory.length - 2] || 0;
-            if (timeSinceLastPress > this.rapidModeDecayTime) {
-                this.rapidMode = false;
-                this.accelerationMultiplier = 1;
-                return 1;
-            }
+        if (this.fixedSize || typeof ResizeObserver !== 'function') {
+            return;
         }
+        this.resizeObserver = new ResizeObserver((entries) => {
+            const { width, height } = entries[entries.length - 1].contentRect;
+            const size = Math.min(width, height);
+            // Zero while hidden; keep the last size until it shows again
+            if (size > 0 && size !== this.size) {
+                this.resize(size);
+            }
+        });
+        this.resizeObserver.observe(this.root);
+    }
 
-        if (this.rapidMode) {
-            // Rapid mode uses 3x acceleration
-            this.accelerationMultiplier = this.maxAcceleration;
-        } else {
-            // Normal mode: always 1x
-            this.accelerationMultiplier = 1;
-        }
+    measureHostSize() {
+        const size = Math.min(this.root.clientWidth, this.root.clientHeight);
+        return size > 0 ? size : RING_VIEW_SIZE;
+    }
 
-        // Update debug display
-        this.updateAccelerationDebug();
+    // Re-renders at the new density when the window moves to a display with
+    // a different devicePixelRatio (or the page is zoomed)
+    watchPixelRatio() {
+        this.unwatchPixelRatio();
+        if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+            return;
+        }
 
-        return Math.round(this.accelerationMultiplier);
+        const query = window.matchMedia(`(resolution: ${getDevicePixelRatio()}dppx)`);
+        const handler = () => {
+            this.resize(this.size);
+            this.watchPixelRatio();
+        };
+        query.addEventListener('change', handler);
+        this.pixelRatioWatch = { query, handler };
     }
 
-    updateAccelerationDebug() {
-        const keyPressCount = this.getDebugElement('keyPressCount');
-        const rapidModeStatus = this.getDebugElement('rapidModeStatus');
-        const accelerationMultiplierDisplay = this.getDebugElement('accelerationMultiplier');
-        const lastKeyDisplay = this.getDebugElement('lastKey');
-        const thresholdDisplay = this.getDebugElement('rapidModeThresholdDisplay');
+    unwatchPixelRatio() {
+        if (this.pixelRatioWatch) {
+            this.pixelRatioWatch.query.removeEventListener('change', this.pixelRatioWatch.handler);
+            this.pixelRatioWatch = null;
+        }
+    }
 
-        if (!keyPressCount || !rapidModeStatus || !accelerationMultiplierDisplay || !lastKeyDisplay) {
+    // Sets the CSS size of the ring and matches the backing store to the
+    // current devicePixelRatio. The context keeps a base transform into ring
+    // units, and --dial-scale scales the centre text with the ring.
+    resize(size = this.size) {
+        const value = Number(size);
+        if (!Number.isFinite(value) || value <= 0 || !this.ringSurface) {
             return;
         }
 
-        keyPressCount.textContent = this.keyPressHistory.length;
-        if (thresholdDisplay) {
-            thresholdDisplay.textContent = this.debugSettings.rapidModeThreshold;
+        const pixelRatio = getDevicePixelRatio();
+        const backingSize = Math.round(value * pixelRatio);
+        this.size = value;
+        this.pixelRatio = pixelRatio;
+
+        this.ringSurface.style.width = `${value}px`;
+        this.ringSurface.style.height = `${value}px`;
+        if (this.renderer === 'canvas') {
+            if (this.canvas.width !== backingSize || this.canvas.height !== backingSize) {
+                this.canvas.width = backingSize;
+                this.canvas.height = backingSize;
+            }
+            const scale = backingSize / RING_VIEW_SIZE;
+            this.ctx.setTransform(scale, 0, 0, scale, 0, 0);
         }
+        this.root.style.setProperty('--dial-scale', String(value / RING_VIEW_SIZE));
 
-        if (this.rapidMode) {
-            rapidModeStatus.textContent = 'RAPID MODE';
-            rapidModeStatus.className = 'rapid-mode';
-        } else {
-            rapidModeStatus.textContent = 'Normal';
-            rapidModeStatus.className = 'normal-mode';
-        }
+        this.render();
+    }
 
-        accelerationMultiplierDisplay.textContent = Math.round(this.accelerationMultiplier);
-        lastKeyDisplay.textContent = this.lastKeyPressed || 'None';
+    getSize() {
+        return { size: this.size, pixelRatio: this.pixelRatio };
     }
 
-    handleTrailMovement(direction) {
-        if (this.debugSettings.trailMode !== 'animated') return;
+    // Stops every timer and animation and removes all listeners (document
+    // keys, DialInput, pointer, completion buttons, debug controls). Markup
+    // the dial generated is removed; markup passed in is left in place.
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
 
-        const now = Date.now();
-        this.lastMovementTime = now;
-        this.isMoving = true;
-        this.movementDirection = direction;
+        this.updateLoopTimers.forEach((id) => this.clock.clearInterval(id));
+        this.updateLoopTimers = [];
+        this.frameRequests.forEach((id) => this.clock.cancelFrame(id));
+        this.frameRequests.clear();
 
-        // Grow trail by one tick each key press (not per individual time increment)
-        this.trailLength = Math.min(this.trailLength + 1, this.maxTrailLength);
+        if (!this.headless && hasDocument()) {
+            document.removeEventListener('keydown', this.boundHandleKeydown);
+        }
+        this.unbindDialInput();
+        this.teardownPointerInput();
+        this.teardownAccessibility();
+        this.unwatchReducedMotion();
+        this.setFeedback(null);
 
-        // Stop any catch-up animation since we're moving
-        this.trailCatchUpAnimation = false;
-        this.trailCatchUpStart = null;
-        this.trailAnimationCatchUpProgress = undefined;
-    }
+        this.teardownCompletionButtons();
 
-    updateAnimatedTrail() {
-        if (this.debugSettings.trailMode !== 'animated') return;
+        this.debugBindings.forEach(({ element, type, handler }) => {
+            element.removeEventListener(type, handler);
+        });
+        this.debugBindings = [];
+        this.debugControlSyncs = [];
+        this._debugElementCache.clear();
 
-        const now = Date.now();
-        const timeSinceLastMovement = now - this.lastMovementTime;
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.unwatchPixelRatio();
 
-        // Check if we should stop moving and start catch-up
-        if (this.isMoving && timeSinceLastMovement > 0) { // Immediate catch-up when stopped
-            this.isMoving = false;
-            this.trailFlowOutAnimation = false;
-            this.trailFlowOutStart = null;
-
-            // Start catch-up animation if we have a trail
-            if (this.trailLength > 0) {
-                this.trailCatchUpAnimation = true;
-                this.trailCatchUpStart = now;
-            }
+        if (this.svgHost) {
+            this.svgHost.remove();
+            this.svgHost = null;
+            this.svgMarkup = null;
+            this.canvas.hidden = false;
         }
-
-        // Update trail positions based on animation state
-        if (this.trailCatchUpAnimation && this.trailCatchUpStart) {
-            this.updateTrailCatchUp();
-        } else if (this.trailFlowOutAnimation && this.trailFlowOutStart) {
-            this.updateTrailFlowOut();
+        if (this.ownsMarkup) {
+            this.root.innerHTML = '';
+        }
+        if (this.root) {
+            this.root.classList.remove('circular-time-dial');
+            this.root.style.removeProperty('--dial-scale');
         }
     }
 
-    updateTrailFade() {
-        const elapsed = Date.now() - this.trailFadeStart;
-        const fadeOutDuration = 400; // 400ms to fade to 30% opacity
-        const progress = Math.min(elapsed / fadeOutDuration, 1);
+    isDestroyed() {
+        return this.destroyed;
+    }
 
-        // Fade from 100% to 30% opacity
-        this.trailOpacity = 1.0 - (progress * 0.7); // Goes from 1.0 to 0.3
+    // Subscribes to a shared DialInput instead of listening on the document.
+    bindDialInput(dialInput) {
+        this.unbindDialInput();
+        if (!dialInput || typeof dialInput.push !== 'function') {
+            return;
+        }
 
-        if (progress >= 1) {
-            // Fade complete - start catch-up animation
-            this.trailFadeAnimation = false;
-            this.trailFadeStart = null;
+        const forward = (type) => () => this.handleDialInput(type);
+        this.dialInput = dialInput;
+        this.dialInputHandle = dialInput.push({
+            'rotate-cw': forward('rotate-cw'),
+            'rotate-ccw': forward('rotate-ccw'),
+            press: forward('press'),
+            aux: forward('aux'),
+            reset: forward('reset')
+        }, { name: this.idPrefix || 'circular-time-dial' });
+    }
 
-            // Start catch-up animation
-            this.trailCatchUpAnimation = true;
-            this.trailCatchUpStart = Date.now();
+    unbindDialInput() {
+        if (this.dialInput && this.dialInputHandle) {
+            this.dialInput.release(this.dialInputHandle);
         }
+        this.dialInput = null;
+        this.dialInputHandle = null;
     }
 
-    updateTrailCatchUp() {
-        const elapsed = Date.now() - this.trailCatchUpStart;
-        const duration = 350; // 350ms for full catch-up
-        const progress = Math.min(elapsed / duration, 1);
+    handleDialInput(type) {
+        if (type === 'rotate-cw') {
+            if (this.cookingComplete) {
+                this.navigateButtons(1); // Next button
+            } else {
+                if (this.debugSettings.trailMode === 'stay') {
+                    this.startTrailDirectionAnimation('normal'); // P sets trail to normal direction
+                }
+                this.increaseValue();
+            }
+        } else if (type === 'rotate-ccw') {
+            if (this.cookingComplete) {
+                this.navigateButtons(-1); // Previous button
+            } else {
+                if (this.debugSettings.trailMode === 'stay') {
+                    this.startTrailDirectionAnimation('opposite'); // O sets trail to opposite direction
+                }
+                this.decreaseValue();
+            }
+        } else if (type === 'reset') {
+            this.restart();
+        } else if (type === 'press') {
+            if (this.cookingComplete) {
+                this.triggerCompletionAction();
+            } else if (this.countdownMode) {
+                this.handleCountdownButton('press');
+            } else if (this.waitingMode) {
+                this.cancelDelayStart();
+            } else {
+                this.toggleMode();
+            }
+        } else if (type === 'aux') {
+            if (this.countdownMode) {
+                this.handleCountdownButton('aux');
+            } else if (this.waitingMode) {
+                this.startDelayedCook(); // Skip the rest of the wait
+            } else {
+                this.startCooking();
+            }
+        }
+    }
 
-        // Calculate remaining trail length more smoothly to avoid simultaneous disappearance
-        // Use continuous calculation instead of discrete steps
-        const totalTicksToRemove = this.trailLength + 1; // +1 to ensure complete removal
-        const exactTicksToRemove = progress * totalTicksToRemove;
-        const remainingTrail = Math.max(0, this.trailLength + 1 - exactTicksToRemove);
+    handleCountdownButton(button) {
+        if (button === this.pauseButton) {
+            this.togglePause();
+        } else {
+            this.toggleCountdownAdjustTarget();
+        }
+    }
 
-        this.trailAnimationCatchUpProgress = progress;
-        this.currentTrailLength = Math.max(0, Math.floor(remainingTrail));
+    handleKeydown(event) {
+        if (!event || !event.key) {
+            return;
+        }
 
-        if (progress >= 1) {
-            // Animation complete - ensure trail is completely cleared
-            this.trailCatchUpAnimation = false;
-            this.trailCatchUpStart = null;
-            this.trailAnimationCatchUpProgress = undefined;
-            this.trailLength = 0;
-            this.currentTrailLength = 0;
+        const type = KEY_TO_DIAL_EVENT[event.key.toLowerCase()];
+        if (type) {
+            this.handleDialInput(type);
         }
     }
 
-    updateTrailFlowOut() {
-        const elapsed = Date.now() - this.trailFlowOutStart;
-        const duration = 300; // 300ms for flow-out effect
-        const progress = Math.min(elapsed / duration, 1);
+    // ---- Accessibility ---------------------------------------------------
+
+    // The ring is an ARIA slider for whichever value rotation adjusts, and a
+    // polite live region announces mode switches, cook milestones and
+    // completion. Arrow keys, PageUp/PageDown, Home/End and Enter/Space work
+    // while it has focus; o/p/q stay bound on the document as before.
+    setupAccessibility() {
+        const surface = this.ringSurface;
+        if (!surface) return;
+
+        surface.setAttribute('role', 'slider');
+        surface.setAttribute('tabindex', '0');
+        surface.setAttribute('aria-orientation', 'horizontal');
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'dial-live-region';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.root.appendChild(this.liveRegion);
+
+        this.boundHandleSliderKeydown = this.handleSliderKeydown.bind(this);
+        surface.addEventListener('keydown', this.boundHandleSliderKeydown);
+
+        const events = CIRCULAR_TIME_DIAL_EVENTS;
+        this.announcementHandlers = [
+            [events.MODE_CHANGE, () => this.announce(`Adjusting ${this.getMode()}`)],
+            [events.COOK_START, (event) => this.announce(event.detail.preheat
+                ? `Preheating to ${this.describeTemperature()}`
+                : `Cooking started, ${describeDuration(this.totalMinutes * 60)}`)],
+            [events.PREHEAT_END, () => this.announce(`Preheat done, cooking for ${describeDuration(this.getCountdownRemaining())}`)],
+            [events.COUNTDOWN_TICK, (event) => this.announceCountdownMilestone(event.detail.remainingSeconds)],
+            [events.STAGE_CHANGE, (event) => {
+                const { stage } = event.detail;
+                if (stage) this.announce(`Stage ${stage.index + 1} of ${stage.count}: ${stage.label}`);
+            }],
+            [events.DELAY_START, () => this.announce(`Cook scheduled, starts at ${this.describeClockTime(this.delayStartAt)}`)],
+            [events.DELAY_CANCEL, () => this.announce('Delayed start cancelled')],
+            [events.DOOR_CHANGE, (event) => this.announce(event.detail.open ? 'Oven door open' : 'Oven door closed')],
+            [events.PAUSE, () => this.announce('Paused')],
+            [events.RESUME, () => this.announce('Resumed')],
+            [events.COMPLETE, () => this.announce('Cooking complete')]
+        ];
+        this.announcementHandlers.forEach(([type, handler]) => this.addEventListener(type, handler));
+        this.lastAnnouncedTickSeconds = null;
+    }
 
-        // Ease-out function for smooth flow
-        const easeProgress = 1 - Math.pow(1 - progress, 2);
+    teardownAccessibility() {
+        if (this.boundHandleSliderKeydown && this.ringSurface) {
+            this.ringSurface.removeEventListener('keydown', this.boundHandleSliderKeydown);
+            ['role', 'tabindex', 'aria-orientation', 'aria-label', 'aria-valuemin', 'aria-valuemax', 'aria-valuenow', 'aria-valuetext']
+                .forEach((attribute) => this.ringSurface.removeAttribute(attribute));
+        }
+        this.boundHandleSliderKeydown = null;
+        (this.announcementHandlers || []).forEach(([type, handler]) => this.removeEventListener(type, handler));
+        this.announcementHandlers = [];
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+    }
 
-        // Calculate trail flow-out effect
-        this.trailAnimationFlowProgress = easeProgress;
+    // ---- Feedback --------------------------------------------------------
+
+    // Audio/haptic cues through a DialFeedback (see dial-feedback.js): a
+    // detent per step the user turns, a bump where the boundary flash fires,
+    // and cues for mode switches, cook start and completion. Pass null to
+    // silence the dial.
+    setFeedback(feedback) {
+        this.feedbackHandlers.forEach(([type, handler]) => this.removeEventListener(type, handler));
+        this.feedbackHandlers = [];
+        this.feedback = feedback || null;
+        if (!this.feedback) return;
+
+        const events = CIRCULAR_TIME_DIAL_EVENTS;
+        this.feedbackHandlers = [
+            [events.VALUE_CHANGE, (event) => {
+                if (event.detail.source === 'input') this.cueFeedback(FEEDBACK_CUES.DETENT);
+            }],
+            [events.MODE_CHANGE, () => this.cueFeedback(FEEDBACK_CUES.MODE_CHANGE)],
+            [events.COOK_START, () => this.cueFeedback(FEEDBACK_CUES.START)],
+            [events.COMPLETE, () => this.cueFeedback(FEEDBACK_CUES.COMPLETE)]
+        ];
+        this.feedbackHandlers.forEach(([type, handler]) => this.addEventListener(type, handler));
+    }
 
-        if (progress >= 1 && !this.isMoving) {
-            // Animation complete and we're not moving
-            this.trailFlowOutAnimation = false;
-            this.trailFlowOutStart = null;
-        }
+    cueFeedback(cue) {
+        if (!this.feedback) return;
+        this.feedback.cue(cue, {
+            source: 'circular-time-dial',
+            mode: this.getMode(),
+            temperature: this.temperature,
+            totalMinutes: this.totalMinutes
+        });
     }
 
-    getColorPalette() {
-        const useRedTempPalette = this.debugSettings &&
-            this.debugSettings.colorMode === 'red-temp' &&
-            this.tempMode;
+    announce(message) {
+        if (!this.liveRegion) return;
+        // Clearing first makes screen readers repeat an identical message
+        this.liveRegion.textContent = '';
+        this.liveRegion.textContent = message;
+    }
+
+    announceCountdownMilestone(remainingSeconds) {
+        const previous = this.lastAnnouncedTickSeconds;
+        this.lastAnnouncedTickSeconds = remainingSeconds;
+        if (this.preheatPhase || previous === null || remainingSeconds >= previous) return;
 
-        const useRedTempNoTrailNoGreyPalette = this.debugSettings &&
-            this.debugSettings.colorMode === 'red-temp-no-trail-no-grey' &&
-            this.tempMode;
+        // Ticks can skip seconds (fast-forward, a suspended tab), so look for a crossing
+        const crossed = ANNOUNCED_MINUTES_LEFT.find((minutes) => previous > minutes * 60 && remainingSeconds <= minutes * 60);
+        if (crossed !== undefined) {
+            this.announce(`${pluralize(crossed, 'minute')} remaining`);
+        }
+    }
 
-        const useRedGreyPalette = this.debugSettings &&
-            this.debugSettings.colorMode === 'red-grey-temp' &&
-            this.tempMode;
+    describeTemperature(temperature = this.temperature) {
+        return `${temperature} ${TEMPERATURE_UNITS[this.temperatureUnit].label}`;
+    }
 
-        if (useRedTempPalette || useRedTempNoTrailNoGreyPalette) {
-            const base = '#571004';
+    // Current slider range and value for assistive technology
+    getAccessibleValue() {
+        if (this.waitingMode || this.scheduleMode) {
+            const scheduled = this.getScheduledTime();
+            const text = scheduled === null
+                ? 'No delay'
+                : `${this.getScheduleLabel()} ${this.describeClockTime(scheduled)}`;
             return {
-                base,
-                selected: '#FA4947',
-                trailStart: base,
-                trailEnd: '#FA4947'
+                label: this.waitingMode ? 'Waiting to start' : 'Delay start',
+                min: 0,
+                max: SCHEDULE_SLOT_COUNT,
+                now: this.getScheduleSlotIndex() + 1,
+                text: this.waitingMode ? `Starts in ${describeDuration(this.getDelayStartRemaining())}, ${text}` : text
             };
         }
-
-        if (useRedGreyPalette) {
+        if (this.cookingComplete) {
+            // Rotation picks a completion action
+            const action = this.completionActions[this.selectedButton];
             return {
-                base: '#404040',
-                selected: '#FA4947',
-                trailStart: '#404040',
-                trailEnd: '#FA4947'
+                label: 'Cooking complete, choose an action',
+                min: 0,
+                max: Math.max(0, this.completionActions.length - 1),
+                now: this.selectedButton,
+                text: action ? action.label : 'Done'
             };
         }
-
-        if (this.debugSettings &&
-            this.debugSettings.colorMode === 'solid-temp-red' &&
-            this.tempMode) {
+        if (this.isAdjustingTemperature()) {
             return {
-                base: '#2e2e2e',
-                selected: '#FB7E75',
-                trailStart: '#2e2e2e',
-                trailEnd: '#FB7E75'
+                label: 'Temperature',
+                min: this.minTemp,
+                max: this.maxTemp,
+                now: this.temperature,
+                text: this.describeTemperature()
+            };
+        }
+        if (this.countdownMode) {
+            const remaining = this.isPreheating() ? this.totalMinutes * 60 : this.getCountdownRemaining();
+            return {
+                label: 'Time remaining',
+                min: this.minMinutes,
+                max: this.maxMinutes,
+                now: Math.round(remaining / 60),
+                text: `${describeDuration(remaining)} remaining${this.paused ? ', paused' : ''}`
             };
         }
-
         return {
-            base: BASE_GRAY,
-            selected: '#FA4947',
-            trailStart: BASE_GRAY,
-            trailEnd: '#ffffff'
+            label: 'Cooking time',
+            min: this.minMinutes,
+            max: this.maxMinutes,
+            now: this.totalMinutes,
+            text: describeDuration(this.totalMinutes * 60)
         };
     }
 
-    getLineCap() {
-        return this.debugSettings.roundedCaps ? 'round' : 'butt';
+    updateAccessibleValue() {
+        const surface = this.ringSurface;
+        if (!surface || !this.boundHandleSliderKeydown) return;
+
+        const { label, min, max, now, text } = this.getAccessibleValue();
+        const attributes = {
+            'aria-label': label,
+            'aria-valuemin': String(min),
+            'aria-valuemax': String(max),
+            'aria-valuenow': String(now),
+            'aria-valuetext': text
+        };
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (surface.getAttribute(name) !== value) {
+                surface.setAttribute(name, value);
+            }
+        });
     }
 
-    getAnimatedTrailColor(tickIndex, currentTickIndex, totalTicks) {
-        const palette = this.currentPalette || this.getColorPalette();
-        const highlightRgb = parseColorToRgb(palette.trailEnd);
-        const baseRgb = parseColorToRgb(palette.trailStart);
-
-        // Calculate distance from current tick
-        let distance;
-        if (this.movementDirection === 'backward') {
-            // Trail goes forward from current tick when moving backward
-            distance = (tickIndex - currentTickIndex + totalTicks) % totalTicks;
+    handleSliderKeydown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+        const type = SLIDER_KEY_TO_DIAL_EVENT[event.key];
+        if (type) {
+            this.handleDialInput(type);
+        } else if (event.key === 'PageUp' || event.key === 'PageDown') {
+            this.jumpValue(event.key === 'PageUp' ? PAGE_STEPS : -PAGE_STEPS);
+        } else if (event.key === 'Home' || event.key === 'End') {
+            // Clamped to the range, so this lands on the minimum or maximum
+            this.jumpValue(event.key === 'End' ? Infinity : -Infinity);
         } else {
-            // Trail goes backward from current tick when moving forward (default)
-            distance = (currentTickIndex - tickIndex + totalTicks) % totalTicks;
+            return;
         }
+        event.preventDefault();
+    }
 
-        // Determine current trail length to show
-        let activeTrailLength;
-        if (this.trailCatchUpAnimation && this.currentTrailLength !== undefined) {
-            activeTrailLength = this.currentTrailLength;
+    // Moves several schedule steps at once without the acceleration a burst
+    // of single steps would trigger
+    jumpValue(steps) {
+        if (this.cookingComplete || this.ringFillAnimation) return;
+        if (this.scheduleMode || this.waitingMode) {
+            this.stepSchedule(steps, { flash: false });
+            return;
+        }
+
+        const previous = this.getValueSnapshot();
+        if (this.isAdjustingTemperature()) {
+            this.temperature = this.snapTemperature(this.temperature + steps * this.tempStep);
         } else {
-            activeTrailLength = this.trailLength;
+            const current = this.countdownMode ? roundToSecond(this.getCountdownRemaining() / 60) : this.totalMinutes;
+            this.totalMinutes = this.snapMinutes(this.getTimeForStepIndex(this.getTimeStepIndex(current) + steps));
+            if (this.countdownMode) {
+                this.setCountdownRemaining(this.totalMinutes);
+            }
         }
+        this.hasFlashedAtBoundary = false;
+        this.render();
+        this.emitValueChange(previous, 'input');
+    }
 
-        // Show trail only within the active trail length
-        if (distance > 0 && distance <= activeTrailLength) {
-            const trailProgress = distance / this.maxTrailLength;
-            const clampedProgress = clamp(trailProgress, 0, 1);
-            const color = lerpRgb(highlightRgb, baseRgb, clampedProgress);
-            return rgbToString(color);
+    // Reduced motion skips the boundary flash, tick scale-in/out and trail
+    // animations. The debug setting decides; 'auto' follows the system.
+    watchReducedMotion() {
+        this.unwatchReducedMotion();
+        if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+            return;
         }
 
-        // Default: no trail
-        return palette.base;
+        const query = window.matchMedia(REDUCED_MOTION_QUERY);
+        const handler = () => {
+            this.systemReducedMotion = query.matches;
+            this.render();
+        };
+        this.systemReducedMotion = query.matches;
+        query.addEventListener('change', handler);
+        this.reducedMotionWatch = { query, handler };
     }
 
-    getDebugElement(id) {
-        if (!id) {
-            return null;
+    unwatchReducedMotion() {
+        if (this.reducedMotionWatch) {
+            this.reducedMotionWatch.query.removeEventListener('change', this.reducedMotionWatch.handler);
+            this.reducedMotionWatch = null;
         }
+    }
 
-        if (!this._debugElementCache) {
-            this._debugElementCache = new Map();
-        }
+    isReducedMotion() {
+        const { reducedMotion } = this.debugSettings;
+        if (reducedMotion === 'on') return true;
+        if (reducedMotion === 'off') return false;
+        return Boolean(this.systemReducedMotion);
+    }
 
-        if (this._debugElementCache.has(id)) {
-            return this._debugElementCache.get(id);
+    setReducedMotion(value) {
+        const setting = typeof value === 'boolean' ? (value ? 'on' : 'off') : value;
+        if (!['auto', 'on', 'off'].includes(setting)) {
+            throw new Error(`CircularTimeDial: reducedMotion must be true, false, 'auto', 'on' or 'off'`);
         }
+        return this.applyDebugSettings({ reducedMotion: setting });
+    }
 
-        const scope = this.debugRoot || document;
-        const selector = this.debugSelectors[id];
-        let element = null;
+    isTrailAnimated() {
+        return this.debugSettings.trailMode === 'animated' && !this.isReducedMotion();
+    }
 
-        if (selector) {
-            element = scope.querySelector(selector);
+    // Mouse wheel, trackpad and drag-around-the-ring input. Every step goes
+    // through handleDialInput so acceleration, boundary flashes and trails
+    // behave exactly as they do for the physical dial.
+    setupPointerInput() {
+        if (!this.ringSurface) {
+            return;
         }
 
-        if (!element && this.debugRoot) {
-            element = this.debugRoot.querySelector(`#${id}`) || this.debugRoot.querySelector(`[data-debug="${id}"]`);
+        this.boundHandlePointerDown = this.handlePointerDown.bind(this);
+        this.boundHandlePointerMove = this.handlePointerMove.bind(this);
+        this.boundHandlePointerUp = this.handlePointerUp.bind(this);
+        this.boundHandleWheel = this.handleWheel.bind(this);
+
+        this.ringSurface.addEventListener('pointerdown', this.boundHandlePointerDown);
+        this.ringSurface.addEventListener('pointermove', this.boundHandlePointerMove);
+        this.ringSurface.addEventListener('pointerup', this.boundHandlePointerUp);
+        this.ringSurface.addEventListener('pointercancel', this.boundHandlePointerUp);
+        this.ringSurface.addEventListener('wheel', this.boundHandleWheel, { passive: false });
+        this.ringSurface.classList.add('pointer-rotatable');
+    }
+
+    teardownPointerInput() {
+        if (!this.ringSurface || !this.boundHandlePointerDown) {
+            return;
         }
 
-        if (!element) {
-            element = document.getElementById(id);
+        this.ringSurface.removeEventListener('pointerdown', this.boundHandlePointerDown);
+        this.ringSurface.removeEventListener('pointermove', this.boundHandlePointerMove);
+        this.ringSurface.removeEventListener('pointerup', this.boundHandlePointerUp);
+        this.ringSurface.removeEventListener('pointercancel', this.boundHandlePointerUp);
+        this.ringSurface.removeEventListener('wheel', this.boundHandleWheel);
+        this.ringSurface.classList.remove('pointer-rotatable', 'dragging');
+        this.pointerDrag = null;
+        this.wheelDelta = 0;
+    }
+
+    canRotateFromPointer() {
+        // Completion buttons are regular buttons; the fill animation has nothing to adjust
+        return !this.cookingComplete && !this.ringFillAnimation;
+    }
+
+    // Pointer position relative to the dial center, in canvas units
+    getPointerPolar(event) {
+        const rect = this.ringSurface.getBoundingClientRect();
+        const scaleX = rect.width ? RING_VIEW_SIZE / rect.width : 1;
+        const scaleY = rect.height ? RING_VIEW_SIZE / rect.height : 1;
+        const x = (event.clientX - rect.left) * scaleX - this.centerX;
+        const y = (event.clientY - rect.top) * scaleY - this.centerY;
+
+        return {
+            angle: Math.atan2(y, x),
+            distance: Math.hypot(x, y)
+        };
+    }
+
+    // Angle the pointer travels for one dial step, so the current tick keeps
+    // up with the finger as it goes around the ring
+    getPointerStepAngle() {
+        if (this.isAdjustingTemperature()) {
+            // The temperature ring spans the whole range
+            return TAU * (this.tempStep / (this.maxTemp - this.minTemp));
         }
 
-        if (element) {
-            this._debugElementCache.set(id, element);
+        let tickCount;
+        if (!this.isTimePhaseB()) {
+            tickCount = this.getTickCountForMode('phaseA');
+        } else if (this.debugSettings.tickMode === 'hourly') {
+            tickCount = this.getTickCountForMode('phaseBHourly');
+        } else if (this.debugSettings.tickMode === 'wrap') {
+            tickCount = this.getTickCountForMode('phaseBWrap');
+        } else {
+            tickCount = this.getTickCountForMode('phaseB15Min');
         }
 
-        return element;
+        return TAU / Math.max(1, tickCount);
     }
 
-    bindDebugControl({
-        elementId,
-        valueElementId,
-        eventType = 'change',
-        getValue,
-        setValue,
-        formatValue = (value) => value,
-        render = false
-    }) {
-        if (typeof getValue !== 'function' || typeof setValue !== 'function') {
-            return null;
+    // One detent per step angle, never accelerated: the pointer already says
+    // how far to go, and a multiplier would run the value past the finger
+    stepFromPointer(direction) {
+        this.unacceleratedInput = true;
+        try {
+            this.handleDialInput(direction > 0 ? 'rotate-cw' : 'rotate-ccw');
+        } finally {
+            this.unacceleratedInput = false;
         }
+    }
 
-        const control = this.getDebugElement(elementId);
-        if (!control) {
-            return null;
+    handlePointerDown(event) {
+        if (event.button !== undefined && event.button !== 0) {
+            return;
+        }
+        if (!this.canRotateFromPointer()) {
+            return;
         }
 
-        const valueElement = valueElementId ? this.getDebugElement(valueElementId) : null;
-        const format = typeof formatValue === 'function' ? formatValue : (value) => value;
+        const { angle, distance } = this.getPointerPolar(event);
+        if (distance < this.radius * POINTER_DEAD_ZONE_RATIO) {
+            return;
+        }
 
-        const updateValueDisplay = (value) => {
-            if (!valueElement) {
-                return;
-            }
-            valueElement.textContent = format(value);
+        this.pointerDrag = {
+            pointerId: event.pointerId,
+            lastAngle: angle,
+            accumulatedAngle: 0
         };
 
-        const initialValue = getValue();
-        if (initialValue !== undefined) {
-            control.value = String(initialValue);
-            updateValueDisplay(initialValue);
+        if (typeof this.ringSurface.setPointerCapture === 'function' && event.pointerId !== undefined) {
+            try {
+                this.ringSurface.setPointerCapture(event.pointerId);
+            } catch (_error) {
+                /* capture is best-effort */
+            }
         }
+        this.ringSurface.classList.add('dragging');
+        event.preventDefault();
+    }
 
-        control.addEventListener(eventType, (event) => {
-            const updatedValue = setValue(event.target.value);
-            updateValueDisplay(updatedValue);
-            if (render) {
-                this.render();
-            }
-        });
+    handlePointerMove(event) {
+        const drag = this.pointerDrag;
+        if (!drag || drag.pointerId !== event.pointerId) {
+            return;
+        }
+        if (!this.canRotateFromPointer()) {
+            this.handlePointerUp(event);
+            return;
+        }
 
-        return control;
+        const { angle } = this.getPointerPolar(event);
+        drag.accumulatedAngle += getSignedAngleDelta(drag.lastAngle, angle);
+        drag.lastAngle = angle;
+
+        const stepAngle = this.getPointerStepAngle();
+        while (Math.abs(drag.accumulatedAngle) >= stepAngle) {
+            const direction = Math.sign(drag.accumulatedAngle);
+            drag.accumulatedAngle -= direction * stepAngle;
+            this.stepFromPointer(direction);
+        }
+        event.preventDefault();
     }
 
-    setupDebugControls() {
-        this.bindDebugControl({
-            elementId: 'enableScalingSelect',
-            getValue: () => (this.debugSettings.scalingEnabled ? 'true' : 'false'),
-            setValue: (value) => {
-                this.debugSettings.scalingEnabled = value === 'true';
-                this.toggleScalingControls();
-                return value;
-            },
-            render: true
-        });
+    handlePointerUp(event) {
+        const drag = this.pointerDrag;
+        if (!drag || drag.pointerId !== event.pointerId) {
+            return;
+        }
 
-        const gradientColorSelect = this.getDebugElement('gradientColorSelect');
-        if (gradientColorSelect) {
-            gradientColorSelect.value = this.debugSettings.gradientColorMode;
-            gradientColorSelect.addEventListener('change', (event) => {
-                this.debugSettings.gradientColorMode = event.target.value;
-                this.render();
-            });
+        if (typeof this.ringSurface.releasePointerCapture === 'function' && event.pointerId !== undefined) {
+            try {
+                this.ringSurface.releasePointerCapture(event.pointerId);
+            } catch (_error) {
+                /* pointer already released */
+            }
         }
+        this.pointerDrag = null;
+        this.ringSurface.classList.remove('dragging');
+    }
 
-        this.bindDebugControl({
-            elementId: 'colorModeSelect',
-            getValue: () => this.debugSettings.colorMode,
-            setValue: (value) => {
-                this.debugSettings.colorMode = value;
-                return this.debugSettings.colorMode;
-            },
-            render: true
-        });
+    handleWheel(event) {
+        if (!this.canRotateFromPointer()) {
+            return;
+        }
+        event.preventDefault();
 
-        this.bindDebugControl({
-            elementId: 'lineCapSelect',
-            getValue: () => (this.debugSettings.roundedCaps ? 'true' : 'false'),
-            setValue: (value) => {
-                this.debugSettings.roundedCaps = value === 'true';
-                return value;
-            },
-            render: true
-        });
+        // Scrolling up (or right on a trackpad) turns the dial clockwise
+        const rawDelta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : -event.deltaY;
+        const delta = event.deltaMode === 1 ? rawDelta * WHEEL_LINE_PX : rawDelta;
+        if (!delta) {
+            return;
+        }
 
-        this.bindDebugControl({
-            elementId: 'fontModeSelect',
-            getValue: () => this.debugSettings.fontMode || 'default',
+        // Drop leftover travel when the scroll direction flips
+        if (Math.sign(delta) !== Math.sign(this.wheelDelta)) {
+            this.wheelDelta = 0;
+        }
+        this.wheelDelta += delta;
+
+        while (Math.abs(this.wheelDelta) >= WHEEL_STEP_PX) {
+            const direction = Math.sign(this.wheelDelta);
+            this.wheelDelta -= direction * WHEEL_STEP_PX;
+            this.stepFromPointer(direction);
+        }
+    }
+
+    // Step multiplier for a detent from 'p' (forward) or 'o' (backward),
+    // using the model picked by the accelerationModel setting. Every call
+    // is recorded in accelerationTrace and emitted as ACCELERATION; pointer
+    // and wheel steps are always 1 and are not recorded.
+    calculateAcceleration(currentKey) {
+        if (this.unacceleratedInput) return 1;
+
+        const now = this.clock.now();
+        const direction = currentKey === 'o' ? -1 : 1;
+        let sample;
+
+        if (this.debugSettings.accelerationModel === 'velocity') {
+            const { step, rate, instantRate, target } = this.velocityAcceleration.step(direction, now);
+            this.lastKeyPressed = currentKey;
+            this.accelerationMultiplier = step;
+            this.accelerationRate = rate;
+            this.updateAccelerationDebug();
+            sample = { model: 'velocity', rate, instantRate, target, step };
+        } else {
+            const step = this.calculateRapidModeAcceleration(currentKey, now);
+            // Presses in the window, as a rate, so both models plot on the same axes
+            const rate = this.keyPressHistory.length / (this.rapidModeWindow / 1000);
+            sample = { model: 'rapid', rate, instantRate: rate, target: step, step };
+        }
+
+        sample = this.accelerationTrace.record({ time: now, direction, ...sample });
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.ACCELERATION, { sample });
+        return sample.step;
+    }
+
+    getVelocityOptions() {
+        const settings = this.debugSettings;
+        const minRate = Math.max(0, Number(settings.velocityMinRate) || 0);
+        return {
+            maxStep: Math.max(1, Math.round(Number(settings.velocityMaxStep) || 1)),
+            minRate,
+            maxRate: Math.max(minRate + 1, Number(settings.velocityMaxRate) || 0),
+            smoothing: settings.velocitySmoothing,
+            hysteresis: settings.velocityHysteresis,
+            curve: SCALE_EASING_NAMES.includes(settings.velocityCurve) ? settings.velocityCurve : DEFAULT_DEBUG_SETTINGS.velocityCurve
+        };
+    }
+
+    // The original model: 4x once rapidModeThreshold presses land inside
+    // rapidModeWindow, back to 1x after a pause or a change of direction
+    calculateRapidModeAcceleration(currentKey, now) {
+        // Check if direction changed - if so, reset rapid mode
+        if (this.lastKeyPressed && this.lastKeyPressed !== currentKey) {
+            this.rapidMode = false;
+            this.keyPressHistory = [];
+            this.accelerationMultiplier = 1;
+        }
+        this.lastKeyPressed = currentKey;
+
+        // Add current key press to history
+        this.keyPressHistory.push(now);
+
+        // Clean old key presses (older than rapid mode window)
+        this.keyPressHistory = this.keyPressHistory.filter(timestamp => 
+            now - timestamp <= this.rapidModeWindow
+        );
+
+        // Check if we should enter rapid mode
+        if (!this.rapidMode && this.keyPressHistory.length >= this.rapidModeThreshold) {
+            this.rapidMode = true;
+        }
+
+        // Check if we should exit rapid mode (no recent key presses)
+        if (this.rapidMode) {
+            const timeSinceLastPress = now - this.keyPressHistory[this.keyPressHistory.length - 2] || 0;
+            if (timeSinceLastPress > this.rapidModeDecayTime) {
+                this.rapidMode = false;
+                this.accelerationMultiplier = 1;
+                return 1;
+            }
+        }
+
+        if (this.rapidMode) {
+            // Rapid mode uses 3x acceleration
+            this.accelerationMultiplier = this.maxAcceleration;
+        } else {
+            // Normal mode: always 1x
+            this.accelerationMultiplier = 1;
+        }
+
+        // Update debug display
+        this.updateAccelerationDebug();
+
+        return Math.round(this.accelerationMultiplier);
+    }
+
+    updateAccelerationDebug() {
+        const keyPressCount = this.getDebugElement('keyPressCount');
+        const rapidModeStatus = this.getDebugElement('rapidModeStatus');
+        const accelerationMultiplierDisplay = this.getDebugElement('accelerationMultiplier');
+        const lastKeyDisplay = this.getDebugElement('lastKey');
+        const thresholdDisplay = this.getDebugElement('rapidModeThresholdDisplay');
+
+        if (!keyPressCount || !rapidModeStatus || !accelerationMultiplierDisplay || !lastKeyDisplay) {
+            return;
+        }
+
+        keyPressCount.textContent = this.keyPressHistory.length;
+        if (thresholdDisplay) {
+            thresholdDisplay.textContent = this.debugSettings.rapidModeThreshold;
+        }
+        const rateDisplay = this.getDebugElement('accelerationRate');
+        if (rateDisplay) {
+            rateDisplay.textContent = this.accelerationRate.toFixed(1);
+        }
+
+        const accelerating = this.debugSettings.accelerationModel === 'velocity'
+            ? this.accelerationMultiplier > 1
+            : this.rapidMode;
+        if (accelerating) {
+            rapidModeStatus.textContent = this.debugSettings.accelerationModel === 'velocity' ? 'ACCELERATING' : 'RAPID MODE';
+            rapidModeStatus.className = 'rapid-mode';
+        } else {
+            rapidModeStatus.textContent = 'Normal';
+            rapidModeStatus.className = 'normal-mode';
+        }
+
+        accelerationMultiplierDisplay.textContent = Math.round(this.accelerationMultiplier);
+        lastKeyDisplay.textContent = this.lastKeyPressed || 'None';
+    }
+
+    handleTrailMovement(direction) {
+        if (!this.isTrailAnimated()) return;
+
+        const now = this.clock.now();
+        this.lastMovementTime = now;
+        this.isMoving = true;
+        this.movementDirection = direction;
+
+        // Grow trail by one tick each key press (not per individual time increment)
+        this.trailLength = Math.min(this.trailLength + 1, this.maxTrailLength);
+
+        // Stop any catch-up animation since we're moving
+        this.trailCatchUpAnimation = false;
+        this.trailCatchUpStart = null;
+        this.trailAnimationCatchUpProgress = undefined;
+    }
+
+    updateAnimatedTrail() {
+        if (!this.isTrailAnimated()) return;
+
+        const now = this.clock.now();
+        const timeSinceLastMovement = now - this.lastMovementTime;
+
+        // Check if we should stop moving and start catch-up
+        if (this.isMoving && timeSinceLastMovement > 0) { // Immediate catch-up when stopped
+            this.isMoving = false;
+            this.trailFlowOutAnimation = false;
+            this.trailFlowOutStart = null;
+
+            // Start catch-up animation if we have a trail
+            if (this.trailLength > 0) {
+                this.trailCatchUpAnimation = true;
+                this.trailCatchUpStart = now;
+            }
+        }
+
+        // Update trail positions based on animation state
+        if (this.trailCatchUpAnimation && this.trailCatchUpStart) {
+            this.updateTrailCatchUp();
+        } else if (this.trailFlowOutAnimation && this.trailFlowOutStart) {
+            this.updateTrailFlowOut();
+        }
+    }
+
+    updateTrailFade() {
+        const elapsed = this.clock.now() - this.trailFadeStart;
+        const fadeOutDuration = 400; // 400ms to fade to 30% opacity
+        const progress = Math.min(elapsed / fadeOutDuration, 1);
+
+        // Fade from 100% to 30% opacity
+        this.trailOpacity = 1.0 - (progress * 0.7); // Goes from 1.0 to 0.3
+
+        if (progress >= 1) {
+            // Fade complete - start catch-up animation
+            this.trailFadeAnimation = false;
+            this.trailFadeStart = null;
+
+            // Start catch-up animation
+            this.trailCatchUpAnimation = true;
+            this.trailCatchUpStart = this.clock.now();
+        }
+    }
+
+    updateTrailCatchUp() {
+        const elapsed = this.clock.now() - this.trailCatchUpStart;
+        const duration = 350; // 350ms for full catch-up
+        const progress = Math.min(elapsed / duration, 1);
+
+        // Calculate remaining trail length more smoothly to avoid simultaneous disappearance
+        // Use continuous calculation instead of discrete steps
+        const totalTicksToRemove = this.trailLength + 1; // +1 to ensure complete removal
+        const exactTicksToRemove = progress * totalTicksToRemove;
+        const remainingTrail = Math.max(0, this.trailLength + 1 - exactTicksToRemove);
+
+        this.trailAnimationCatchUpProgress = progress;
+        this.currentTrailLength = Math.max(0, Math.floor(remainingTrail));
+
+        if (progress >= 1) {
+            // Animation complete - ensure trail is completely cleared
+            this.trailCatchUpAnimation = false;
+            this.trailCatchUpStart = null;
+            this.trailAnimationCatchUpProgress = undefined;
+            this.trailLength = 0;
+            this.currentTrailLength = 0;
+        }
+    }
+
+    updateTrailFlowOut() {
+        const elapsed = this.clock.now() - this.trailFlowOutStart;
+        const duration = 300; // 300ms for flow-out effect
+        const progress = Math.min(elapsed / duration, 1);
+
+        // Ease-out function for smooth flow
+        const easeProgress = EASINGS.easeOutQuad(progress);
+
+        // Calculate trail flow-out effect
+        this.trailAnimationFlowProgress = easeProgress;
+
+        if (progress >= 1 && !this.isMoving) {
+            // Animation complete and we're not moving
+            this.trailFlowOutAnimation = false;
+            this.trailFlowOutStart = null;
+        }
+    }
+
+    // Colours for the current colorMode, with `--dial-*` tokens read from the
+    // dial's element. See dial-palettes.js for the registry.
+    getColorPalette() {
+        return resolveDialPalette(this.debugSettings.colorMode, {
+            temperature: this.tempMode,
+            element: this.root
+        });
+    }
+
+    // Switches to a registered palette (the colorMode debug setting)
+    setPalette(name) {
+        if (getDialPalette(name).name !== name) {
+            throw new Error(`CircularTimeDial: unknown palette "${name}"`);
+        }
+        return this.applyDebugSettings({ colorMode: name });
+    }
+
+    getLineCap() {
+        return this.debugSettings.roundedCaps ? 'round' : 'butt';
+    }
+
+    getAnimatedTrailColor(tickIndex, currentTickIndex, totalTicks) {
+        const palette = this.currentPalette || this.getColorPalette();
+        const highlightRgb = parseColorToRgb(palette.trailEnd);
+        const baseRgb = parseColorToRgb(palette.trailStart);
+
+        // Calculate distance from current tick
+        let distance;
+        if (this.movementDirection === 'backward') {
+            // Trail goes forward from current tick when moving backward
+            distance = (tickIndex - currentTickIndex + totalTicks) % totalTicks;
+        } else {
+            // Trail goes backward from current tick when moving forward (default)
+            distance = (currentTickIndex - tickIndex + totalTicks) % totalTicks;
+        }
+
+        // Determine current trail length to show
+        let activeTrailLength;
+        if (this.trailCatchUpAnimation && this.currentTrailLength !== undefined) {
+            activeTrailLength = this.currentTrailLength;
+        } else {
+            activeTrailLength = this.trailLength;
+        }
+
+        // Show trail only within the active trail length
+        if (distance > 0 && distance <= activeTrailLength) {
+            const trailProgress = distance / this.maxTrailLength;
+            const clampedProgress = clamp(trailProgress, 0, 1);
+            const color = lerpRgb(highlightRgb, baseRgb, clampedProgress);
+            return rgbToString(color);
+        }
+
+        // Default: no trail
+        return palette.base;
+    }
+
+    getDebugElement(id) {
+        if (!id || this.headless || !hasDocument()) {
+            return null;
+        }
+
+        if (!this._debugElementCache) {
+            this._debugElementCache = new Map();
+        }
+
+        if (this._debugElementCache.has(id)) {
+            return this._debugElementCache.get(id);
+        }
+
+        const scope = this.debugRoot || document;
+        const selector = this.debugSelectors[id];
+        let element = null;
+
+        if (selector) {
+            element = scope.querySelector(selector);
+        }
+
+        if (!element && this.debugRoot) {
+            element = this.debugRoot.querySelector(`#${id}`) || this.debugRoot.querySelector(`[data-debug="${id}"]`);
+        }
+
+        if (!element) {
+            element = document.getElementById(id);
+        }
+
+        if (element) {
+            this._debugElementCache.set(id, element);
+        }
+
+        return element;
+    }
+
+    bindDebugControl({
+        elementId,
+        valueElementId,
+        eventType = 'change',
+        getValue,
+        setValue,
+        formatValue = (value) => value,
+        render = false
+    }) {
+        if (typeof getValue !== 'function' || typeof setValue !== 'function') {
+            return null;
+        }
+
+        const control = this.getDebugElement(elementId);
+        if (!control) {
+            return null;
+        }
+
+        const valueElement = valueElementId ? this.getDebugElement(valueElementId) : null;
+        const format = typeof formatValue === 'function' ? formatValue : (value) => value;
+
+        const updateValueDisplay = (value) => {
+            if (!valueElement) {
+                return;
+            }
+            valueElement.textContent = format(value);
+        };
+
+        const syncControl = () => {
+            const value = getValue();
+            if (value !== undefined) {
+                control.value = String(value);
+                updateValueDisplay(value);
+            }
+        };
+        syncControl();
+        this.debugControlSyncs.push(syncControl);
+
+        this.addDebugListener(control, eventType, (event) => {
+            const updatedValue = setValue(event.target.value);
+            updateValueDisplay(updatedValue);
+            if (render) {
+                this.render();
+            }
+        });
+
+        return control;
+    }
+
+    // Debug panels often outlive the dial, so their listeners are removed on destroy()
+    addDebugListener(element, type, handler) {
+        element.addEventListener(type, handler);
+        this.debugBindings.push({ element, type, handler });
+    }
+
+    setupDebugControls() {
+        // Settings controls come from the schema; everything changes through
+        // applyDebugSettings so presets and DebugPanel see the same side effects
+        CIRCULAR_TIME_DIAL_DEBUG_SCHEMA.forEach((field) => {
+            if (!field.elementId) {
+                return;
+            }
+            this.bindDebugControl({
+                elementId: field.elementId,
+                valueElementId: field.valueElementId,
+                eventType: field.type === 'range' ? 'input' : 'change',
+                getValue: () => toControlValue(field, this.debugSettings[field.key]),
+                setValue: (value) => {
+                    const parsed = parseControlValue(field, value);
+                    if (parsed !== undefined) {
+                        this.applyDebugSettings({ [field.key]: parsed });
+                    }
+                    return this.debugSettings[field.key];
+                },
+                formatValue: () => formatFieldValue(field, this.debugSettings[field.key])
+            });
+        });
+
+        this.bindDebugControl({
+            elementId: 'clockSpeedSelect',
+            getValue: () => this.getClockSpeed(),
+            setValue: (value) => this.setClockSpeed(value)
+        });
+
+        this.bindDebugControl({
+            elementId: 'dialSizeSelect',
+            getValue: () => String(this.size),
             setValue: (value) => {
-                this.debugSettings.fontMode = value;
-                this.applyFontMode();
-                return this.debugSettings.fontMode;
+                // Resizing the host lets the ResizeObserver pick it up like a real shell would
+                this.root.style.width = `${value}px`;
+                this.root.style.height = `${value}px`;
+                this.resize(Number(value));
+                return value;
+            }
+        });
+
+        const exportSvgButton = this.getDebugElement('exportSvgButton');
+        if (exportSvgButton) {
+            this.addDebugListener(exportSvgButton, 'click', () => this.downloadSVG());
+        }
+
+        const fastForwardButton = this.getDebugElement('fastForwardButton');
+        if (fastForwardButton) {
+            this.addDebugListener(fastForwardButton, 'click', () => this.fastForward());
+        }
+
+        const ovenDoorButton = this.getDebugElement('ovenDoorButton');
+        if (ovenDoorButton) {
+            this.addDebugListener(ovenDoorButton, 'click', () => {
+                const open = this.toggleOvenDoor();
+                ovenDoorButton.textContent = open ? 'Close oven door' : 'Open oven door';
+            });
+        }
+
+        this.bindDebugControl({
+            elementId: 'temperatureUnitSelect',
+            getValue: () => this.temperatureUnit,
+            setValue: (value) => this.setTemperatureUnit(value)
+        });
+
+        const accelerationDebugSelect = this.getDebugElement('accelerationDebugSelect');
+        if (accelerationDebugSelect) {
+            accelerationDebugSelect.value = 'false';
+            const accelerationDebug = this.getDebugElement('accelerationDebug');
+            this.addDebugListener(accelerationDebugSelect, 'change', (event) => {
+                if (!accelerationDebug) {
+                    return;
+                }
+                if (event.target.value === 'true') {
+                    accelerationDebug.classList.remove('hidden');
+                } else {
+                    accelerationDebug.classList.add('hidden');
+                }
+            });
+        }
+
+        this.toggleScalingControls();
+    }
+
+    resetTrailDirection() {
+        this.trailDirection = 'normal';
+        this.trailDirectionTarget = 'normal';
+        this.trailDirectionAnimationStart = null;
+    }
+
+    // ---- Debug settings --------------------------------------------------
+
+    getDebugSettings() {
+        return { ...this.debugSettings };
+    }
+
+    getDefaultDebugSettings() {
+        return { ...DEFAULT_DEBUG_SETTINGS };
+    }
+
+    // Applies a debug control change, a saved preset, an imported file or a
+    // shared link. Partial settings only change the keys they name; unknown
+    // keys are ignored.
+    applyDebugSettings(settings) {
+        const changes = sanitizeSettings(settings, DEFAULT_DEBUG_SETTINGS);
+        const trailModeChanged = changes.trailMode !== undefined && changes.trailMode !== this.debugSettings.trailMode;
+        Object.assign(this.debugSettings, changes);
+
+        this.rapidModeThreshold = Math.max(1, parseInt(this.debugSettings.rapidModeThreshold, 10) || 1);
+        this.debugSettings.rapidModeThreshold = this.rapidModeThreshold;
+        this.velocityAcceleration.configure(this.getVelocityOptions());
+        this.thermalModel.configure(this.getThermalOptions());
+        if (!this.isDelayStartEnabled() && (this.scheduleMode || this.waitingMode)) {
+            this.cancelDelayStart();
+            this.scheduleMode = false;
+            this.scheduledTime = null;
+        }
+        if (trailModeChanged) {
+            this.resetTrailDirection();
+        }
+        this.updateRackDisplay();
+        this.applyFontMode();
+        if (!this.headless) {
+            this.toggleScalingControls();
+        }
+        this.syncDebugControls();
+        this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.DEBUG_SETTINGS_CHANGE, { settings: this.getDebugSettings() });
+        return this.getDebugSettings();
+    }
+
+    resetDebugSettings() {
+        return this.applyDebugSettings(DEFAULT_DEBUG_SETTINGS);
+    }
+
+    syncDebugControls() {
+        this.debugControlSyncs.forEach((syncControl) => syncControl());
+    }
+
+    toggleScalingControls() {
+        if (this.headless || !hasDocument()) return;
+        const scope = this.debugRoot || document;
+        const scalingControls = scope.querySelectorAll('.scaling-control');
+        scalingControls.forEach((control) => {
+            if (this.debugSettings.scalingEnabled) {
+                control.classList.remove('hidden');
+            } else {
+                control.classList.add('hidden');
+            }
+        });
+    }
+
+    increaseValue() {
+        if (this.countdownMode) {
+            this.adjustCountdownValue(1);
+            return;
+        }
+        if (this.scheduleMode || this.waitingMode) {
+            this.stepSchedule(this.calculateAcceleration('p'));
+            return;
+        }
+
+        const previous = this.getValueSnapshot();
+
+        // Calculate acceleration multiplier
+        const accelerationMultiplier = this.calculateAcceleration('p');
+
+        if (this.tempMode) {
+            if (this.temperature >= this.maxTemp) {
+                // Only trigger flash once per boundary hit
+                if (!this.hasFlashedAtBoundary && !this.isFlashing) {
+                    this.startFlashAnimation();
+                    this.hasFlashedAtBoundary = true;
+                }
+                return;
+            }
+
+            // Handle animated trail movement tracking (only when actual movement occurs)
+            this.handleTrailMovement('forward');
+
+            // Reset flash boundary flag when moving away from boundary
+            this.hasFlashedAtBoundary = false;
+
+            this.lastActionTime = this.clock.now();
+            if (!this.scalingActive) {
+                this.startScalingAnimation(true);
+            }
+            this.scalingActive = true;
+
+            // Apply acceleration to temperature change (one tempStep per detent)
+            const tempIncrement = this.tempStep * accelerationMultiplier;
+            this.temperature = Math.min(this.temperature + tempIncrement, this.maxTemp);
+        } else {
+            // For time mode, check if we can actually increase before handling trail
+            if (this.totalMinutes >= this.maxMinutes) {
+                // Only trigger flash once per boundary hit
+                if (!this.hasFlashedAtBoundary && !this.isFlashing) {
+                    this.startFlashAnimation();
+                    this.hasFlashedAtBoundary = true;
+                }
+                return;
+            }
+
+            // Handle animated trail movement tracking (only when actual movement occurs)
+            this.handleTrailMovement('forward');
+
+            // Apply acceleration to the increase
+            for (let i = 0; i < accelerationMultiplier; i++) {
+                this.increaseTime();
+            }
+        }
+        this.render();
+        this.emitValueChange(previous, 'input');
+    }
+
+    decreaseValue() {
+        if (this.countdownMode) {
+            this.adjustCountdownValue(-1);
+            return;
+        }
+        if (this.scheduleMode || this.waitingMode) {
+            this.stepSchedule(-this.calculateAcceleration('o'));
+            return;
+        }
+
+        const previous = this.getValueSnapshot();
+
+        // Calculate acceleration multiplier
+        const accelerationMultiplier = this.calculateAcceleration('o');
+
+        if (this.tempMode) {
+            if (this.temperature <= this.minTemp) {
+                // Only trigger flash once per boundary hit
+                if (!this.hasFlashedAtBoundary && !this.isFlashing) {
+                    this.startFlashAnimation();
+                    this.hasFlashedAtBoundary = true;
+                }
+                return;
+            }
+
+            // Handle animated trail movement tracking (only when actual movement occurs)
+            this.handleTrailMovement('backward');
+
+            // Reset flash boundary flag when moving away from boundary
+            this.hasFlashedAtBoundary = false;
+
+            this.lastActionTime = this.clock.now();
+            if (!this.scalingActive) {
+                this.startScalingAnimation(true);
+            }
+            this.scalingActive = true;
+
+            // Apply acceleration to temperature change (one tempStep per detent)
+            const tempDecrement = this.tempStep * accelerationMultiplier;
+            this.temperature = Math.max(this.temperature - tempDecrement, this.minTemp);
+        } else {
+            // For time mode, check if we can actually decrease before handling trail
+            if (this.totalMinutes <= this.minMinutes) {
+                // Only trigger flash once per boundary hit
+                if (!this.hasFlashedAtBoundary && !this.isFlashing) {
+                    this.startFlashAnimation();
+                    this.hasFlashedAtBoundary = true;
+                }
+                return;
+            }
+
+            // Handle animated trail movement tracking (only when actual movement occurs)
+            this.handleTrailMovement('backward');
+
+            // Apply acceleration to the decrease
+            for (let i = 0; i < accelerationMultiplier; i++) {
+                this.decreaseTime();
+            }
+        }
+        this.render();
+        this.emitValueChange(previous, 'input');
+    }
+
+
+    // Temperature -> time -> schedule (when delay start is enabled) -> ...
+    toggleMode() {
+        if (this.countdownMode || this.waitingMode) return;
+        const modes = this.isDelayStartEnabled() ? SETUP_MODES : SETUP_MODES.slice(0, 2);
+        this.setMode(modes[(modes.indexOf(this.getMode()) + 1) % modes.length]);
+    }
+
+    startCooking() {
+        if (this.countdownMode || this.waitingMode) return;
+        if (this.program) {
+            // Setup edits apply to the stage being shown
+            this.program[this.stageIndex] = {
+                ...this.program[this.stageIndex],
+                temperature: this.temperature,
+                totalMinutes: this.totalMinutes
+            };
+        }
+        if (this.getScheduledTime() !== null) {
+            this.beginDelayStart();
+            return;
+        }
+        this.startRingFillAnimation();
+    }
+
+    // ---- Delay start -----------------------------------------------------
+
+    // The 'schedule' setup mode picks a clock time in 15-minute detents,
+    // starting from "no delay". With scheduleTarget 'ready-by' the time is
+    // when the food should be done, so the earliest choice is now plus the
+    // preheat and cook; with 'start-at' it is when the cook begins. Starting
+    // a scheduled cook waits (phase 'waiting') with a countdown to the start,
+    // then runs the ring fill, preheat and countdown as usual.
+    isDelayStartEnabled() {
+        return Boolean(this.debugSettings.delayStartEnabled);
+    }
+
+    getScheduleLabel() {
+        return this.debugSettings.scheduleTarget === 'start-at' ? 'Start at' : 'Ready by';
+    }
+
+    // Seconds from starting the cook to food being ready
+    getScheduleLeadSeconds() {
+        const cookSeconds = this.program
+            ? this.program.reduce((sum, stage) => sum + stage.totalMinutes * 60, 0)
+            : this.totalMinutes * 60;
+        const preheatSeconds = this.debugSettings.preheatEnabled ? this.getPreheatEstimate() : 0;
+        return cookSeconds + preheatSeconds + this.ringFillDuration / 1000;
+    }
+
+    getEarliestScheduleSlot(now = this.clock.now()) {
+        const lead = this.debugSettings.scheduleTarget === 'start-at' ? 0 : this.getScheduleLeadSeconds() * 1000;
+        return ceilToScheduleSlot(now + lead);
+    }
+
+    // The picked time, moved later if it can no longer be met (time has
+    // passed, or the cook got longer); null means no delay
+    getScheduledTime() {
+        if (this.scheduledTime === null) return null;
+        return Math.max(this.scheduledTime, this.getEarliestScheduleSlot());
+    }
+
+    // -1 for no delay, otherwise slots after the earliest possible one
+    getScheduleSlotIndex() {
+        const scheduled = this.getScheduledTime();
+        if (scheduled === null) return -1;
+        return Math.round((scheduled - this.getEarliestScheduleSlot()) / SCHEDULE_SLOT_MS);
+    }
+
+    // When the cook has to begin for the picked time
+    getDelayStartTime(scheduled = this.getScheduledTime()) {
+        if (scheduled === null) return null;
+        return this.debugSettings.scheduleTarget === 'start-at'
+            ? scheduled
+            : scheduled - this.getScheduleLeadSeconds() * 1000;
+    }
+
+    getDelayStartRemaining() {
+        if (!this.waitingMode) return 0;
+        return Math.max(0, (this.delayStartAt - this.clock.now()) / 1000);
+    }
+
+    setScheduledTime(time) {
+        const previous = this.getValueSnapshot();
+        this.scheduledTime = time === null || time === undefined ? null : ceilToScheduleSlot(Number(time));
+        if (this.waitingMode) {
+            if (this.scheduledTime === null) {
+                this.startDelayedCook();
+                return null;
+            }
+            this.delayStartAt = this.getDelayStartTime();
+        }
+        this.render();
+        this.emitValueChange(previous, 'api');
+        return this.getScheduledTime();
+    }
+
+    // Rotation in schedule mode: each detent is 15 minutes. While waiting the
+    // time can move but not back to "no delay"; the aux button starts now.
+    stepSchedule(steps, { flash = true } = {}) {
+        const previous = this.getValueSnapshot();
+        const index = this.getScheduleSlotIndex();
+        const next = clamp(index + steps, this.waitingMode ? 0 : -1, SCHEDULE_SLOT_COUNT - 1);
+
+        if (next === index) {
+            if (flash && !this.hasFlashedAtBoundary && !this.isFlashing) {
+                this.startFlashAnimation();
+                this.hasFlashedAtBoundary = true;
+            }
+            return;
+        }
+        this.hasFlashedAtBoundary = false;
+        this.handleTrailMovement(steps > 0 ? 'forward' : 'backward');
+
+        this.scheduledTime = next < 0 ? null : this.getEarliestScheduleSlot() + next * SCHEDULE_SLOT_MS;
+        if (this.waitingMode) {
+            this.delayStartAt = this.getDelayStartTime();
+        }
+        this.render();
+        this.emitValueChange(previous, 'input');
+    }
+
+    beginDelayStart() {
+        const startsAt = this.getDelayStartTime();
+        if (startsAt <= this.clock.now()) {
+            this.startRingFillAnimation();
+            return;
+        }
+        this.waitingMode = true;
+        this.delayStartAt = startsAt;
+        this.lastScheduleRenderSecond = null;
+        this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.DELAY_START, {
+            startsAt,
+            scheduledTime: this.getScheduledTime()
+        });
+    }
+
+    // The schedule is used up once the cook begins, so the next start from
+    // setup is immediate unless a new time is picked
+    startDelayedCook() {
+        if (!this.waitingMode) return;
+        this.waitingMode = false;
+        this.delayStartAt = null;
+        this.scheduledTime = null;
+        this.startRingFillAnimation();
+    }
+
+    cancelDelayStart() {
+        if (!this.waitingMode) return;
+        this.waitingMode = false;
+        this.delayStartAt = null;
+        this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.DELAY_CANCEL);
+    }
+
+    // Runs from the countdown loop: starts a waiting cook on time, and
+    // redraws once a second while the schedule ring is showing
+    updateSchedule() {
+        const now = this.clock.now();
+        if (this.waitingMode && now >= this.delayStartAt) {
+            this.startDelayedCook();
+            return;
+        }
+        const second = Math.floor(now / 1000);
+        if (second === this.lastScheduleRenderSecond) return;
+        this.lastScheduleRenderSecond = second;
+        this.render();
+    }
+
+    describeClockTime(time) {
+        const { time: clockTime, meridiem } = formatClockTime(time);
+        return `${clockTime} ${meridiem}`;
+    }
+
+    // ---- Oven thermal model ----------------------------------------------
+
+    // With preheatModel 'thermal' the preheat lasts until the simulated
+    // cavity (oven-thermal.js) reaches the set temperature: how long that
+    // takes depends on the ambient start, the oven mode and the heat
+    // distribution, and opening the door drops the temperature. The model
+    // runs in °F on its own time scale (thermalSpeed model seconds per clock
+    // second) and keeps running between cooks, so a hot oven preheats fast.
+    getThermalOptions() {
+        const settings = this.debugSettings;
+        return {
+            mode: THERMAL_MODES[settings.ovenMode] ? settings.ovenMode : DEFAULT_DEBUG_SETTINGS.ovenMode,
+            ambient: Number.isFinite(Number(settings.ambientTemperature))
+                ? Number(settings.ambientTemperature)
+                : DEFAULT_DEBUG_SETTINGS.ambientTemperature
+        };
+    }
+
+    getThermalSpeed() {
+        return Math.max(1, Number(this.debugSettings.thermalSpeed) || 1);
+    }
+
+    isThermalPreheat() {
+        return Boolean(this.debugSettings.preheatEnabled) && this.debugSettings.preheatModel === 'thermal';
+    }
+
+    // Hosts with an oven mode or heat distribution control (custom cook)
+    // pass them on here; heatDistribution is the top element's share (0-100)
+    setHeatProfile({ mode, heatDistribution } = {}) {
+        if (mode !== undefined && !THERMAL_MODES[mode]) {
+            throw new Error(`CircularTimeDial: unknown oven mode "${mode}"`);
+        }
+        if (heatDistribution !== undefined) {
+            this.thermalModel.configure({ heatDistribution });
+        }
+        if (mode !== undefined && mode !== this.debugSettings.ovenMode) {
+            this.applyDebugSettings({ ovenMode: mode });
+        }
+        return this.thermalModel.getState();
+    }
+
+    // Set temperature in °F, which the model works in
+    getTargetFahrenheit() {
+        return convertTemperature(this.temperature, this.temperatureUnit, 'fahrenheit');
+    }
+
+    // Cavity temperature in the dial's unit, rounded for display
+    getOvenTemperature() {
+        return Math.round(convertTemperature(this.thermalModel.temperature, 'fahrenheit', this.temperatureUnit));
+    }
+
+    isDoorOpen() {
+        return this.thermalModel.doorOpen;
+    }
+
+    setOvenDoorOpen(open) {
+        const next = Boolean(open);
+        if (next === this.isDoorOpen()) return next;
+        this.updateThermal();
+        this.thermalModel.setDoorOpen(next);
+        this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.DOOR_CHANGE, { open: next });
+        return next;
+    }
+
+    toggleOvenDoor() {
+        return this.setOvenDoorOpen(!this.isDoorOpen());
+    }
+
+    // Runs from the countdown loop; the elements are on while a cook is
+    // running and not paused
+    updateThermal() {
+        const now = this.clock.now();
+        const last = this.lastThermalUpdate === null ? now : this.lastThermalUpdate;
+        this.lastThermalUpdate = now;
+        if (!this.isThermalPreheat()) return;
+
+        const speed = this.getThermalSpeed();
+        this.thermalModel.setTarget(this.countdownMode && !this.paused ? this.getTargetFahrenheit() : null);
+        const reachedAt = now > last ? this.thermalModel.step(((now - last) / 1000) * speed) : null;
+        if (reachedAt !== null && this.preheatPhase && this.preheatReachedAt === null) {
+            this.preheatReachedAt = last + (reachedAt / speed) * 1000;
+        }
+
+        const ovenTemperature = this.getOvenTemperature();
+        if (ovenTemperature !== this.lastOvenTemperature) {
+            this.lastOvenTemperature = ovenTemperature;
+            this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.OVEN_TEMPERATURE, {
+                ovenTemperature,
+                targetTemperature: this.temperature,
+                heating: this.thermalModel.power > 0
+            });
+        }
+    }
+
+    // Called as the countdown starts
+    beginPreheat() {
+        this.updateThermal();
+        this.preheatStartTemperature = this.thermalModel.temperature;
+        this.preheatReachedAt = null;
+    }
+
+    isPreheatDone(elapsed = this.getCountdownElapsed()) {
+        if (!this.isThermalPreheat()) return elapsed >= PREHEAT_SECONDS;
+        return this.preheatReachedAt !== null || this.thermalModel.isAtTarget();
+    }
+
+    // Clock time the preheat finished, so the cook can start from there
+    getPreheatEndTime() {
+        if (!this.isThermalPreheat()) return this.countdownStartTime + PREHEAT_SECONDS * 1000;
+        return this.preheatReachedAt === null ? this.clock.now() : this.preheatReachedAt;
+    }
+
+    // 0-1 for the preheat segment of the ring
+    getPreheatProgress(elapsed = this.getCountdownElapsed()) {
+        if (!this.isThermalPreheat()) return Math.min(elapsed / PREHEAT_SECONDS, 1);
+        const start = this.preheatStartTemperature === null ? this.thermalModel.options.ambient : this.preheatStartTemperature;
+        const goal = this.getTargetFahrenheit() - this.thermalModel.options.tolerance;
+        if (goal <= start) return 1;
+        return clamp((this.thermalModel.temperature - start) / (goal - start), 0, 1);
+    }
+
+    // Clock seconds left in the preheat; Infinity when the oven cannot get there
+    getPreheatRemaining(elapsed = this.getCountdownElapsed()) {
+        if (!this.isThermalPreheat()) return Math.max(0, PREHEAT_SECONDS - elapsed);
+        return this.thermalModel.estimateSecondsToTarget(this.getTargetFahrenheit()) / this.getThermalSpeed();
+    }
+
+    // Clock seconds a preheat from cold should take, for scheduling
+    getPreheatEstimate() {
+        if (!this.isThermalPreheat()) return PREHEAT_SECONDS;
+        const estimate = this.thermalModel.estimateSecondsToTarget(this.getTargetFahrenheit(), this.thermalModel.options.ambient);
+        return Number.isFinite(estimate) ? estimate / this.getThermalSpeed() : PREHEAT_SECONDS;
+    }
+
+    getPreheatStatus() {
+        if (!this.isThermalPreheat()) return 'Preheating...';
+        if (this.isDoorOpen()) return 'Door open';
+        return `Preheating to ${this.temperature}°`;
+    }
+
+    // ---- Multi-stage programs --------------------------------------------
+
+    // `stages` is a list of { temperature, totalMinutes, label }, e.g. a sear
+    // at 450°F for 15 minutes then 350°F for 40. Pass null to go back to a
+    // single temperature and time. Only available before cooking starts.
+    setProgram(stages) {
+        if (this.countdownMode || this.ringFillAnimation) return false;
+
+        const previous = this.getValueSnapshot();
+        this.program = this.normalizeProgram(stages);
+        this.stageIndex = 0;
+        this.completedStageSeconds = [];
+
+        if (this.program) {
+            this.temperature = this.program[0].temperature;
+            this.totalMinutes = this.program[0].totalMinutes;
+        }
+        this.render();
+        this.emitValueChange(previous, 'program');
+        return true;
+    }
+
+    getProgram() {
+        return this.program ? this.program.map((stage) => ({ ...stage })) : null;
+    }
+
+    normalizeProgram(stages) {
+        if (!stages) return null;
+        if (!Array.isArray(stages) || stages.length === 0) {
+            throw new Error('CircularTimeDial: a program needs at least one stage');
+        }
+
+        return stages.map((stage, index) => {
+            const temperature = Number(stage.temperature);
+            const totalMinutes = Number(stage.totalMinutes);
+            if (!Number.isFinite(temperature) || !Number.isFinite(totalMinutes)) {
+                throw new Error(`CircularTimeDial: invalid program stage ${index + 1}`);
+            }
+            return {
+                temperature: this.snapTemperature(temperature),
+                totalMinutes: this.snapMinutes(totalMinutes),
+                label: stage.label || ''
+            };
+        });
+    }
+
+    getStageInfo() {
+        if (!this.program || this.followOn) return null;
+        return {
+            index: this.stageIndex,
+            count: this.program.length,
+            label: this.program[this.stageIndex].label
+        };
+    }
+
+    // Moves a running program on to its next stage, carrying any overshoot
+    // so fast-forwarded time is not lost. Returns false on the last stage.
+    advanceStage() {
+        if (!this.program || this.followOn || this.stageIndex >= this.program.length - 1) return false;
+
+        const previous = this.getValueSnapshot();
+        const previousStageIndex = this.stageIndex;
+        const overshoot = Math.max(0, this.getCountdownElapsed() - this.countdownDuration);
+
+        this.completedStageSeconds.push(this.countdownDuration);
+        this.stageIndex += 1;
+
+        const stage = this.program[this.stageIndex];
+        this.temperature = stage.temperature;
+        this.totalMinutes = stage.totalMinutes;
+        this.countdownDuration = stage.totalMinutes * 60;
+        this.countdownStartTime = this.clock.now() - overshoot * 1000;
+        this.lastCountdownTickSecond = null;
+
+        this.startStageTransition();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.STAGE_CHANGE, { previousStageIndex });
+        this.emitValueChange(previous, 'stage');
+        return true;
+    }
+
+    // Seconds per stage as currently planned: finished stages at their
+    // actual length, the running one with any mid-cook adjustment
+    getStageDurations() {
+        if (!this.program || this.followOn) return [this.countdownDuration];
+        return this.program.map((stage, index) => {
+            if (index < this.stageIndex) return this.completedStageSeconds[index];
+            if (index === this.stageIndex && this.countdownMode) return this.countdownDuration;
+            return stage.totalMinutes * 60;
+        });
+    }
+
+    // Share of the whole cook (every stage) still to go; drives the ring
+    getCookRemainingFraction() {
+        const elapsed = Math.min(this.isPreheating() ? 0 : this.getCountdownElapsed(), this.countdownDuration);
+        const durations = this.getStageDurations();
+        const total = durations.reduce((sum, seconds) => sum + seconds, 0);
+        if (total <= 0) return 0;
+
+        const done = durations.slice(0, this.followOn ? 0 : this.stageIndex).reduce((sum, seconds) => sum + seconds, 0) + elapsed;
+        return clamp(1 - done / total, 0, 1);
+    }
+
+    // Where each stage ends, as a share of the whole cook (last stage excluded)
+    getStageBoundaries() {
+        const durations = this.getStageDurations();
+        const total = durations.reduce((sum, seconds) => sum + seconds, 0);
+        if (durations.length < 2 || total <= 0) return [];
+
+        let cumulative = 0;
+        return durations.slice(0, -1).map((seconds) => {
+            cumulative += seconds;
+            return cumulative / total;
+        });
+    }
+
+    startStageTransition() {
+        this.stageTransitionStart = this.clock.now();
+        this.animateStageTransition();
+    }
+
+    animateStageTransition() {
+        if (this.stageTransitionStart === null) return;
+
+        this.render();
+        if (this.getStageTransitionProgress() < 1) {
+            this.scheduleFrame('stageTransition', () => this.animateStageTransition());
+        } else {
+            this.stageTransitionStart = null;
+            this.render();
+        }
+    }
+
+    getStageTransitionProgress() {
+        if (this.stageTransitionStart === null) return 1;
+        return Math.min((this.clock.now() - this.stageTransitionStart) / STAGE_TRANSITION_MS, 1);
+    }
+
+    // Cuts a notch into the cook arc at each stage boundary. `arcStart` is
+    // where the arc ends up once the cook is done, `arcSpan` its full sweep.
+    renderStageBoundaries(arcStart, arcSpan, radius, lineWidth) {
+        const boundaries = this.getStageBoundaries();
+        if (!boundaries.length) return;
+
+        const notchAngle = Math.max((this.debugSettings.gapAngle * Math.PI) / 180, 0.03);
+        const crossedIndex = this.stageTransitionStart !== null ? this.stageIndex - 1 : -1;
+        const glow = 1 - this.getStageTransitionProgress();
+
+        const palette = this.currentPalette || this.getColorPalette();
+        this.ctx.save();
+        this.ctx.lineWidth = lineWidth + 2;
+        this.ctx.lineCap = 'butt';
+        boundaries.forEach((fraction, index) => {
+            const angle = arcStart + arcSpan * (1 - fraction);
+            this.ctx.beginPath();
+            this.ctx.arc(this.centerX, this.centerY, radius, angle - notchAngle / 2, angle + notchAngle / 2);
+            this.ctx.strokeStyle = index === crossedIndex ? `rgba(255, 255, 255, ${glow})` : palette.background;
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    updateStageLabel() {
+        if (!this.stageLabel) return;
+
+        const stage = this.getStageInfo();
+        if (!stage || this.cookingComplete) {
+            this.stageLabel.hidden = true;
+            return;
+        }
+
+        this.stageLabel.hidden = false;
+        this.stageLabel.textContent = `Stage ${stage.index + 1} of ${stage.count}${stage.label ? ` · ${stage.label}` : ''}`;
+    }
+
+    // ---- Mid-cook control ------------------------------------------------
+
+    // Skips cook time (preheat included), or the wait before a delayed
+    // start, for demos; a no-op while paused
+    fastForward(seconds = FAST_FORWARD_SECONDS) {
+        if (this.waitingMode) {
+            this.clock.advance(seconds * 1000);
+            this.updateSchedule();
+            return;
+        }
+        if (!this.countdownMode || this.paused) return;
+
+        this.clock.advance(seconds * 1000);
+        this.updateThermal();
+        this.updateCountdown();
+    }
+
+    // Demo speed for the default system clock ('real', 'x10' or 'x60')
+    setClockSpeed(speed) {
+        if (!CLOCK_RATES[speed]) {
+            throw new Error(`CircularTimeDial: unknown clock speed "${speed}"`);
+        }
+        if (typeof this.clock.setRate !== 'function') return this.getClockSpeed();
+
+        this.clock.setRate(CLOCK_RATES[speed]);
+        return speed;
+    }
+
+    getClockSpeed() {
+        return Object.keys(CLOCK_RATES).find((speed) => CLOCK_RATES[speed] === this.clock.rate) || 'real';
+    }
+
+    pause() {
+        if (!this.countdownMode || this.paused) return false;
+
+        this.paused = true;
+        this.pausedAt = this.clock.now();
+        this.preheatFlashState = true;
+        this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.PAUSE);
+        return true;
+    }
+
+    resume() {
+        if (!this.countdownMode || !this.paused) return false;
+
+        // Shift the phase start so elapsed time (preheat included) picks up where it stopped
+        this.countdownStartTime += this.clock.now() - this.pausedAt;
+        this.paused = false;
+        this.pausedAt = null;
+        this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.RESUME);
+        return true;
+    }
+
+    togglePause() {
+        return this.paused ? this.resume() : this.pause();
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    isPreheating() {
+        return this.countdownMode && this.preheatPhase && this.debugSettings.preheatEnabled;
+    }
+
+    // Seconds into the current phase (preheat or cook), frozen while paused
+    getCountdownElapsed() {
+        if (this.countdownStartTime === null) return 0;
+        const now = this.paused ? this.pausedAt : this.clock.now();
+        return Math.max(0, (now - this.countdownStartTime) / 1000);
+    }
+
+    getCountdownRemaining() {
+        if (!this.countdownMode) return 0;
+        const elapsed = this.isPreheating() ? 0 : this.getCountdownElapsed();
+        return Math.max(0, this.countdownDuration - elapsed);
+    }
+
+    // Stretches or shrinks the running countdown so `minutes` are left
+    setCountdownRemaining(minutes) {
+        const elapsed = this.isPreheating() ? 0 : this.getCountdownElapsed();
+        this.countdownDuration = elapsed + minutes * 60;
+        this.lastCountdownTickSecond = null;
+    }
+
+    isAdjustingTemperature() {
+        return this.countdownMode ? this.countdownAdjustTarget === 'temperature' : this.tempMode;
+    }
+
+    toggleCountdownAdjustTarget() {
+        if (!this.countdownMode) return;
+        this.countdownAdjustTarget = this.countdownAdjustTarget === 'time' ? 'temperature' : 'time';
+        this.cueFeedback(FEEDBACK_CUES.MODE_CHANGE);
+        this.render();
+    }
+
+    // Rotation mid-cook. Temperature steps as in setup; time steps the
+    // remaining time along the schedule (7:43 left -> 8:00 / 7:00) and the
+    // countdown is stretched or shrunk to match, which re-scales the ring.
+    // During preheat the cook has not started, so the full time is adjusted.
+    adjustCountdownValue(direction) {
+        const previous = this.getValueSnapshot();
+        let changed;
+
+        if (this.isAdjustingTemperature()) {
+            this.temperature = this.snapTemperature(this.temperature + direction * this.tempStep);
+            changed = this.temperature !== previous.temperature;
+        } else {
+            const remainingMinutes = roundToSecond(this.getCountdownRemaining() / 60);
+
+            this.totalMinutes = remainingMinutes;
+            const stepped = this.getSteppedMinutes(direction);
+            // Never let a step go the wrong way when less than the minimum is left
+            const next = direction > 0 ? Math.max(stepped, remainingMinutes) : Math.min(stepped, remainingMinutes);
+            changed = next !== remainingMinutes;
+
+            if (changed) {
+                this.totalMinutes = next;
+                this.setCountdownRemaining(next);
+            } else {
+                this.totalMinutes = previous.totalMinutes;
             }
-        });
+        }
 
-        this.bindDebugControl({
-            elementId: 'rackDisplaySelect',
-            getValue: () => (this.debugSettings.showRack ? 'true' : 'false'),
-            setValue: (value) => {
-                this.debugSettings.showRack = value === 'true';
-                this.updateRackDisplay();
-                return value;
+        if (!changed) {
+            // Only trigger flash once per boundary hit
+            if (!this.hasFlashedAtBoundary && !this.isFlashing) {
+                this.startFlashAnimation();
+                this.hasFlashedAtBoundary = true;
             }
-        });
+            return;
+        }
+        this.hasFlashedAtBoundary = false;
 
-        const trailModeSelect = this.getDebugElement('trailModeSelect');
-        if (trailModeSelect) {
-            trailModeSelect.value = this.debugSettings.trailMode;
-            trailModeSelect.addEventListener('change', (event) => {
-                this.debugSettings.trailMode = event.target.value;
-                this.trailDirection = 'normal';
-                this.trailDirectionTarget = 'normal';
-                this.trailDirectionAnimationStart = null;
-                this.render();
-            });
+        this.render();
+        this.emitValueChange(previous, 'input');
+    }
+
+    // ---- Public state API ------------------------------------------------
+    // Host flows should use these instead of writing fields and calling render().
+
+    getMode() {
+        if (this.scheduleMode) return 'schedule';
+        return this.tempMode ? 'temperature' : 'time';
+    }
+
+    getPhase() {
+        if (this.cookingComplete) return 'complete';
+        if (this.waitingMode) return 'waiting';
+        if (this.ringFillAnimation) return 'starting';
+        if (this.countdownMode) return this.preheatPhase ? 'preheat' : 'cooking';
+        return 'setup';
+    }
+
+    getState() {
+        return {
+            temperature: this.temperature,
+            temperatureUnit: this.temperatureUnit,
+            totalMinutes: this.totalMinutes,
+            mode: this.getMode(),
+            phase: this.getPhase(),
+            paused: this.paused,
+            stage: this.getStageInfo(),
+            scheduledTime: this.getScheduledTime(),
+            delayStartAt: this.delayStartAt,
+            ovenTemperature: this.getOvenTemperature(),
+            doorOpen: this.isDoorOpen()
+        };
+    }
+
+    getValueSnapshot() {
+        return { temperature: this.temperature, totalMinutes: this.totalMinutes, scheduledTime: this.scheduledTime };
+    }
+
+    setTemperature(temperature) {
+        const value = Number(temperature);
+        if (!Number.isFinite(value)) {
+            return this.temperature;
         }
 
-        const accelerationDebugSelect = this.getDebugElement('accelerationDebugSelect');
-        if (accelerationDebugSelect) {
-            accelerationDebugSelect.value = 'false';
-            const accelerationDebug = this.getDebugElement('accelerationDebug');
-            accelerationDebugSelect.addEventListener('change', (event) => {
-                if (!accelerationDebug) {
-                    return;
-                }
-                if (event.target.value === 'true') {
-                    accelerationDebug.classList.remove('hidden');
-                } else {
-                    accelerationDebug.classList.add('hidden');
-                }
-            });
+        const previous = this.getValueSnapshot();
+        this.temperature = this.snapTemperature(value);
+        this.hasFlashedAtBoundary = false;
+        this.render();
+        this.emitValueChange(previous, 'api');
+        return this.temperature;
+    }
+
+    setTotalMinutes(totalMinutes) {
+        const value = Number(totalMinutes);
+        if (!Number.isFinite(value)) {
+            return this.totalMinutes;
         }
 
-        this.bindDebugControl({
-            elementId: 'rapidModeThreshold',
-            valueElementId: 'rapidModeThresholdValue',
-            eventType: 'input',
-            getValue: () => this.debugSettings.rapidModeThreshold,
-            setValue: (value) => {
-                const parsed = Math.max(1, parseInt(value, 10) || 1);
-                this.debugSettings.rapidModeThreshold = parsed;
-                this.rapidModeThreshold = parsed;
-                return this.debugSettings.rapidModeThreshold;
-            },
-            formatValue: (value) => `${value} presses`
-        });
+        const previous = this.getValueSnapshot();
+        this.totalMinutes = this.snapMinutes(value);
+        if (this.countdownMode) {
+            // Mid-cook this sets the time left
+            this.setCountdownRemaining(this.totalMinutes);
+        }
+        this.hasFlashedAtBoundary = false;
+        this.render();
+        this.emitValueChange(previous, 'api');
+        return this.totalMinutes;
+    }
 
-        this.bindDebugControl({
-            elementId: 'currentLength',
-            valueElementId: 'currentLengthValue',
-            eventType: 'input',
-            getValue: () => this.debugSettings.currentLength,
-            setValue: (value) => {
-                this.debugSettings.currentLength = parseFloat(value);
-                return this.debugSettings.currentLength;
-            },
-            formatValue: (value) => `${value}x`,
-            render: true
-        });
+    setMode(mode) {
+        if (this.countdownMode || this.waitingMode) return this.getMode();
+        if (!SETUP_MODES.includes(mode)) {
+            throw new Error(`CircularTimeDial: unknown mode "${mode}"`);
+        }
+        if (mode === 'schedule' && !this.isDelayStartEnabled()) {
+            throw new Error('CircularTimeDial: schedule mode needs the delayStartEnabled setting');
+        }
 
-        this.bindDebugControl({
-            elementId: 'adjacentFalloff',
-            valueElementId: 'adjacentFalloffValue',
-            eventType: 'input',
-            getValue: () => this.debugSettings.adjacentFalloff,
-            setValue: (value) => {
-                this.debugSettings.adjacentFalloff = parseInt(value, 10);
-                return this.debugSettings.adjacentFalloff;
-            },
-            formatValue: (value) => `${value}%`,
-            render: true
-        });
+        const previousMode = this.getMode();
+        this.tempMode = mode === 'temperature';
+        this.scheduleMode = mode === 'schedule';
+        this.render();
+        if (previousMode !== mode) {
+            this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.MODE_CHANGE, { previousMode });
+        }
+        return mode;
+    }
 
-        this.bindDebugControl({
-            elementId: 'radiusPercent',
-            valueElementId: 'radiusPercentValue',
-            eventType: 'input',
-            getValue: () => this.debugSettings.radiusPercent,
-            setValue: (value) => {
-                this.debugSettings.radiusPercent = parseInt(value, 10);
-                return this.debugSettings.radiusPercent;
-            },
-            formatValue: (value) => `${value}%`,
-            render: true
-        });
+    // Back to setup with fresh animation/acceleration state. `state` may set
+    // temperature, totalMinutes and mode; anything omitted uses the defaults.
+    reset(state = {}) {
+        const previous = this.getValueSnapshot();
+        const previousMode = this.getMode();
+        this.restoreTemperatureRange();
+        const defaults = this.getDefaultState();
+        const next = { ...defaults, ...state };
+
+        this.totalMinutes = this.snapMinutes(Number(next.totalMinutes) || defaults.totalMinutes);
+        this.temperature = this.snapTemperature(Number(next.temperature) || defaults.temperature);
+        this.unitFlip = null;
+        this.scheduleMode = next.mode === 'schedule' && this.isDelayStartEnabled();
+        this.tempMode = next.mode !== 'time' && !this.scheduleMode;
+        this.scheduledTime = null;
+        this.waitingMode = false;
+        this.delayStartAt = null;
 
-        this.bindDebugControl({
-            elementId: 'alignmentSelect',
-            getValue: () => this.debugSettings.alignment,
-            setValue: (value) => {
-                this.debugSettings.alignment = value;
-                return this.debugSettings.alignment;
-            },
-            render: true
-        });
+        // Reset timer and scaling properties
+        this.lastActionTime = this.clock.now();
+        this.scalingActive = false;
 
-        this.bindDebugControl({
-            elementId: 'curveSelect',
-            getValue: () => this.debugSettings.curve,
-            setValue: (value) => {
-                this.debugSettings.curve = value;
-                return this.debugSettings.curve;
-            },
-            render: true
-        });
+        // Reset acceleration properties
+        this.keyPressHistory = [];
+        this.accelerationMultiplier = 1;
+        this.rapidMode = false;
+        this.lastKeyPressed = null;
 
-        this.bindDebugControl({
-            elementId: 'gapAngle',
-            valueElementId: 'gapAngleValue',
-            eventType: 'input',
-            getValue: () => this.debugSettings.gapAngle,
-            setValue: (value) => {
-                this.debugSettings.gapAngle = parseFloat(value);
-                return this.debugSettings.gapAngle;
-            },
-            formatValue: (value) => `${value}°`,
-            render: true
-        });
+        // Reset animated trail properties
+        this.movementDirection = null;
+        this.isMoving = false;
+        this.trailLength = 0;
+        this.currentTrailLength = 0;
+        this.trailCatchUpAnimation = false;
+        this.trailFlowOutAnimation = false;
 
-        this.bindDebugControl({
-            elementId: 'preheatSelect',
-            getValue: () => (this.debugSettings.preheatEnabled ? 'true' : 'false'),
-            setValue: (value) => {
-                this.debugSettings.preheatEnabled = value === 'true';
-                return value;
-            },
-            render: true
-        });
+        // Reset trail direction and animation
+        this.trailDirection = 'normal';
+        this.trailDirectionTarget = 'normal';
+        this.trailDirectionAnimationStart = null;
 
-        this.bindDebugControl({
-            elementId: 'autoResetSelect',
-            getValue: () => (this.debugSettings.autoReset ? 'true' : 'false'),
-            setValue: (value) => {
-                this.debugSettings.autoReset = value === 'true';
-                return value;
-            },
-            render: true
-        });
+        // Reset animation properties
+        this.animationStartTime = null;
+        this.animatingToState = null;
+        this.animationProgress = null;
+        this.previousMultipliers = new Map();
 
-        this.bindDebugControl({
-            elementId: 'resetDelay',
-            valueElementId: 'resetDelayValue',
-            eventType: 'input',
-            getValue: () => this.debugSettings.resetDelay,
-            setValue: (value) => {
-                this.debugSettings.resetDelay = parseFloat(value);
-                return this.debugSettings.resetDelay;
-            },
-            formatValue: (value) => `${value}s`,
-        });
+        // Reset ring fill animation properties
+        this.ringFillAnimation = false;
+        this.ringFillStartTime = null;
 
-        this.bindDebugControl({
-            elementId: 'flashDuration',
-            valueElementId: 'flashDurationValue',
-            eventType: 'input',
-            getValue: () => this.debugSettings.flashDuration,
-            setValue: (value) => {
-                this.debugSettings.flashDuration = parseInt(value, 10);
-                return this.debugSettings.flashDuration;
-            },
-            formatValue: (value) => `${value}ms`,
-        });
+        // Reset countdown mode properties
+        this.countdownMode = false;
+        this.countdownStartTime = null;
+        this.countdownDuration = 0;
+        this.colonBlinkState = true;
+        this.preheatPhase = false;
+        this.preheatFlashState = true;
+        this.paused = false;
+        this.pausedAt = null;
+        this.countdownAdjustTarget = 'time';
+        this.lastCountdownTickSecond = null;
+        this.stageIndex = 0;
+        this.completedStageSeconds = [];
+        this.stageTransitionStart = null;
 
-        this.bindDebugControl({
-            elementId: 'flashCount',
-            valueElementId: 'flashCountValue',
-            eventType: 'input',
-            getValue: () => this.debugSettings.flashCount,
-            setValue: (value) => {
-                this.debugSettings.flashCount = parseInt(value, 10);
-                return this.debugSettings.flashCount;
-            },
-            formatValue: (value) => `${value} flashes`,
-        });
+        // Reset completion state
+        this.cookingComplete = false;
+        this.selectedButton = 0;
+        this.followOn = null;
 
-        this.bindDebugControl({
-            elementId: 'globalTickModeSelect',
-            getValue: () => this.debugSettings.globalTickMode,
-            setValue: (value) => {
-                this.debugSettings.globalTickMode = value;
-                return this.debugSettings.globalTickMode;
-            },
-            render: true
-        });
+        // Reset flash animation
+        this.isFlashing = false;
+        this.flashStartTime = null;
+        this.flashCount = 0;
+        this.flashVisible = true;
+        this.hasFlashedAtBoundary = false;
 
-        this.toggleScalingControls();
+        this.render();
+
+        this.emitValueChange(previous, 'reset');
+        if (previousMode !== this.getMode()) {
+            this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.MODE_CHANGE, { previousMode });
+        }
     }
 
-    toggleScalingControls() {
-        const scope = this.debugRoot || document;
-        const scalingControls = scope.querySelectorAll('.scaling-control');
-        scalingControls.forEach((control) => {
-            if (this.debugSettings.scalingEnabled) {
-                control.classList.remove('hidden');
-            } else {
-                control.classList.add('hidden');
+    // ---- Value ranges and step schedule ----------------------------------
+
+    setTemperatureRange(range) {
+        const { min, max, step } = normalizeTemperatureRange(range, this.temperatureUnit);
+        const previous = this.getValueSnapshot();
+
+        this.temperatureRangeSource = this.resolveTemperatureRangeSource(range);
+        this.rangeBeforeFollowOn = null; // A host's range replaces a follow-on's widening
+        this.unitFlip = null;
+        this.minTemp = min;
+        this.maxTemp = max;
+        this.tempStep = step;
+        this.temperature = this.snapTemperature(this.temperature);
+        this.hasFlashedAtBoundary = false;
+
+        this.render();
+        this.emitValueChange(previous, 'range');
+    }
+
+    getTemperatureRange() {
+        return { unit: this.temperatureUnit, min: this.minTemp, max: this.maxTemp, step: this.tempStep };
+    }
+
+    // Pins a unit-less range to the unit it was given in, so unit flips convert it
+    resolveTemperatureRangeSource(range) {
+        return range ? { unit: this.temperatureUnit, ...range } : null;
+    }
+
+    getTemperatureUnit() {
+        return this.temperatureUnit;
+    }
+
+    // Switches °F/°C. The range is re-derived from the one originally given
+    // (so flipping back and forth never drifts) and the temperature keeps its
+    // place on the ring rather than its converted value, which can be a step
+    // off once snapped. Flipping straight back restores the previous value.
+    setTemperatureUnit(unit) {
+        assertTemperatureUnit(unit);
+        if (unit === this.temperatureUnit) {
+            return unit;
+        }
+
+        const previous = this.getValueSnapshot();
+        const previousUnit = this.temperatureUnit;
+        const progress = (this.temperature - this.minTemp) / (this.maxTemp - this.minTemp);
+        const { min, max, step } = normalizeTemperatureRange(this.temperatureRangeSource, unit);
+
+        this.temperatureUnit = unit;
+        this.minTemp = min;
+        this.maxTemp = max;
+        this.tempStep = step;
+
+        const flip = this.unitFlip;
+        if (this.followOn) {
+            // Follow-on temperatures (keep warm) keep their value, not their place on the ring
+            this.temperature = this.snapTemperature(convertTemperature(previous.temperature, previousUnit, unit));
+        } else if (flip && flip.unit === unit && flip.converted === this.temperature) {
+            this.temperature = this.snapTemperature(flip.temperature);
+        } else {
+            this.temperature = this.snapTemperature(min + progress * (max - min));
+        }
+        this.unitFlip = { unit: previousUnit, temperature: previous.temperature, converted: this.temperature };
+        if (this.program) {
+            this.program = this.program.map((stage) => ({
+                ...stage,
+                temperature: this.snapTemperature(convertTemperature(stage.temperature, previousUnit, unit))
+            }));
+            if (!this.followOn) {
+                this.program[this.stageIndex].temperature = this.temperature;
             }
-        });
+        }
+        this.hasFlashedAtBoundary = false;
+
+        this.updateTemperatureUnitDisplay();
+        this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.UNIT_CHANGE, { previousUnit });
+        this.emitValueChange(previous, 'unit');
+        return unit;
     }
 
-    increaseValue() {
-        if (this.countdownMode) return;
+    toggleTemperatureUnit() {
+        return this.setTemperatureUnit(this.temperatureUnit === 'celsius' ? 'fahrenheit' : 'celsius');
+    }
 
-        // Calculate acceleration multiplier
-        const accelerationMultiplier = this.calculateAcceleration('p');
+    // DEFAULT_STATE is written in °F
+    getDefaultState() {
+        if (this.program) {
+            const { temperature, totalMinutes } = this.program[0];
+            return { ...DEFAULT_STATE, temperature, totalMinutes };
+        }
+        return {
+            ...DEFAULT_STATE,
+            temperature: this.snapTemperature(convertTemperature(DEFAULT_STATE.temperature, 'fahrenheit', this.temperatureUnit))
+        };
+    }
 
-        if (this.tempMode) {
-            if (this.temperature >= this.maxTemp) {
-                // Only trigger flash once per boundary hit
-                if (!this.hasFlashedAtBoundary && !this.isFlashing) {
-                    this.startFlashAnimation();
-                    this.hasFlashedAtBoundary = true;
-                }
-                return;
+    updateTemperatureUnitDisplay() {
+        if (!this.tempDisplay) return;
+        const { label, iconClass } = TEMPERATURE_UNITS[this.temperatureUnit];
+        const otherIconClasses = Object.values(TEMPERATURE_UNITS)
+            .map((unit) => unit.iconClass)
+            .filter((className) => className !== iconClass);
+
+        this.tempDisplay.querySelectorAll('.temp-unit').forEach((element) => {
+            element.setAttribute('aria-label', label);
+            const icon = element.querySelector('.fa-kit');
+            if (icon) {
+                icon.classList.remove(...otherIconClasses);
+                icon.classList.add(iconClass);
             }
+        });
+    }
 
-            // Handle animated trail movement tracking (only when actual movement occurs)
-            this.handleTrailMovement('forward');
+    setTimeSchedule(schedule) {
+        const normalized = normalizeTimeSchedule(schedule);
+        const previous = this.getValueSnapshot();
 
-            // Reset flash boundary flag when moving away from boundary
-            this.hasFlashedAtBoundary = false;
+        this.timeSchedule = normalized;
+        this.minMinutes = normalized.min;
+        this.maxMinutes = normalized.max;
+        this.totalMinutes = this.snapMinutes(this.totalMinutes);
+        this.hasFlashedAtBoundary = false;
 
-            this.lastActionTime = Date.now();
-            if (!this.scalingActive) {
-                this.startScalingAnimation(true);
+        this.render();
+        this.emitValueChange(previous, 'range');
+    }
+
+    snapTemperature(temperature) {
+        const value = clamp(temperature, this.minTemp, this.maxTemp);
+        if (value === this.maxTemp) {
+            return value;
+        }
+        const snapped = this.minTemp + Math.round((value - this.minTemp) / this.tempStep) * this.tempStep;
+        return clamp(Math.round(snapped * 100) / 100, this.minTemp, this.maxTemp);
+    }
+
+    snapMinutes(minutes) {
+        return clamp(roundToSecond(minutes), this.minMinutes, this.maxMinutes);
+    }
+
+    // Number of schedule steps from the minimum to `minutes` (rounded down
+    // when the value sits between two steps)
+    getTimeStepIndex(minutes = this.totalMinutes) {
+        let index = 0;
+        for (const segment of this.timeSchedule.segments) {
+            if (minutes >= segment.upTo - SCHEDULE_EPSILON) {
+                index += segment.steps;
+                continue;
             }
-            this.scalingActive = true;
+            index += Math.max(0, Math.floor((minutes - segment.from) / segment.step + SCHEDULE_EPSILON));
+            break;
+        }
+        return index;
+    }
 
-            // Apply acceleration to temperature change (base 5°F)
-            const tempIncrement = 5 * accelerationMultiplier;
-            this.temperature = Math.min(this.temperature + tempIncrement, this.maxTemp);
-        } else {
-            // For time mode, check if we can actually increase before handling trail
-            if (this.totalMinutes >= this.maxMinutes) {
-                // Only trigger flash once per boundary hit
-                if (!this.hasFlashedAtBoundary && !this.isFlashing) {
-                    this.startFlashAnimation();
-                    this.hasFlashedAtBoundary = true;
-                }
-                return;
+    getTimeForStepIndex(index) {
+        let remaining = clamp(Math.round(index), 0, this.timeSchedule.totalSteps);
+        for (const segment of this.timeSchedule.segments) {
+            if (remaining <= segment.steps) {
+                return roundToSecond(Math.min(segment.from + remaining * segment.step, segment.upTo));
             }
+            remaining -= segment.steps;
+        }
+        return this.maxMinutes;
+    }
+
+    // Next value on the schedule in `direction` (+1 / -1). Stepping down onto
+    // a segment boundary skips past it into the finer segment (1:15 -> 59:00).
+    getSteppedMinutes(direction) {
+        const index = this.getTimeStepIndex();
+        if (direction > 0) {
+            return this.getTimeForStepIndex(index + 1);
+        }
+
+        const onStep = Math.abs(this.getTimeForStepIndex(index) - this.totalMinutes) < SCHEDULE_EPSILON;
+        let nextIndex = onStep ? index - 1 : index;
+        const next = this.getTimeForStepIndex(nextIndex);
+        const landsOnBoundary = this.timeSchedule.segments
+            .slice(0, -1)
+            .some((segment) => Math.abs(segment.upTo - next) < SCHEDULE_EPSILON);
+        if (landsOnBoundary && this.totalMinutes > next) {
+            nextIndex -= 1;
+        }
+        return this.getTimeForStepIndex(nextIndex);
+    }
+
+    // Phase B starts where the first segment ends (1:00 by default). A
+    // single-segment schedule stays in Phase A.
+    isTimePhaseB(minutes = this.totalMinutes) {
+        const { segments } = this.timeSchedule;
+        return segments.length > 1 && minutes >= segments[0].upTo - SCHEDULE_EPSILON;
+    }
+
+    getPhaseBoundary() {
+        const { segments } = this.timeSchedule;
+        return segments.length > 1 ? segments[0].upTo : this.maxMinutes;
+    }
+
+    getPhaseATickCount() {
+        const { segments } = this.timeSchedule;
+        return segments.length > 1 ? segments[0].steps : segments[0].steps + 1;
+    }
+
+    getPhaseAStepIndex() {
+        return clamp(this.getTimeStepIndex(), 0, this.getPhaseATickCount() - 1);
+    }
+
+    getPhaseBStepCount() {
+        return this.timeSchedule.totalSteps - this.timeSchedule.segments[0].steps;
+    }
+
+    getPhaseBStepIndex() {
+        return Math.max(0, this.getTimeStepIndex() - this.timeSchedule.segments[0].steps);
+    }
 
-            // Handle animated trail movement tracking (only when actual movement occurs)
-            this.handleTrailMovement('forward');
+    emitEvent(type, detail = {}, { cancelable = false } = {}) {
+        return this.dispatchEvent(new CustomEvent(type, {
+            detail: { ...this.getState(), ...detail },
+            cancelable
+        }));
+    }
 
-            // Apply acceleration to the increase
-            for (let i = 0; i < accelerationMultiplier; i++) {
-                this.increaseTime();
-            }
+    emitValueChange(previous, source) {
+        if (!previous) return;
+        if (previous.temperature === this.temperature && previous.totalMinutes === this.totalMinutes
+            && previous.scheduledTime === this.scheduledTime) {
+            return;
         }
-        this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.VALUE_CHANGE, {
+            previousTemperature: previous.temperature,
+            previousTotalMinutes: previous.totalMinutes,
+            previousScheduledTime: previous.scheduledTime,
+            source
+        });
     }
 
-    decreaseValue() {
-        if (this.countdownMode) return;
-
-        // Calculate acceleration multiplier
-        const accelerationMultiplier = this.calculateAcceleration('o');
+    // ---- Completion actions ----------------------------------------------
 
-        if (this.tempMode) {
-            if (this.temperature <= this.minTemp) {
-                // Only trigger flash once per boundary hit
-                if (!this.hasFlashedAtBoundary && !this.isFlashing) {
-                    this.startFlashAnimation();
-                    this.hasFlashedAtBoundary = true;
-                }
-                return;
-            }
+    // `actions` is a list of { id, label, handler }; see
+    // DEFAULT_COMPLETION_ACTIONS. Pass null to go back to the defaults.
+    setCompletionActions(actions) {
+        this.completionActions = normalizeCompletionActions(actions || DEFAULT_COMPLETION_ACTIONS);
+        this.selectedButton = 0;
+        this.renderCompletionButtons();
+        this.render();
+    }
 
-            // Handle animated trail movement tracking (only when actual movement occurs)
-            this.handleTrailMovement('backward');
+    getCompletionActions() {
+        return this.completionActions.map((action) => ({ ...action }));
+    }
 
-            // Reset flash boundary flag when moving away from boundary
-            this.hasFlashedAtBoundary = false;
+    // Rebuilds the buttons from completionActions. Existing markup may ship
+    // its own buttons; they are replaced so labels always match the actions.
+    renderCompletionButtons() {
+        this.teardownCompletionButtons();
+        if (!this.completionButtons) return;
+        this.completionButtons.innerHTML = '';
+
+        this.completionButtonHandlers = this.completionActions.map((action, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'completion-btn';
+            button.dataset.action = action.id;
+            button.textContent = action.label;
+
+            const handler = () => {
+                if (!this.cookingComplete) return;
+                this.selectedButton = index;
+                this.updateButtonSelection();
+                this.triggerCompletionAction(index);
+            };
+            button.addEventListener('click', handler);
+            this.completionButtons.appendChild(button);
+            return { button, handler };
+        });
+        this.updateButtonSelection();
+    }
 
-            this.lastActionTime = Date.now();
-            if (!this.scalingActive) {
-                this.startScalingAnimation(true);
-            }
-            this.scalingActive = true;
+    teardownCompletionButtons() {
+        (this.completionButtonHandlers || []).forEach(({ button, handler }) => {
+            button.removeEventListener('click', handler);
+        });
+        this.completionButtonHandlers = [];
+    }
 
-            // Apply acceleration to temperature change (base 5°F)
-            const tempDecrement = 5 * accelerationMultiplier;
-            this.temperature = Math.max(this.temperature - tempDecrement, this.minTemp);
-        } else {
-            // For time mode, check if we can actually decrease before handling trail
-            if (this.totalMinutes <= 1) {
-                // Only trigger flash once per boundary hit
-                if (!this.hasFlashedAtBoundary && !this.isFlashing) {
-                    this.startFlashAnimation();
-                    this.hasFlashedAtBoundary = true;
-                }
-                return;
-            }
+    // Fires completionaction for the selected (or given) button, then runs the
+    // action's handler. Listeners can call preventDefault() to skip it.
+    triggerCompletionAction(index = this.selectedButton) {
+        if (!this.cookingComplete) return;
+        const action = this.completionActions[index];
+        if (!action) return;
+
+        const proceed = this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.COMPLETION_ACTION, {
+            action: action.id,
+            label: action.label,
+            index
+        }, { cancelable: true });
+        if (proceed && action.handler && this.cookingComplete && !this.destroyed) {
+            action.handler(this, { ...action });
+        }
+    }
 
-            // Handle animated trail movement tracking (only when actual movement occurs)
-            this.handleTrailMovement('backward');
+    // Starts a short cook straight from the completion screen ("A bit more",
+    // keep warm). There is no ring fill or preheat since the oven is already
+    // hot, and the ring tracks just this cook rather than the whole program.
+    // `temperature` is in the active unit and may sit below the setup range.
+    continueCooking({ minutes = 2, temperature = this.temperature, status = null } = {}) {
+        if (!this.cookingComplete) return false;
 
-            // Apply acceleration to the decrease
-            for (let i = 0; i < accelerationMultiplier; i++) {
-                this.decreaseTime();
-            }
+        const value = Number(temperature);
+        const previous = this.getValueSnapshot();
+        this.cookingComplete = false;
+        this.selectedButton = 0;
+        this.followOn = { status };
+        if (Number.isFinite(value)) {
+            this.widenTemperatureRange(value);
+            this.temperature = this.snapTemperature(value);
         }
+        this.totalMinutes = roundToSecond(Math.max(minutes, 1 / 60));
+
+        this.countdownMode = true;
+        this.countdownDuration = this.totalMinutes * 60;
+        this.countdownStartTime = this.clock.now();
+        this.colonBlinkState = true;
+        this.preheatPhase = false;
+        this.paused = false;
+        this.pausedAt = null;
+        this.countdownAdjustTarget = 'time';
+        this.lastCountdownTickSecond = null;
+        this.stageTransitionStart = null;
+
         this.render();
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.COOK_START, { preheat: false, followOn: true });
+        this.emitValueChange(previous, 'completion');
+        return true;
+    }
+
+    // Follow-on temperatures (keep warm) can sit below the ring. The range is
+    // stretched in whole steps to reach them, so rotation and the slider's
+    // min/max still describe the value, and reset() puts it back.
+    widenTemperatureRange(temperature) {
+        if (temperature >= this.minTemp && temperature <= this.maxTemp) return;
+
+        const original = this.rangeBeforeFollowOn || { source: this.temperatureRangeSource };
+        const stepsBelow = Math.max(0, Math.ceil((this.minTemp - temperature) / this.tempStep));
+        const stepsAbove = Math.max(0, Math.ceil((temperature - this.maxTemp) / this.tempStep));
+        this.setTemperatureRange({
+            unit: this.temperatureUnit,
+            min: this.minTemp - stepsBelow * this.tempStep,
+            max: this.maxTemp + stepsAbove * this.tempStep,
+            step: this.tempStep
+        });
+        this.rangeBeforeFollowOn = original;
     }
 
+    restoreTemperatureRange() {
+        if (!this.rangeBeforeFollowOn) return;
 
-    toggleMode() {
-        if (this.countdownMode) return;
-        this.tempMode = !this.tempMode;
-        this.render();
+        const { source } = this.rangeBeforeFollowOn;
+        const { min, max, step } = normalizeTemperatureRange(source, this.temperatureUnit);
+        this.rangeBeforeFollowOn = null;
+        this.temperatureRangeSource = source;
+        this.minTemp = min;
+        this.maxTemp = max;
+        this.tempStep = step;
     }
 
-    startCooking() {
-        if (this.countdownMode) return;
-        this.startRingFillAnimation();
+    isFollowOnCook() {
+        return this.followOn !== null;
     }
 
     startScalingAnimation(toActive) {
-        this.animationStartTime = Date.now();
+        if (this.isReducedMotion()) {
+            // Jump straight to the end state
+            this.animationStartTime = null;
+            this.animatingToState = null;
+            this.animationProgress = null;
+            this.render();
+            return;
+        }
+        this.animationStartTime = this.clock.now();
         this.animatingToState = toActive ? 'active' : 'inactive';
         this.animateTransition();
     }
 
+    // Called wherever rotation hits a limit, so the boundary bump lives here
+    // too; it plays even when reduced motion skips the flash
     startFlashAnimation() {
+        this.cueFeedback(FEEDBACK_CUES.BOUNDARY);
+        if (this.isReducedMotion()) return;
         this.isFlashing = true;
-        this.flashStartTime = Date.now();
+        this.flashStartTime = this.clock.now();
         this.flashCount = 0;
         this.flashVisible = true;
         this.animateFlash();
@@ -1112,7 +3816,7 @@ class CircularTimeDial {
     animateFlash() {
         if (!this.isFlashing) return;
 
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         const elapsed = currentTime - this.flashStartTime;
         const flashDuration = this.debugSettings.flashDuration; // ms per flash (on/off cycle)
         const totalFlashes = this.debugSettings.flashCount;
@@ -1132,22 +3836,19 @@ class CircularTimeDial {
         this.flashVisible = (flashCycle % 2 === 0);
         this.render();
 
-        requestAnimationFrame(() => this.animateFlash());
+        this.scheduleFrame('flash', () => this.animateFlash());
     }
 
     animateTransition() {
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         const elapsed = currentTime - this.animationStartTime;
         const progress = Math.min(elapsed / this.animationDuration, 1);
 
-        // Ease function
-        const easeProgress = 1 - Math.pow(1 - progress, 3);
-
-        this.animationProgress = easeProgress;
+        this.animationProgress = this.getScaleEasing()(progress);
         this.render();
 
         if (progress < 1) {
-            requestAnimationFrame(() => this.animateTransition());
+            this.scheduleFrame('transition', () => this.animateTransition());
         } else {
             this.animationStartTime = null;
             this.animatingToState = null;
@@ -1159,6 +3860,13 @@ class CircularTimeDial {
         // Don't start animation if already at target
         if (this.trailDirection === targetDirection) return;
 
+        if (this.isReducedMotion()) {
+            this.trailDirection = targetDirection;
+            this.trailDirectionTarget = targetDirection;
+            this.render();
+            return;
+        }
+
         // Don't start animation if at or near boundaries (to prevent glitches)
         const trailThreshold = 0.2; // 20% threshold for trail interference
 
@@ -1177,12 +3885,13 @@ class CircularTimeDial {
             }
         } else {
             // For time mode, check both phase A and B boundaries
-            if (this.totalMinutes <= 60) {
-                // Phase A: check if near 1 minute or 60 minutes
-                const phaseARange = 59; // 1 to 60 minutes
+            const phaseBoundary = this.getPhaseBoundary();
+            if (this.totalMinutes <= phaseBoundary) {
+                // Phase A: check if near the minimum or the Phase B transition
+                const phaseARange = phaseBoundary - this.minMinutes;
                 const timeThresholdRange = phaseARange * trailThreshold;
-                const nearMinTime = this.totalMinutes <= (1 + timeThresholdRange);
-                const nearPhaseTransition = this.totalMinutes >= (60 - timeThresholdRange);
+                const nearMinTime = this.totalMinutes <= (this.minMinutes + timeThresholdRange);
+                const nearPhaseTransition = this.totalMinutes >= (phaseBoundary - timeThresholdRange);
 
                 if (nearMinTime || nearPhaseTransition) {
                     this.trailDirection = targetDirection;
@@ -1192,9 +3901,9 @@ class CircularTimeDial {
                 }
             } else {
                 // Phase B: check if near phase transition or max time
-                const phaseBRange = this.maxMinutes - 60;
+                const phaseBRange = this.maxMinutes - phaseBoundary;
                 const timeThresholdRange = phaseBRange * trailThreshold;
-                const nearPhaseTransition = this.totalMinutes <= (60 + timeThresholdRange);
+                const nearPhaseTransition = this.totalMinutes <= (phaseBoundary + timeThresholdRange);
                 const nearMaxTime = this.totalMinutes >= (this.maxMinutes - timeThresholdRange);
 
                 if (nearPhaseTransition || nearMaxTime) {
@@ -1207,14 +3916,14 @@ class CircularTimeDial {
         }
 
         this.trailDirectionTarget = targetDirection;
-        this.trailDirectionAnimationStart = Date.now();
+        this.trailDirectionAnimationStart = this.clock.now();
         this.animateTrailDirection();
     }
 
     animateTrailDirection() {
         if (!this.trailDirectionAnimationStart) return;
 
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         const elapsed = currentTime - this.trailDirectionAnimationStart;
         const progress = Math.min(elapsed / this.trailDirectionAnimationDuration, 1);
 
@@ -1224,7 +3933,7 @@ class CircularTimeDial {
         this.render();
 
         if (progress < 1) {
-            requestAnimationFrame(() => this.animateTrailDirection());
+            this.scheduleFrame('trailDirection', () => this.animateTrailDirection());
         } else {
             // Animation complete - set final direction
             this.trailDirection = this.trailDirectionTarget;
@@ -1234,10 +3943,10 @@ class CircularTimeDial {
     }
 
     startUpdateLoop() {
-        setInterval(() => {
+        this.startInterval(() => {
             if (!this.debugSettings.autoReset) return;
 
-            const timeSinceLastAction = Date.now() - this.lastActionTime;
+            const timeSinceLastAction = this.clock.now() - this.lastActionTime;
             const wasScalingActive = this.scalingActive;
 
             if (timeSinceLastAction > (this.debugSettings.resetDelay * 1000)) {
@@ -1251,77 +3960,177 @@ class CircularTimeDial {
             this.updateAnimatedTrail();
 
             // Re-render if trail animations are active
-            if (this.debugSettings.trailMode === 'animated' && 
+            if (this.isTrailAnimated() &&
                 (this.trailCatchUpAnimation || this.trailFlowOutAnimation)) {
                 this.render();
             }
         }, 100); // Check every 100ms
 
         // Countdown update loop
-        setInterval(() => {
-            if (this.countdownMode) {
+        this.startInterval(() => {
+            this.updateThermal();
+            if (this.countdownMode && !this.paused) {
                 this.updateCountdown();
+            } else if (this.waitingMode || (this.scheduleMode && this.getPhase() === 'setup')) {
+                this.updateSchedule();
             }
         }, 100); // Update countdown every 100ms
 
-        // Preheat flash loop
-        setInterval(() => {
-            if (this.countdownMode && this.preheatPhase) {
+        // Preheat flash loop (holds steady while paused)
+        this.startInterval(() => {
+            if (this.countdownMode && this.preheatPhase && !this.paused) {
                 this.preheatFlashState = !this.preheatFlashState;
                 this.render();
             }
         }, 600); // Flash every 600ms
     }
 
+    // Intervals and animation frames are tracked so destroy() can stop them
+    startInterval(callback, ms) {
+        const id = this.clock.setInterval(callback, ms);
+        this.updateLoopTimers.push(id);
+        return id;
+    }
+
+    // One pending frame per animation loop; a new request replaces the old one
+    scheduleFrame(name, callback) {
+        if (this.frameRequests.has(name)) {
+            this.clock.cancelFrame(this.frameRequests.get(name));
+        }
+        const id = this.clock.requestFrame(() => {
+            this.frameRequests.delete(name);
+            callback();
+        });
+        this.frameRequests.set(name, id);
+    }
+
     formatTime() {
+        const totalSeconds = Math.round(this.totalMinutes * 60);
         if (this.totalMinutes < 60) {
-            // Phase A: Show minutes as M:00 (1:00, 2:00, etc.)
-            return `${this.totalMinutes}:00`;
+            // Under an hour: show M:SS (1:00, 2:00, 1:30 for second-based schedules)
+            const minutes = Math.floor(totalSeconds / 60);
+            const seconds = totalSeconds % 60;
+            return `${minutes}:${seconds.toString().padStart(2, '0')}`;
         } else {
-            // Phase B: Show hours and minutes as H:MM
-            const hours = Math.floor(this.totalMinutes / 60);
-            const minutes = this.totalMinutes % 60;
+            // Show hours and minutes as H:MM
+            const hours = Math.floor(totalSeconds / 3600);
+            const minutes = Math.floor((totalSeconds % 3600) / 60);
             return `${hours}:${minutes.toString().padStart(2, '0')}`;
         }
     }
 
     render() {
-        // Clear canvas
-        this.ctx.fillStyle = 'black';
-        this.ctx.fillRect(0, 0, 320, 320);
-        this.ctx.lineCap = this.getLineCap();
+        if (this.destroyed || this.renderSuspended) return;
+
+        if (this.svgHost) {
+            this.ctx.clear();
+            this.renderRing(this.ctx);
+            // Frames that draw the same ring leave the DOM alone
+            const markup = this.ctx.toSVG();
+            if (markup !== this.svgMarkup) {
+                this.svgMarkup = markup;
+                patchSVG(this.svgHost, markup);
+            }
+        } else if (this.ctx) {
+            this.renderRing(this.ctx);
+        }
+        if (!this.headless) {
+            this.updateDisplay();
+            this.updateAccessibleValue();
+        }
+    }
 
-        // Cache palette for this frame based on current mode/settings
-        this.currentPalette = this.getColorPalette();
+    // Draws the ring for the current state. `target` is a 2D context or a
+    // canvas (HTMLCanvasElement, OffscreenCanvas, node-canvas); pass `size`
+    // to resize a canvas to size × pixelRatio device pixels first. The ring
+    // scales to fit and is centred, so any size stays crisp.
+    renderRing(target = this.ctx, { size, pixelRatio = 1 } = {}) {
+        const isCanvas = Boolean(target) && typeof target.fillRect !== 'function';
+        if (isCanvas && size) {
+            target.width = Math.round(size * pixelRatio);
+            target.height = Math.round(size * pixelRatio);
+        }
+        const ctx = isCanvas && typeof target.getContext === 'function' ? target.getContext('2d') : target;
+        if (!ctx || typeof ctx.fillRect !== 'function') {
+            throw new Error('CircularTimeDial: renderRing needs a 2D context or canvas');
+        }
 
-        if (this.cookingComplete) {
-            this.renderCompletionMode();
-        } else if (this.ringFillAnimation) {
-            this.renderRingFillAnimation();
-        } else if (this.countdownMode) {
-            this.renderCountdownMode();
-        } else {
-            if (this.tempMode) {
-                this.renderTemperatureMode();
+        const width = ctx.canvas ? ctx.canvas.width : RING_VIEW_SIZE;
+        const height = ctx.canvas ? ctx.canvas.height : RING_VIEW_SIZE;
+        const scale = Math.min(width, height) / RING_VIEW_SIZE;
+        const ownCtx = this.ctx;
+
+        // The draw helpers all read this.ctx, so point it at the target for this pass
+        this.ctx = ctx;
+        ctx.save();
+        try {
+            // Clear the whole surface, then draw in ring units
+            // Cache palette for this frame based on current mode/settings
+            this.currentPalette = this.getColorPalette();
+
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.fillStyle = this.currentPalette.background;
+            ctx.fillRect(0, 0, width, height);
+            ctx.setTransform(scale, 0, 0, scale, (width - RING_VIEW_SIZE * scale) / 2, (height - RING_VIEW_SIZE * scale) / 2);
+            ctx.lineCap = this.getLineCap();
+
+            if (this.cookingComplete) {
+                this.renderCompletionMode();
+            } else if (this.ringFillAnimation) {
+                this.renderRingFillAnimation();
+            } else if (this.countdownMode) {
+                this.renderCountdownMode();
+            } else if (this.waitingMode || this.scheduleMode) {
+                this.renderScheduleMode();
             } else {
-                if (this.totalMinutes < 60) {
-                    this.renderPhaseA();
+                if (this.tempMode) {
+                    this.renderTemperatureMode();
                 } else {
-                    this.renderPhaseB();
+                    if (!this.isTimePhaseB()) {
+                        this.renderPhaseA();
+                    } else {
+                        this.renderPhaseB();
+                    }
                 }
             }
+        } finally {
+            ctx.restore();
+            this.ctx = ownCtx;
         }
+        return ctx;
+    }
+
+    // The current ring frame as a standalone SVG document (for handoff to
+    // visual design), whichever renderer the dial uses
+    exportSVG({ size = RING_VIEW_SIZE } = {}) {
+        const context = new SvgRingContext({ width: size });
+        this.renderRing(context);
+        return context.toSVG();
+    }
+
+    downloadSVG(filename = 'circular-time-dial.svg') {
+        const url = URL.createObjectURL(new Blob([this.exportSVG()], { type: 'image/svg+xml' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
 
-        // Update display
+    // Text, buttons and labels around the ring
+    updateDisplay() {
         if (this.cookingComplete) {
             this.updateCompletionDisplay();
         } else if (this.ringFillAnimation) {
             this.updateStartingDisplay();
         } else if (this.countdownMode) {
             this.updateCountdownDisplay();
+        } else if (this.waitingMode || this.scheduleMode) {
+            this.updateScheduleDisplay();
         } else {
             this.updateSetupDisplay();
         }
+        this.updateStageLabel();
     }
 
     updateSetupDisplay() {
@@ -1361,6 +4170,47 @@ class CircularTimeDial {
         this.updateDisplayFonts();
     }
 
+    // Schedule mode shows the picked clock time; waiting shows the time to
+    // the start with the picked time above the ring
+    updateScheduleDisplay() {
+        this.completionButtons.style.display = 'none';
+        this.tempDisplay.querySelector('.temp-number').textContent = this.temperature;
+        this.tempDisplay.className = 'temp-display inactive';
+        this.timeDisplayMain.className = 'time-display-main active';
+        this.timeDisplayMain.style.opacity = (this.isFlashing && !this.flashVisible) ? '0' : '1';
+
+        const scheduled = this.getScheduledTime();
+        if (this.waitingMode) {
+            const remaining = Math.ceil(this.getDelayStartRemaining());
+            const hours = Math.floor(remaining / 3600);
+            const minutes = Math.floor((remaining % 3600) / 60);
+            const seconds = remaining % 60;
+            this.timeDisplayMain.textContent = hours
+                ? `${hours}:${minutes.toString().padStart(2, '0')}`
+                : `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+            this.cookingStatus.style.display = 'block';
+            this.cookingStatus.style.opacity = 1.0;
+            this.cookingStatus.textContent = `${this.getScheduleLabel()} ${this.describeClockTime(scheduled)}`;
+            this.modeLabel.textContent = hours ? 'HR - MIN TO START' : 'MIN - SEC TO START';
+            this.modeLabel.style.color = 'var(--text-tertiary)';
+        } else {
+            this.cookingStatus.style.display = 'none';
+            if (scheduled === null) {
+                this.timeDisplayMain.textContent = 'NOW';
+                this.modeLabel.textContent = 'NO DELAY';
+            } else {
+                const { time, meridiem } = formatClockTime(scheduled);
+                this.timeDisplayMain.textContent = time;
+                this.modeLabel.textContent = `${this.getScheduleLabel().toUpperCase()} - ${meridiem}`;
+            }
+            this.modeLabel.style.color = 'var(--text-primary)';
+        }
+        this.modeLabel.style.opacity = 1.0;
+
+        this.updateDisplayFonts();
+    }
+
     updateStartingDisplay() {
         // Hide completion buttons during starting
         this.completionButtons.style.display = 'none';
@@ -1388,17 +4238,24 @@ class CircularTimeDial {
         // Show cooking status above circle
         this.cookingStatus.style.display = 'block';
 
+        // Whichever value rotation adjusts mid-cook is the active one
+        const adjustingTemperature = this.isAdjustingTemperature();
+        const tempClass = adjustingTemperature ? 'temp-display active' : 'temp-display inactive';
+        const timeClass = adjustingTemperature ? 'time-display-main inactive' : 'time-display-main active';
+
         if (this.preheatPhase && this.debugSettings.preheatEnabled) {
-            // During preheat: show temperature and time set
-            this.tempDisplay.querySelector('.temp-number').textContent = this.temperature;
-            this.tempDisplay.className = 'temp-display inactive';
+            // During preheat: show temperature and time set; with the thermal
+            // model the number is the oven climbing towards the set temperature
+            const thermal = this.isThermalPreheat() && !adjustingTemperature;
+            this.tempDisplay.querySelector('.temp-number').textContent = thermal ? this.getOvenTemperature() : this.temperature;
+            this.tempDisplay.className = tempClass;
             this.timeDisplayMain.textContent = this.formatTime();
-            this.timeDisplayMain.className = 'time-display-main active';
+            this.timeDisplayMain.className = timeClass;
 
             // Flash the cooking status above circle
             const labelOpacity = this.preheatFlashState ? 1.0 : 0.25;
             this.cookingStatus.style.opacity = labelOpacity;
-            this.cookingStatus.textContent = 'Preheating...';
+            this.cookingStatus.textContent = this.paused ? 'Paused' : this.getPreheatStatus();
 
             // Keep original label below (HR-MIN since we're in phase B during cooking)
             this.modeLabel.textContent = this.totalMinutes < 60 ? 'MIN - SEC' : 'HR - MIN';
@@ -1407,7 +4264,7 @@ class CircularTimeDial {
         } else {
             // During cooking: show countdown with temperature
             this.tempDisplay.querySelector('.temp-number').textContent = this.temperature;
-            this.tempDisplay.className = 'temp-display inactive';
+            this.tempDisplay.className = tempClass;
             const { minutes, seconds } = this.getCurrentCountdownTime();
 
             // Format time like 1:15 for 1hr 15min, 59:00 for 59min
@@ -1424,11 +4281,12 @@ class CircularTimeDial {
                 this.timeDisplayMain.textContent = `${hours}:${mins.toString().padStart(2, '0')}`;
             }
 
-            this.timeDisplayMain.className = 'time-display-main active';
+            this.timeDisplayMain.className = timeClass;
 
             // Show "Actively cooking" above circle
             this.cookingStatus.style.opacity = 1.0;
-            this.cookingStatus.textContent = 'Actively cooking';
+            const activeStatus = (this.followOn && this.followOn.status) || 'Actively cooking';
+            this.cookingStatus.textContent = this.paused ? 'Paused' : (this.isDoorOpen() ? 'Door open' : activeStatus);
 
             // Show appropriate label below based on time remaining
             this.modeLabel.textContent = isUnderOneHour ? 'MIN - SEC' : 'HR - MIN';
@@ -1436,6 +4294,15 @@ class CircularTimeDial {
             this.modeLabel.style.opacity = 1.0;
         }
 
+        // Boundary flash on whichever value is being adjusted
+        const flashOpacity = (this.isFlashing && !this.flashVisible) ? '0' : '1';
+        this.tempDisplay.style.opacity = adjustingTemperature ? flashOpacity : '1';
+        this.timeDisplayMain.style.opacity = adjustingTemperature ? '1' : flashOpacity;
+        if (this.stageTransitionStart !== null) {
+            // The next stage's temperature fades in
+            this.tempDisplay.style.opacity = String(this.getStageTransitionProgress());
+        }
+
         this.updateDisplayFonts();
     }
 
@@ -1527,8 +4394,7 @@ class CircularTimeDial {
     }
 
     isSolidTemperatureMode() {
-        const mode = this.debugSettings.colorMode;
-        return mode === 'solid-temp' || mode === 'solid-temp-red';
+        return getDialPalette(this.debugSettings.colorMode).temperatureStyle === 'solid';
     }
 
     renderTemperatureMode() {
@@ -1625,15 +4491,16 @@ class CircularTimeDial {
         ctx.lineCap = this.getLineCap();
         ctx.lineWidth = lineWidth;
 
+        const palette = this.currentPalette || this.getColorPalette();
+
         // Base ring
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.18)';
+        ctx.strokeStyle = palette.gradientTrack;
         ctx.beginPath();
         ctx.arc(this.centerX, this.centerY, radius, 0, TAU);
         ctx.stroke();
 
         if (progress > 0) {
-            const mode = this.debugSettings.colorMode || 'solid-temp';
-            const baseStops = SOLID_TEMP_GRADIENTS[mode] || SOLID_TEMP_GRADIENTS['solid-temp'];
+            const baseStops = palette.gradientStops;
             const scaledStops = baseStops.map((stop) => ({
                 offset: progress >= 1 ? stop.ratio : stop.ratio * progress,
                 color: stop.color
@@ -1668,7 +4535,6 @@ class CircularTimeDial {
             ctx.stroke();
 
             // Draw accent tick at the leading edge of the fill
-            const palette = this.currentPalette || this.getColorPalette();
             const tickAngle = endAngle;
             const tickInnerRadius = innerRadius;
             const tickOuterRadius = outerRadius;
@@ -1690,13 +4556,14 @@ class CircularTimeDial {
     }
 
     renderRingFillAnimation() {
-        const elapsed = Date.now() - this.ringFillStartTime;
+        const elapsed = this.clock.now() - this.ringFillStartTime;
         const progress = Math.min(elapsed / this.ringFillDuration, 1);
 
         const { radius, lineWidth } = this.getRingGeometry();
+        const palette = this.currentPalette || this.getColorPalette();
 
         // Ease-out animation for smoother filling
-        const easeProgress = 1 - Math.pow(1 - progress, 2);
+        const easeProgress = EASINGS.easeOutQuad(progress);
 
         // Calculate gap and segments like in countdown mode
         const mainGapAngle = (this.debugSettings.gapAngle * Math.PI) / 180;
@@ -1720,14 +4587,14 @@ class CircularTimeDial {
             // Draw background segments
             this.ctx.beginPath();
             this.ctx.arc(this.centerX, this.centerY, radius, preheatEndAngle, preheatStartAngle);
-            this.ctx.strokeStyle = '#5a060a';
+            this.ctx.strokeStyle = palette.track;
             this.ctx.lineWidth = lineWidth;
             this.ctx.lineCap = this.getLineCap();
             this.ctx.stroke();
 
             this.ctx.beginPath();
             this.ctx.arc(this.centerX, this.centerY, radius, cookingEndAngle, cookingStartAngle);
-            this.ctx.strokeStyle = '#5a060a';
+            this.ctx.strokeStyle = palette.track;
             this.ctx.lineWidth = lineWidth;
             this.ctx.lineCap = this.getLineCap();
             this.ctx.stroke();
@@ -1742,7 +4609,7 @@ class CircularTimeDial {
                     const fillEndAngle = preheatStartAngle - currentFillAngle;
                     this.ctx.beginPath();
                     this.ctx.arc(this.centerX, this.centerY, radius, fillEndAngle, preheatStartAngle);
-                    this.ctx.strokeStyle = '#FA4947';
+                    this.ctx.strokeStyle = palette.fill;
                     this.ctx.lineWidth = lineWidth;
                     this.ctx.lineCap = this.getLineCap();
                     this.ctx.stroke();
@@ -1750,7 +4617,7 @@ class CircularTimeDial {
                     // Preheat full, filling cooking segment
                     this.ctx.beginPath();
                     this.ctx.arc(this.centerX, this.centerY, radius, preheatEndAngle, preheatStartAngle);
-                    this.ctx.strokeStyle = '#FA4947';
+                    this.ctx.strokeStyle = palette.fill;
                     this.ctx.lineWidth = lineWidth;
                     this.ctx.lineCap = this.getLineCap();
                     this.ctx.stroke();
@@ -1759,7 +4626,7 @@ class CircularTimeDial {
                     const cookingFillEndAngle = cookingStartAngle - cookingFillAngle;
                     this.ctx.beginPath();
                     this.ctx.arc(this.centerX, this.centerY, radius, cookingFillEndAngle, cookingStartAngle);
-                    this.ctx.strokeStyle = '#FA4947';
+                    this.ctx.strokeStyle = palette.fill;
                     this.ctx.lineWidth = lineWidth;
                     this.ctx.lineCap = this.getLineCap();
                     this.ctx.stroke();
@@ -1772,7 +4639,7 @@ class CircularTimeDial {
 
             this.ctx.beginPath();
             this.ctx.arc(this.centerX, this.centerY, radius, startAngle, endAngle);
-            this.ctx.strokeStyle = '#5a060a';
+            this.ctx.strokeStyle = palette.track;
             this.ctx.lineWidth = lineWidth;
             this.ctx.lineCap = this.getLineCap();
             this.ctx.stroke();
@@ -1783,7 +4650,7 @@ class CircularTimeDial {
 
                 this.ctx.beginPath();
                 this.ctx.arc(this.centerX, this.centerY, radius, startAngle, fillEndAngle);
-                this.ctx.strokeStyle = '#FA4947';
+                this.ctx.strokeStyle = palette.fill;
                 this.ctx.lineWidth = lineWidth;
                 this.ctx.lineCap = this.getLineCap();
                 this.ctx.stroke();
@@ -1794,9 +4661,10 @@ class CircularTimeDial {
     renderCountdownMode() {
         if (this.countdownDuration === 0) return;
 
-        const elapsed = this.countdownStartTime ? (Date.now() - this.countdownStartTime) / 1000 : 0;
+        const elapsed = this.getCountdownElapsed();
 
         const { radius, lineWidth } = this.getRingGeometry();
+        const palette = this.currentPalette || this.getColorPalette();
 
         // Calculate gap size (in radians) from debug settings
         const mainGapAngle = (this.debugSettings.gapAngle * Math.PI) / 180;
@@ -1824,7 +4692,7 @@ class CircularTimeDial {
             // Draw preheat segment background (dark red)
             this.ctx.beginPath();
             this.ctx.arc(this.centerX, this.centerY, radius, preheatEndAngle, preheatStartAngle);
-            this.ctx.strokeStyle = '#5a060a';
+            this.ctx.strokeStyle = palette.track;
             this.ctx.lineWidth = lineWidth;
             this.ctx.lineCap = this.getLineCap();
             this.ctx.stroke();
@@ -1832,14 +4700,14 @@ class CircularTimeDial {
             // Draw cooking segment background (dark red)
             this.ctx.beginPath();
             this.ctx.arc(this.centerX, this.centerY, radius, cookingEndAngle, cookingStartAngle);
-            this.ctx.strokeStyle = '#5a060a';
+            this.ctx.strokeStyle = palette.track;
             this.ctx.lineWidth = lineWidth;
             this.ctx.lineCap = this.getLineCap();
             this.ctx.stroke();
 
             if (this.preheatPhase) {
                 // During preheat: unfill preheat segment CLOCKWISE (from left to right, like in the image)
-                const preheatProgress = Math.min(elapsed / 10, 1); // 10 seconds preheat
+                const preheatProgress = this.getPreheatProgress(elapsed);
                 const remainingPreheatProgress = 1 - preheatProgress; // How much is left
                 const remainingPreheatAngle = preheatAngle * remainingPreheatProgress;
 
@@ -1848,7 +4716,7 @@ class CircularTimeDial {
                     const currentPreheatStartAngle = preheatEndAngle + remainingPreheatAngle;
                     this.ctx.beginPath();
                     this.ctx.arc(this.centerX, this.centerY, radius, preheatEndAngle, currentPreheatStartAngle);
-                    this.ctx.strokeStyle = '#FA4947';
+                    this.ctx.strokeStyle = palette.fill;
                     this.ctx.lineWidth = lineWidth;
                     this.ctx.lineCap = this.getLineCap();
                     this.ctx.stroke();
@@ -1857,13 +4725,13 @@ class CircularTimeDial {
                 // Keep cooking segment full during preheat
                 this.ctx.beginPath();
                 this.ctx.arc(this.centerX, this.centerY, radius, cookingEndAngle, cookingStartAngle);
-                this.ctx.strokeStyle = '#FA4947';
+                this.ctx.strokeStyle = palette.fill;
                 this.ctx.lineWidth = lineWidth;
                 this.ctx.lineCap = this.getLineCap();
                 this.ctx.stroke();
             } else {
                 // During cooking: cooking segment unfills CLOCKWISE (same direction as preheat)
-                const cookingProgress = 1 - Math.min(elapsed / this.countdownDuration, 1);
+                const cookingProgress = this.getCookRemainingFraction();
                 const remainingCookingAngle = cookingAngle * cookingProgress;
 
                 if (remainingCookingAngle > 0) {
@@ -1871,16 +4739,17 @@ class CircularTimeDial {
                     const currentCookingStartAngle = cookingEndAngle + remainingCookingAngle;
                     this.ctx.beginPath();
                     this.ctx.arc(this.centerX, this.centerY, radius, cookingEndAngle, currentCookingStartAngle);
-                    this.ctx.strokeStyle = '#FA4947';
+                    this.ctx.strokeStyle = palette.fill;
                     this.ctx.lineWidth = lineWidth;
                     this.ctx.lineCap = this.getLineCap();
                     this.ctx.stroke();
                 }
             }
+
+            this.renderStageBoundaries(cookingEndAngle, cookingAngle, radius, lineWidth);
         } else {
             // No preheat: standard behavior - starts from top and goes clockwise
-            const remaining = Math.max(0, this.countdownDuration - elapsed);
-            const progress = 1 - Math.min(elapsed / this.countdownDuration, 1);
+            const progress = this.getCookRemainingFraction();
 
             const startAngle = topCenter + mainGapAngle / 2;
             const endAngle = startAngle + availableAngle;
@@ -1888,7 +4757,7 @@ class CircularTimeDial {
             // Draw dark red background ring
             this.ctx.beginPath();
             this.ctx.arc(this.centerX, this.centerY, radius, startAngle, endAngle);
-            this.ctx.strokeStyle = '#5a060a';
+            this.ctx.strokeStyle = palette.track;
             this.ctx.lineWidth = lineWidth;
             this.ctx.lineCap = this.getLineCap();
             this.ctx.stroke();
@@ -1900,32 +4769,54 @@ class CircularTimeDial {
 
                 this.ctx.beginPath();
                 this.ctx.arc(this.centerX, this.centerY, radius, startAngle, progressEndAngle);
-                this.ctx.strokeStyle = '#FA4947';
+                this.ctx.strokeStyle = palette.fill;
                 this.ctx.lineWidth = lineWidth;
                 this.ctx.lineCap = this.getLineCap();
                 this.ctx.stroke();
             }
+
+            this.renderStageBoundaries(startAngle, availableAngle, radius, lineWidth);
+        }
+    }
+
+    // A 24-hour clock face in 15-minute ticks, midnight at the top. Ticks from
+    // now to the picked time are filled and the picked time is the current
+    // tick, so a waiting cook's arc shrinks as the start approaches.
+    renderScheduleMode() {
+        const totalTicks = SCHEDULE_SLOT_COUNT;
+        const now = this.clock.now();
+        const nowTick = getScheduleSlotOfDay(now);
+        const scheduled = this.getScheduledTime();
+        const target = scheduled === null ? now : scheduled;
+        const currentTickIndex = getScheduleSlotOfDay(target);
+        const span = Math.floor((target - now) / SCHEDULE_SLOT_MS);
+
+        for (let i = 0; i < totalTicks; i++) {
+            const angle = (i * (360 / totalTicks) - 90) * Math.PI / 180;
+            const ticksFromNow = (i - nowTick + totalTicks) % totalTicks;
+            const isFilled = span >= totalTicks || ticksFromNow <= (currentTickIndex - nowTick + totalTicks) % totalTicks;
+            const isCurrent = i === currentTickIndex;
+            const lengthMultiplier = this.getTickLengthMultiplier(i, currentTickIndex, totalTicks);
+
+            this.drawTick(angle, isFilled, isCurrent, false, lengthMultiplier, false, 0, i, currentTickIndex, totalTicks);
         }
     }
 
     renderPhaseA() {
         const totalTicks = this.getTickCountForMode('phaseA');
 
+        const phaseATicks = this.getPhaseATickCount(); // 59 for the default 1-59 minute segment
+        const stepProgress = this.getPhaseAStepIndex() + 1;
+
         let filledTicks, currentTickIndex;
 
-        if (this.debugSettings.globalTickMode === '72-ticks') {
-            // In 72-ticks mode, map 1-59 minutes to 72 ticks with looping
-            const minuteProgress = Math.max(1, Math.min(this.totalMinutes, 59));
-            filledTicks = Math.ceil(minuteProgress * 72 / 59);
-            currentTickIndex = filledTicks - 1;
-        } else if (this.debugSettings.globalTickMode === '72-continuous') {
-            // In 72-continuous mode, use first 59 ticks for minutes 1-59 (1:1 mapping)
-            const minuteProgress = Math.max(1, Math.min(this.totalMinutes, 59));
-            filledTicks = minuteProgress;
+        if (this.debugSettings.globalTickMode === '72-ticks' || phaseATicks > totalTicks) {
+            // In 72-ticks mode (or when Phase A has more steps than ticks), scale Phase A onto the ring
+            filledTicks = Math.ceil(stepProgress * totalTicks / phaseATicks);
             currentTickIndex = filledTicks - 1;
         } else {
-            // Default mode - 59 ticks for minutes 1-59
-            filledTicks = Math.max(1, Math.min(this.totalMinutes, 59)); 
+            // 72-continuous and default modes: one tick per Phase A step (1:1 mapping)
+            filledTicks = stepProgress;
             currentTickIndex = filledTicks - 1;
         }
 
@@ -1953,8 +4844,7 @@ class CircularTimeDial {
 
     renderPhaseB15Min() {
         const totalTicks = this.getTickCountForMode('phaseB15Min');
-        const minutesInPhaseB = this.totalMinutes - 60;
-        const ticksInPhaseB = Math.max(1, Math.floor(minutesInPhaseB / 15) + 1); // +1 for 1:00 tick, always at least 1
+        const ticksInPhaseB = this.getPhaseBStepIndex() + 1; // +1 for the 1:00 tick, always at least 1
         const currentTickIndex = ticksInPhaseB - 1;
 
         for (let i = 0; i < totalTicks; i++) {
@@ -1970,22 +4860,22 @@ class CircularTimeDial {
 
     renderPhaseBWrap() {
         const totalTicks = this.getTickCountForMode('phaseBWrap');
-        const minutesInPhaseB = this.totalMinutes - 60;
+        const phaseATicks = this.getPhaseATickCount();
 
         let currentLap, ticksInCurrentLap, currentTickIndex, incrementsCompleted;
 
         if (this.debugSettings.globalTickMode === '72-continuous') {
-            // In 72-continuous mode, continue from tick 59, then wrap after tick 72
-            incrementsCompleted = Math.floor(minutesInPhaseB / 15) + 1; // +1 to start with 1 increment at 1:00
-            const maxContinuousSlots = 13; // Ticks 60-72 = 13 slots for 15-minute increments
+            // In 72-continuous mode, continue after the Phase A ticks, then wrap after tick 72
+            incrementsCompleted = this.getPhaseBStepIndex() + 1; // +1 to start with 1 increment at 1:00
+            const maxContinuousSlots = Math.max(0, totalTicks - phaseATicks); // Ticks 60-72 = 13 slots by default
 
             if (incrementsCompleted <= maxContinuousSlots) {
-                // First 13 increments: continue from minutes to ticks 60-72
+                // First increments continue from the Phase A ticks (ticks 60-72 by default)
                 currentLap = 0; // Still on the "continuous" progression
-                currentTickIndex = 59 + (incrementsCompleted - 1); // 1st increment -> index 59 (tick 60)
-                ticksInCurrentLap = 59 + incrementsCompleted; // Fill minute ticks + increment ticks
+                currentTickIndex = phaseATicks + (incrementsCompleted - 1); // 1st increment -> index 59 (tick 60)
+                ticksInCurrentLap = phaseATicks + incrementsCompleted; // Fill Phase A ticks + increment ticks
             } else {
-                // After 13 increments, start wrapping from tick 0
+                // After the continuous slots, start wrapping from tick 0
                 const wrappedIncrements = incrementsCompleted - maxContinuousSlots;
                 currentLap = Math.floor((wrappedIncrements - 1) / totalTicks) + 1; // Start lap counting from 1
                 ticksInCurrentLap = ((wrappedIncrements - 1) % totalTicks) + 1; // 1-72
@@ -1993,10 +4883,10 @@ class CircularTimeDial {
             }
         } else {
             // Default wrap mode logic
-            // Each increment is 15 minutes
+            // Each increment is one Phase B step (15 minutes by default)
             // At 60 min (1:00), we want the first tick filled
             // At 75 min (1:15), we want the second tick filled, etc.
-            incrementsCompleted = Math.floor(minutesInPhaseB / 15) + 1; // +1 to start with 1 tick at 1:00
+            incrementsCompleted = this.getPhaseBStepIndex() + 1; // +1 to start with 1 tick at 1:00
             currentLap = Math.floor((incrementsCompleted - 1) / totalTicks); // Adjust for the +1
             ticksInCurrentLap = ((incrementsCompleted - 1) % totalTicks) + 1; // Always 1-72
             currentTickIndex = ticksInCurrentLap - 1;
@@ -2031,7 +4921,8 @@ class CircularTimeDial {
 
     renderPhaseBHourly() {
         const totalTicks = this.getTickCountForMode('phaseBHourly');
-        const minutesInPhaseB = this.totalMinutes - 60;
+        const minutesInPhaseB = this.totalMinutes - this.getPhaseBoundary();
+        const hourBase = Math.min(this.getPhaseATickCount(), totalTicks - 1); // first hour tick index (59)
 
         let hoursCompleted, currentTickIndex, filledTicks;
 
@@ -2047,18 +4938,18 @@ class CircularTimeDial {
             // At 1:00 (totalMinutes = 60), we want to be at tick 60 (index 59)
             // At 2:00 (totalMinutes = 120), we want to be at tick 61 (index 60), etc.
 
-            const hoursFromStart = Math.floor(this.totalMinutes / 60); // 1, 2, 3, etc.
-            const maxAvailableHours = 13; // Ticks 60-72 = 13 slots
+            const hoursFromStart = Math.floor(minutesInPhaseB / 60) + 1; // 1, 2, 3, etc.
+            const maxAvailableHours = totalTicks - hourBase; // Ticks 60-72 = 13 slots by default
 
             if (hoursFromStart > maxAvailableHours) {
                 // Loop when exceeding available slots
                 const loopedHour = ((hoursFromStart - 1) % maxAvailableHours) + 1;
-                currentTickIndex = 58 + loopedHour; // 58 + 1 = 59 (tick 60)
-                filledTicks = 72; // Show all ticks filled when looping
+                currentTickIndex = hourBase - 1 + loopedHour; // 58 + 1 = 59 (tick 60)
+                filledTicks = totalTicks; // Show all ticks filled when looping
             } else {
                 // Direct mapping: 1:00 -> tick 60 (index 59), 2:00 -> tick 61 (index 60), etc.
-                currentTickIndex = 59 + (hoursFromStart - 1); // 59 + 0 = 59 (tick 60)
-                filledTicks = 59 + hoursFromStart; // All minute ticks + hour ticks
+                currentTickIndex = hourBase + (hoursFromStart - 1); // 59 + 0 = 59 (tick 60)
+                filledTicks = hourBase + hoursFromStart; // All minute ticks + hour ticks
             }
         } else {
             // Default mode
@@ -2076,7 +4967,7 @@ class CircularTimeDial {
 
             let isFilled;
             if (this.debugSettings.globalTickMode === '72-continuous') {
-                // In continuous mode: fill first 59 ticks (minutes) + hour ticks
+                // In continuous mode: fill the Phase A ticks (minutes) + hour ticks
                 isFilled = i < filledTicks;
             } else {
                 isFilled = i < hoursCompleted;
@@ -2104,92 +4995,43 @@ class CircularTimeDial {
 
         // Default mode - use original tick counts
         switch(mode) {
-            case 'phaseA': return 59; // Minute mode (1-59 minutes)
+            case 'phaseA': return this.getPhaseATickCount(); // Minute mode (59 ticks for 1-59 minutes)
             case 'tempMode': return DEFAULT_TEMP_TICK_COUNT + 1; // Temperature + 1 for endpoint
             case 'phaseBHourly': return 72; // Hourly mode
             case 'phaseBWrap': return 72; // Wrap mode  
-            case 'phaseB15Min': return 285; // 15-minute mode (71 hours * 4 + 1)
+            case 'phaseB15Min': return this.getPhaseBStepCount() + 1; // 15-minute mode (71 hours * 4 + 1 = 285)
             default: return 72;
         }
     }
 
     restart() {
         // Reset all values to initial defaults
-        this.totalMinutes = 10; // Start with 10 minutes
-        this.temperature = 400; // Start with 400°F
-        this.tempMode = true; // Start in temperature mode
-
-        // Reset timer and scaling properties
-        this.lastActionTime = Date.now();
-        this.scalingActive = false;
-
-        // Reset acceleration properties
-        this.keyPressHistory = [];
-        this.accelerationMultiplier = 1;
-        this.rapidMode = false;
-        this.lastKeyPressed = null;
-
-        // Reset animated trail properties
-        this.movementDirection = null;
-        this.isMoving = false;
-        this.trailLength = 0;
-        this.currentTrailLength = 0;
-        this.trailCatchUpAnimation = false;
-        this.trailFlowOutAnimation = false;
-
-        // Reset trail direction and animation
-        this.trailDirection = 'normal';
-        this.trailDirectionTarget = 'normal';
-        this.trailDirectionAnimationStart = null;
-
-        // Reset animation properties
-        this.animationStartTime = null;
-        this.animatingToState = null;
-        this.animationProgress = null;
-        this.previousMultipliers = new Map();
-
-        // Reset ring fill animation properties
-        this.ringFillAnimation = false;
-        this.ringFillStartTime = null;
-
-        // Reset countdown mode properties
-        this.countdownMode = false;
-        this.countdownStartTime = null;
-        this.countdownDuration = 0;
-        this.colonBlinkState = true;
-        this.preheatPhase = false;
-        this.preheatFlashState = true;
-
-        // Reset completion state
-        this.cookingComplete = false;
-        this.selectedButton = 0;
-
-        // Reset flash animation
-        this.isFlashing = false;
-        this.flashStartTime = null;
-        this.flashCount = 0;
-        this.flashVisible = true;
-        this.hasFlashedAtBoundary = false;
-
-        this.render();
+        this.reset();
     }
 
     navigateButtons(direction) {
-        this.selectedButton = (this.selectedButton + direction + 2) % 2; // Keep in range 0-1
+        const count = this.completionActions.length;
+        this.selectedButton = (this.selectedButton + direction + count) % count; // Wraps around
         this.updateButtonSelection();
+        this.cueFeedback(FEEDBACK_CUES.DETENT);
+        if (!this.headless) {
+            this.updateAccessibleValue();
+        }
     }
 
     updateButtonSelection() {
-        this.bitMoreBtn.classList.toggle('active', this.selectedButton === 0);
-        this.keepWarmBtn.classList.toggle('active', this.selectedButton === 1);
+        this.completionButtonHandlers.forEach(({ button }, index) => {
+            button.classList.toggle('active', index === this.selectedButton);
+        });
     }
 
     renderCompletionMode() {
         const { radius, lineWidth } = this.getRingGeometry();
+        const palette = this.currentPalette || this.getColorPalette();
         // Draw a full green circle
         this.ctx.beginPath();
         this.ctx.arc(this.centerX, this.centerY, radius, 0, 2 * Math.PI);
-        this.ctx.strokeStyle = '#2BB671';
+        this.ctx.strokeStyle = palette.completion;
         this.ctx.lineWidth = lineWidth;
         this.ctx.lineCap = this.getLineCap();
         this.ctx.stroke();
@@ -2210,7 +5052,7 @@ class CircularTimeDial {
 
         // Change label to "Enjoy"
         this.modeLabel.textContent = 'Enjoy';
-        this.modeLabel.style.color = '#2BB671';
+        this.modeLabel.style.color = this.getColorPalette().completion;
         this.modeLabel.style.opacity = 1.0;
 
         // Update button selection
@@ -2232,23 +5074,20 @@ class CircularTimeDial {
         // Reset flash boundary flag when moving away from boundary
         this.hasFlashedAtBoundary = false;
 
-        this.lastActionTime = Date.now();
+        this.lastActionTime = this.clock.now();
         if (!this.scalingActive) {
             this.startScalingAnimation(true);
         }
         this.scalingActive = true;
 
-        if (this.totalMinutes < 60) {
-            this.totalMinutes += 1;
-        } else {
-            this.totalMinutes = Math.min(this.totalMinutes + 15, this.maxMinutes);
-        }
+        // Step along the time schedule (1 min below 1:00, then 15 min by default)
+        this.totalMinutes = this.getSteppedMinutes(1);
 
         this.render();
     }
 
     decreaseTime() {
-        if (this.totalMinutes <= 1) {
+        if (this.totalMinutes <= this.minMinutes) {
             // Only trigger flash once per boundary hit
             if (!this.hasFlashedAtBoundary && !this.isFlashing) {
                 this.startFlashAnimation();
@@ -2260,87 +5099,118 @@ class CircularTimeDial {
         // Reset flash boundary flag when moving away from boundary
         this.hasFlashedAtBoundary = false;
 
-        this.lastActionTime = Date.now();
+        this.lastActionTime = this.clock.now();
         if (!this.scalingActive) {
             this.startScalingAnimation(true);
         }
         this.scalingActive = true;
 
-        if (this.totalMinutes <= 60) {
-            this.totalMinutes = Math.max(this.totalMinutes - 1, 1); // Stop at 1 minute
-        } else {
-            this.totalMinutes = Math.max(this.totalMinutes - 15, 60);
-            if (this.totalMinutes === 60) {
-                this.totalMinutes = 59;
-            }
-        }
+        this.totalMinutes = this.getSteppedMinutes(-1); // Stops at the schedule minimum
 
         this.render();
     }
 
     startRingFillAnimation() {
         this.ringFillAnimation = true;
-        this.ringFillStartTime = Date.now();
+        this.ringFillStartTime = this.clock.now();
         this.animateRingFill();
     }
 
     animateRingFill() {
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         const elapsed = currentTime - this.ringFillStartTime;
         const progress = Math.min(elapsed / this.ringFillDuration, 1);
 
         this.render();
 
         if (progress < 1) {
-            requestAnimationFrame(() => this.animateRingFill());
+            this.scheduleFrame('ringFill', () => this.animateRingFill());
         } else {
             // Animation complete, start actual countdown
             this.ringFillAnimation = false;
             this.countdownMode = true;
             this.countdownDuration = this.totalMinutes * 60;
-            this.countdownStartTime = Date.now();
+            this.countdownStartTime = this.clock.now();
             this.colonBlinkState = true;
             this.preheatFlashState = true;
             this.preheatPhase = this.debugSettings.preheatEnabled;
+            this.lastCountdownTickSecond = null;
+            this.beginPreheat();
             this.render();
+            this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.COOK_START, { preheat: this.preheatPhase });
         }
     }
 
     updateCountdown() {
         if (!this.countdownMode || this.countdownStartTime === null) return;
 
-        const elapsed = (Date.now() - this.countdownStartTime) / 1000; // seconds
+        const elapsed = this.getCountdownElapsed(); // seconds
 
-        // Handle preheat phase (10 seconds) - only if preheat is enabled
-        if (this.preheatPhase && this.debugSettings.preheatEnabled && elapsed >= 10) {
+        // Handle preheat phase (fixed 10 seconds, or until the oven is up to
+        // temperature) - only if preheat is enabled
+        if (this.preheatPhase && this.debugSettings.preheatEnabled && this.isPreheatDone(elapsed)) {
+            const overshoot = Math.max(0, (this.clock.now() - this.getPreheatEndTime()) / 1000);
             this.preheatPhase = false;
-            this.countdownStartTime = Date.now(); // Reset timer for cooking phase
+            // Reset timer for cooking phase, keeping any overshoot so fast-forwarded time is not lost
+            this.countdownStartTime = this.clock.now() - overshoot * 1000;
+            this.lastCountdownTickSecond = null;
             this.render();
-            return;
+            this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.PREHEAT_END);
+            if (overshoot < this.countdownDuration) {
+                return;
+            }
+            // Skipped past the whole cook: fall through to completion
         }
 
         // Handle cooking phase (or immediate cooking if no preheat)
         if (!this.preheatPhase || !this.debugSettings.preheatEnabled) {
-            const remaining = Math.max(0, this.countdownDuration - elapsed);
+            const remaining = Math.max(0, this.countdownDuration - this.getCountdownElapsed());
 
             if (remaining <= 0) {
+                if (this.advanceStage()) {
+                    return;
+                }
+
                 // Countdown finished
                 this.countdownMode = false;
                 this.cookingComplete = true;
                 this.totalMinutes = 0;
+                this.render();
+                this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.COMPLETE);
+                return;
+            }
+
+            this.emitCountdownTick(remaining);
+        } else {
+            // No tick while the oven cannot get there (door open)
+            const preheatRemaining = this.getPreheatRemaining(elapsed);
+            if (Number.isFinite(preheatRemaining)) {
+                this.emitCountdownTick(preheatRemaining);
             }
         }
 
         this.render();
     }
 
+    // countdowntick fires once per whole second of remaining preheat/cook time
+    emitCountdownTick(remaining) {
+        const remainingSeconds = Math.ceil(remaining);
+        if (remainingSeconds === this.lastCountdownTickSecond) return;
+        this.lastCountdownTickSecond = remainingSeconds;
+
+        this.emitEvent(CIRCULAR_TIME_DIAL_EVENTS.COUNTDOWN_TICK, {
+            remainingSeconds,
+            minutes: Math.floor(remainingSeconds / 60),
+            seconds: remainingSeconds % 60
+        });
+    }
+
     getCurrentCountdownTime() {
         if (!this.countdownMode || this.countdownStartTime === null) {
             return { minutes: 0, seconds: 0 };
         }
 
-        const elapsed = (Date.now() - this.countdownStartTime) / 1000;
-        const remaining = Math.max(0, this.countdownDuration - elapsed);
+        const remaining = this.getCountdownRemaining();
 
         const minutes = Math.floor(remaining / 60);
         const seconds = Math.floor(remaining % 60);
@@ -2348,22 +5218,77 @@ class CircularTimeDial {
         return { minutes, seconds };
     }
 
+    // normalizedDistance is 0-1, where 0 is current tick, 1 is edge of affected
+    // radius. Returns how much of the extra length a tick keeps (1 down to 0).
     applyCurve(normalizedDistance) {
-        // normalizedDistance is 0-1, where 0 is current tick, 1 is edge of affected radius
-        switch (this.debugSettings.curve) {
-            case 'linear':
-                return 1 - normalizedDistance;
-            case 'easeOut':
-                return 1 - (normalizedDistance * normalizedDistance);
-            case 'easeIn':
-                return 1 - Math.sqrt(normalizedDistance);
-            case 'sine':
-                return Math.cos(normalizedDistance * Math.PI / 2);
-            case 'exponential':
-                return Math.pow(1 - normalizedDistance, 3);
-            default:
-                return 1 - normalizedDistance;
+        const { curve } = this.debugSettings;
+        if (curve === 'custom' && this.customFalloffCurve) {
+            const value = Number(this.customFalloffCurve(normalizedDistance));
+            return Number.isFinite(value) ? value : 1 - normalizedDistance;
+        }
+        if (curve === 'bezier') {
+            // The bezier describes how far the falloff has progressed
+            return 1 - resolveEasing(this.debugSettings.falloffBezier)(normalizedDistance);
+        }
+        return (FALLOFF_CURVES[curve] || FALLOFF_CURVES.linear)(normalizedDistance);
+    }
+
+    /**
+     * Sets the tick scaling falloff. Accepts a FALLOFF_CURVES name
+     * ('exponential', 'sine', ...), a cubic-bezier (string or [x1, y1, x2, y2])
+     * for how far the falloff has progressed at each distance, or a function
+     * `(distance) => keep` with both running 0–1.
+     */
+    setFalloffCurve(spec, { render = true } = {}) {
+        if (typeof spec === 'function') {
+            this.customFalloffCurve = spec;
+            this.debugSettings.curve = 'custom';
+        } else if (typeof spec === 'string' && FALLOFF_CURVES[spec]) {
+            this.debugSettings.curve = spec;
+        } else {
+            const points = parseCubicBezier(spec);
+            if (!points) {
+                throw new Error(`CircularTimeDial: unknown falloff curve "${spec}"`);
+            }
+            this.debugSettings.curve = 'bezier';
+            this.debugSettings.falloffBezier = formatCubicBezier(points);
+        }
+
+        if (render) {
+            this.applyDebugSettings({});
+        }
+    }
+
+    // Easing for ticks scaling in and out: an EASINGS name, a cubic-bezier or a function
+    setScaleEasing(spec, { render = true } = {}) {
+        if (typeof spec === 'function') {
+            this.customScaleEasing = spec;
+            this.debugSettings.scaleEasing = 'custom';
+        } else if (typeof spec === 'string' && EASINGS[spec]) {
+            this.debugSettings.scaleEasing = spec;
+        } else {
+            const points = parseCubicBezier(spec);
+            if (!points) {
+                throw new Error(`CircularTimeDial: unknown scale easing "${spec}"`);
+            }
+            this.debugSettings.scaleEasing = 'bezier';
+            this.debugSettings.scaleBezier = formatCubicBezier(points);
+        }
+
+        if (render) {
+            this.applyDebugSettings({});
+        }
+    }
+
+    getScaleEasing() {
+        const { scaleEasing, scaleBezier } = this.debugSettings;
+        if (scaleEasing === 'custom' && this.customScaleEasing) {
+            return this.customScaleEasing;
+        }
+        if (scaleEasing === 'bezier' && parseCubicBezier(scaleBezier)) {
+            return resolveEasing(scaleBezier);
         }
+        return EASINGS[scaleEasing] || EASINGS.easeOutCubic;
     }
 
     getTickLengthMultiplier(tickIndex, currentTickIndex, totalTicks) {
@@ -2457,7 +5382,7 @@ class CircularTimeDial {
         let strokeColor;
 
         // Handle animated trail mode first
-        if (this.debugSettings.trailMode === 'animated' && tickIndex >= 0) {
+        if (this.isTrailAnimated() && tickIndex >= 0) {
             const trailColor = this.getAnimatedTrailColor(tickIndex, currentTickIndex, totalTicks);
             strokeColor = isCurrent ? palette.selected : trailColor;
         } else if (this.debugSettings.gradientColorMode === 'seamless') {
@@ -2519,10 +5444,10 @@ class CircularTimeDial {
 
             let animationProgress = 0;
             if (isAnimating && this.debugSettings.trailMode === 'stay') {
-                const elapsed = Date.now() - this.trailDirectionAnimationStart;
+                const elapsed = this.clock.now() - this.trailDirectionAnimationStart;
                 animationProgress = Math.min(elapsed / this.trailDirectionAnimationDuration, 1);
                 // Ease function for smooth transition
-                animationProgress = 1 - Math.pow(1 - animationProgress, 3);
+                animationProgress = EASINGS.easeOutCubic(animationProgress);
             }
 
             const shouldRenderOpposite = this.debugSettings.trailMode === 'stay' && 
@@ -2704,14 +5629,12 @@ class CircularTimeDial {
         // Determine color
         let strokeColor;
 
-        const tempNoTrailMode = this.tempMode &&
-            (this.debugSettings.colorMode === 'red-temp-no-trail' ||
-             this.debugSettings.colorMode === 'red-temp-no-trail-no-grey');
+        const tempNoTrailMode = this.tempMode && palette.temperatureStyle === 'no-trail';
 
         if (tempNoTrailMode) {
             // Force a solid fill from 12 o'clock to the current tick in temp mode
             strokeColor = isFilled ? palette.selected : palette.base;
-        } else if (this.debugSettings.trailMode === 'animated' && tickIndex >= 0) {
+        } else if (this.isTrailAnimated() && tickIndex >= 0) {
             const trailColor = this.getAnimatedTrailColor(tickIndex, currentTickIndex, totalTicks);
             strokeColor = isCurrent ? palette.selected : trailColor;
         } else if (this.debugSettings.gradientColorMode === 'standard') {
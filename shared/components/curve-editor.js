@@ -0,0 +1,279 @@
+import { formatCubicBezier, parseCubicBezier } from './easing.js';
+
+/**
+ * <curve-editor>
+ * Cubic-bezier editor for debug panels. Drag the two handles (or focus one
+ * and use the arrow keys, Shift for bigger steps) to shape the curve. The
+ * element behaves like a form control: `value` is 'x1, y1, x2, y2', `input`
+ * fires while a handle moves and `change` when it is released.
+ *
+ * The y axis shows -0.5 to 1.5 so overshooting curves stay on screen.
+ */
+
+const VIEW_SIZE = 100;
+const PADDING = 8;
+const Y_MIN = -0.5;
+const Y_MAX = 1.5;
+const KEY_STEP = 0.01;
+const KEY_STEP_LARGE = 0.1;
+const DEFAULT_VALUE = '0.25, 0.1, 0.25, 1';
+
+const PLOT_SIZE = VIEW_SIZE - PADDING * 2;
+
+const toView = (x, y) => [
+  PADDING + x * PLOT_SIZE,
+  PADDING + ((Y_MAX - y) / (Y_MAX - Y_MIN)) * PLOT_SIZE
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const TEMPLATE = document.createElement('template');
+TEMPLATE.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      width: 100%;
+      aspect-ratio: 1;
+      touch-action: none;
+    }
+
+    svg {
+      display: block;
+      width: 100%;
+      height: 100%;
+      overflow: visible;
+    }
+
+    .frame {
+      fill: var(--curve-editor-background, rgba(255, 255, 255, 0.04));
+      stroke: var(--curve-editor-grid, rgba(255, 255, 255, 0.15));
+      stroke-width: 0.5;
+    }
+
+    .reference,
+    .arm {
+      stroke: var(--curve-editor-grid, rgba(255, 255, 255, 0.25));
+      stroke-width: 0.5;
+    }
+
+    .reference {
+      stroke-dasharray: 2 2;
+    }
+
+    .curve {
+      fill: none;
+      stroke: var(--curve-editor-curve, #fa4947);
+      stroke-width: 1.5;
+    }
+
+    .handle {
+      fill: var(--curve-editor-handle, #fff);
+      cursor: grab;
+    }
+
+    .handle:focus {
+      outline: none;
+      stroke: var(--curve-editor-curve, #fa4947);
+      stroke-width: 1;
+    }
+  </style>
+  <svg viewBox="0 0 ${VIEW_SIZE} ${VIEW_SIZE}" role="group" aria-label="Easing curve">
+    <rect class="frame" />
+    <line class="reference" />
+    <line class="arm" data-arm="1" />
+    <line class="arm" data-arm="2" />
+    <path class="curve" />
+    <circle class="handle" data-handle="1" r="3.5" tabindex="0" role="slider" aria-label="First control point" />
+    <circle class="handle" data-handle="2" r="3.5" tabindex="0" role="slider" aria-label="Second control point" />
+  </svg>
+`;
+
+class CurveEditorElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['value'];
+  }
+
+  constructor() {
+    super();
+    this._shadowRoot = this.attachShadow({ mode: 'open' });
+    this._shadowRoot.appendChild(TEMPLATE.content.cloneNode(true));
+    this._svg = this._shadowRoot.querySelector('svg');
+    this._handles = Array.from(this._shadowRoot.querySelectorAll('.handle'));
+    this._points = parseCubicBezier(DEFAULT_VALUE);
+    this._drag = null;
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  connectedCallback() {
+    this._upgradeProperty('value');
+
+    this._handles.forEach((handle) => {
+      handle.addEventListener('pointerdown', this._onPointerDown);
+      handle.addEventListener('keydown', this._onKeyDown);
+    });
+    this._svg.addEventListener('pointermove', this._onPointerMove);
+    this._svg.addEventListener('pointerup', this._onPointerUp);
+    this._svg.addEventListener('pointercancel', this._onPointerUp);
+
+    this._draw();
+  }
+
+  disconnectedCallback() {
+    this._handles.forEach((handle) => {
+      handle.removeEventListener('pointerdown', this._onPointerDown);
+      handle.removeEventListener('keydown', this._onKeyDown);
+    });
+    this._svg.removeEventListener('pointermove', this._onPointerMove);
+    this._svg.removeEventListener('pointerup', this._onPointerUp);
+    this._svg.removeEventListener('pointercancel', this._onPointerUp);
+    this._drag = null;
+  }
+
+  attributeChangedCallback(_name, _oldValue, newValue) {
+    const points = parseCubicBezier(newValue);
+    if (points) {
+      this._points = points;
+      this._draw();
+    }
+  }
+
+  get value() {
+    return formatCubicBezier(this._points);
+  }
+
+  // Invalid values are ignored, like a number input ignoring letters
+  set value(value) {
+    const points = parseCubicBezier(value);
+    if (!points) return;
+    this._points = points;
+    this._draw();
+  }
+
+  _setHandle(index, x, y, eventType) {
+    const offset = (index - 1) * 2;
+    const next = [...this._points];
+    next[offset] = round(clamp(x, 0, 1));
+    next[offset + 1] = round(clamp(y, Y_MIN, Y_MAX));
+    if (next.every((value, i) => value === this._points[i])) return;
+
+    this._points = next;
+    this._draw();
+    this.dispatchEvent(new Event(eventType, { bubbles: true }));
+  }
+
+  _pointFromEvent(event) {
+    const rect = this._svg.getBoundingClientRect();
+    const scale = rect.width ? VIEW_SIZE / rect.width : 1;
+    const viewX = (event.clientX - rect.left) * scale;
+    const viewY = (event.clientY - rect.top) * scale;
+    return {
+      x: (viewX - PADDING) / PLOT_SIZE,
+      y: Y_MAX - ((viewY - PADDING) / PLOT_SIZE) * (Y_MAX - Y_MIN)
+    };
+  }
+
+  _onPointerDown(event) {
+    if (event.button !== undefined && event.button !== 0) return;
+    const handle = event.currentTarget;
+    this._drag = { index: Number(handle.dataset.handle), pointerId: event.pointerId, moved: false };
+    if (typeof this._svg.setPointerCapture === 'function' && event.pointerId !== undefined) {
+      try {
+        this._svg.setPointerCapture(event.pointerId);
+      } catch (_error) {
+        /* capture is best-effort */
+      }
+    }
+    handle.focus();
+    event.preventDefault();
+  }
+
+  _onPointerMove(event) {
+    if (!this._drag || this._drag.pointerId !== event.pointerId) return;
+    const { x, y } = this._pointFromEvent(event);
+    this._drag.moved = true;
+    this._setHandle(this._drag.index, x, y, 'input');
+  }
+
+  _onPointerUp(event) {
+    if (!this._drag || this._drag.pointerId !== event.pointerId) return;
+    const { moved } = this._drag;
+    this._drag = null;
+    if (moved) {
+      this.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+
+  _onKeyDown(event) {
+    const step = event.shiftKey ? KEY_STEP_LARGE : KEY_STEP;
+    const deltas = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, step],
+      ArrowDown: [0, -step]
+    };
+    const delta = deltas[event.key];
+    if (!delta) return;
+
+    event.preventDefault();
+    const index = Number(event.currentTarget.dataset.handle);
+    const offset = (index - 1) * 2;
+    this._setHandle(index, this._points[offset] + delta[0], this._points[offset + 1] + delta[1], 'input');
+    this.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  _draw() {
+    const [x1, y1, x2, y2] = this._points;
+    const [startX, startY] = toView(0, 0);
+    const [endX, endY] = toView(1, 1);
+    const [p1x, p1y] = toView(x1, y1);
+    const [p2x, p2y] = toView(x2, y2);
+    const [frameX, frameY] = toView(0, 1);
+
+    const frame = this._shadowRoot.querySelector('.frame');
+    frame.setAttribute('x', String(frameX));
+    frame.setAttribute('y', String(frameY));
+    frame.setAttribute('width', String(PLOT_SIZE));
+    frame.setAttribute('height', String(startY - frameY));
+
+    const setLine = (line, fromX, fromY, toX, toY) => {
+      line.setAttribute('x1', String(fromX));
+      line.setAttribute('y1', String(fromY));
+      line.setAttribute('x2', String(toX));
+      line.setAttribute('y2', String(toY));
+    };
+    setLine(this._shadowRoot.querySelector('.reference'), startX, startY, endX, endY);
+    setLine(this._shadowRoot.querySelector('[data-arm="1"]'), startX, startY, p1x, p1y);
+    setLine(this._shadowRoot.querySelector('[data-arm="2"]'), endX, endY, p2x, p2y);
+
+    this._shadowRoot.querySelector('.curve')
+      .setAttribute('d', `M${startX} ${startY} C${p1x} ${p1y} ${p2x} ${p2y} ${endX} ${endY}`);
+
+    [[p1x, p1y, x1, y1], [p2x, p2y, x2, y2]].forEach(([cx, cy, x, y], index) => {
+      const handle = this._handles[index];
+      handle.setAttribute('cx', String(cx));
+      handle.setAttribute('cy', String(cy));
+      handle.setAttribute('aria-valuetext', `${x}, ${y}`);
+    });
+  }
+
+  _upgradeProperty(prop) {
+    if (Object.prototype.hasOwnProperty.call(this, prop)) {
+      const value = this[prop];
+      delete this[prop];
+      this[prop] = value;
+      return true;
+    }
+    return false;
+  }
+}
+
+if (!customElements.get('curve-editor')) {
+  customElements.define('curve-editor', CurveEditorElement);
+}
+
+export { CurveEditorElement as CurveEditor };
@@ -0,0 +1,331 @@
+import { formatCubicBezier, parseCubicBezier } from './easing.js';
+
+/**
+ * DebugPanel
+ * Builds a prototype's debug controls from a settings schema, so a new knob
+ * on a component shows up in every panel without hand-written markup. Each
+ * schema field describes one tunable:
+ *
+ *   { key, label, type, min, max, step, unit, options, format, group, visibleWhen }
+ *
+ * `type` is one of DEBUG_FIELD_TYPES. `unit` is for settings stored as CSS
+ * strings ('250ms'): the control edits the number and the unit is added back.
+ * `options` lists `{ value, label }` pairs for selects; values keep their type.
+ * 'bezier' fields hold 'x1, y1, x2, y2' and are edited with <curve-editor>
+ * (a text field if that cannot be loaded).
+ * `visibleWhen(settings)` hides a field that only matters in some modes.
+ *
+ * The target is the component being tuned. It provides getDebugSettings(),
+ * getDefaultDebugSettings() and applyDebugSettings(partial); when it is an
+ * EventTarget that dispatches DEBUG_SETTINGS_CHANGE_EVENT, the panel follows
+ * changes made elsewhere (presets, shared links, the console).
+ */
+
+export const DEBUG_FIELD_TYPES = Object.freeze(['range', 'number', 'select', 'boolean', 'color', 'text', 'bezier']);
+
+export const DEBUG_SETTINGS_CHANGE_EVENT = 'debugsettingschange';
+
+const BOOLEAN_OPTIONS = Object.freeze([
+  { value: true, label: 'On' },
+  { value: false, label: 'Off' }
+]);
+
+// Fields that show their current value under the control
+const VALUE_DISPLAY_TYPES = ['range', 'number', 'color', 'bezier'];
+
+// Fields that apply while the control moves rather than when it is committed
+const LIVE_TYPES = ['range', 'color', 'bezier'];
+
+const getFieldOptions = (field) => {
+  const options = field.options || (field.type === 'boolean' ? BOOLEAN_OPTIONS : []);
+  return options.map((option) => (option && typeof option === 'object' ? option : { value: option, label: String(option) }));
+};
+
+export const formatFieldValue = (field, value) => {
+  if (typeof field.format === 'function') return field.format(value);
+  if (field.type === 'select' || field.type === 'boolean') {
+    const option = getFieldOptions(field).find((candidate) => candidate.value === value);
+    return option ? option.label : String(value);
+  }
+  return String(value);
+};
+
+export const toControlValue = (field, value) => {
+  if (field.unit && typeof value === 'string') {
+    return String(parseFloat(value));
+  }
+  return String(value);
+};
+
+// Returns undefined when the control holds something the setting cannot take
+export const parseControlValue = (field, raw) => {
+  switch (field.type) {
+    case 'range':
+    case 'number': {
+      let number = Number(raw);
+      if (raw === '' || !Number.isFinite(number)) return undefined;
+      if (Number.isFinite(field.min)) number = Math.max(field.min, number);
+      if (Number.isFinite(field.max)) number = Math.min(field.max, number);
+      return field.unit ? `${number}${field.unit}` : number;
+    }
+    case 'select':
+    case 'boolean': {
+      const option = getFieldOptions(field).find((candidate) => String(candidate.value) === String(raw));
+      return option ? option.value : undefined;
+    }
+    case 'bezier': {
+      const points = parseCubicBezier(raw);
+      return points ? formatCubicBezier(points) : undefined;
+    }
+    default:
+      return String(raw);
+  }
+};
+
+export const validateDebugSchema = (schema) => {
+  if (!Array.isArray(schema)) {
+    throw new Error('DebugPanel: schema must be an array of fields');
+  }
+  const keys = new Set();
+  schema.forEach((field) => {
+    if (!field || !field.key) {
+      throw new Error('DebugPanel: every schema field needs a key');
+    }
+    if (!DEBUG_FIELD_TYPES.includes(field.type)) {
+      throw new Error(`DebugPanel: field "${field.key}" has unknown type "${field.type}"`);
+    }
+    if (field.type === 'select' && !(field.options && field.options.length)) {
+      throw new Error(`DebugPanel: select field "${field.key}" needs options`);
+    }
+    if (keys.has(field.key)) {
+      throw new Error(`DebugPanel: duplicate field "${field.key}"`);
+    }
+    keys.add(field.key);
+  });
+  return schema;
+};
+
+export class DebugPanel {
+  constructor(container, { schema, target, defaults, idPrefix = 'debug' } = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!this.container) {
+      throw new Error(`DebugPanel: container "${container}" not found`);
+    }
+    if (!target || typeof target.getDebugSettings !== 'function' || typeof target.applyDebugSettings !== 'function') {
+      throw new Error('DebugPanel: target must implement getDebugSettings() and applyDebugSettings()');
+    }
+
+    this.schema = validateDebugSchema(schema);
+    this.target = target;
+    this.defaults = defaults
+      || (typeof target.getDefaultDebugSettings === 'function' ? target.getDefaultDebugSettings() : {});
+    this.idPrefix = idPrefix;
+
+    this.fields = new Map();
+    this._listeners = [];
+    this._onTargetChange = () => this.sync();
+
+    this.render();
+    if (typeof target.addEventListener === 'function') {
+      target.addEventListener(DEBUG_SETTINGS_CHANGE_EVENT, this._onTargetChange);
+    }
+  }
+
+  render() {
+    this._removeListeners();
+    this.fields.clear();
+
+    // Fields are grouped under a heading per group, in order of first appearance
+    const groups = new Map();
+    this.schema.forEach((field) => {
+      const group = field.group || '';
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(field);
+    });
+
+    const fragment = document.createDocumentFragment();
+    groups.forEach((fields, group) => {
+      if (group) {
+        const heading = document.createElement('h4');
+        heading.className = 'debug-group';
+        heading.textContent = group;
+        fragment.appendChild(heading);
+      }
+      fields.forEach((field) => fragment.appendChild(this._createField(field)));
+    });
+
+    this.container.replaceChildren(fragment);
+    this.sync();
+  }
+
+  // Pushes the target's current settings back into the controls
+  sync() {
+    const settings = this.target.getDebugSettings();
+
+    this.fields.forEach(({ field, wrapper, control, valueElement, resetButton }) => {
+      const value = settings[field.key];
+      if (value === undefined) return;
+
+      const controlValue = toControlValue(field, value);
+      if (control.value !== controlValue) {
+        control.value = controlValue;
+      }
+      if (valueElement) {
+        valueElement.textContent = formatFieldValue(field, value);
+      }
+      resetButton.hidden = value === this.defaults[field.key];
+      wrapper.hidden = typeof field.visibleWhen === 'function' && !field.visibleWhen(settings);
+    });
+  }
+
+  setValue(key, value) {
+    if (!this.fields.has(key)) return;
+    this.target.applyDebugSettings({ [key]: value });
+    this.sync();
+  }
+
+  resetField(key) {
+    if (!Object.prototype.hasOwnProperty.call(this.defaults, key)) return;
+    this.setValue(key, this.defaults[key]);
+  }
+
+  resetAll() {
+    this.target.applyDebugSettings({ ...this.defaults });
+    this.sync();
+  }
+
+  destroy() {
+    this._removeListeners();
+    if (typeof this.target.removeEventListener === 'function') {
+      this.target.removeEventListener(DEBUG_SETTINGS_CHANGE_EVENT, this._onTargetChange);
+    }
+    this.fields.clear();
+    this.container.replaceChildren();
+  }
+
+  _createField(field) {
+    const id = `${this.idPrefix}-${field.key}`;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'debug-control';
+    wrapper.dataset.setting = field.key;
+
+    const header = document.createElement('div');
+    header.className = 'debug-control-header';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.label || field.key;
+
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'debug-reset';
+    resetButton.textContent = 'Reset';
+    resetButton.title = `Default: ${formatFieldValue(field, this.defaults[field.key])}`;
+    resetButton.setAttribute('aria-label', `Reset ${label.textContent} to default`);
+
+    header.append(label, resetButton);
+
+    const control = this._createControl(field);
+    control.id = id;
+    wrapper.append(header, control);
+
+    let valueElement = null;
+    if (VALUE_DISPLAY_TYPES.includes(field.type)) {
+      valueElement = document.createElement('div');
+      valueElement.className = 'debug-value';
+      wrapper.appendChild(valueElement);
+    }
+
+    this._bindControl(field, control);
+    this._listen(resetButton, 'click', () => this.resetField(field.key));
+
+    this.fields.set(field.key, { field, wrapper, control, valueElement, resetButton });
+    return wrapper;
+  }
+
+  // Number and text inputs commit on change so half-typed values are not clamped under the cursor
+  _bindControl(field, control, eventType = LIVE_TYPES.includes(field.type) ? 'input' : 'change') {
+    this._listen(control, eventType, () => {
+      const value = parseControlValue(field, control.value);
+      if (value === undefined) {
+        this.sync();
+        return;
+      }
+      this.setValue(field.key, value);
+    });
+  }
+
+  _createControl(field) {
+    if (field.type === 'select' || field.type === 'boolean') {
+      const select = document.createElement('select');
+      getFieldOptions(field).forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = String(value);
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      return select;
+    }
+
+    if (field.type === 'bezier') {
+      // Loaded on demand so components importing this module still run headless;
+      // the element upgrades (keeping its value) once the definition arrives
+      const editor = document.createElement('curve-editor');
+      import('./curve-editor.js').catch((error) => this._replaceCurveEditor(field, editor, error));
+      return editor;
+    }
+
+    return this._createInput(field);
+  }
+
+  _createInput(field, type = field.type) {
+    const input = document.createElement('input');
+    input.type = type;
+    ['min', 'max', 'step'].forEach((attribute) => {
+      if (field[attribute] !== undefined) {
+        input.setAttribute(attribute, String(field[attribute]));
+      }
+    });
+    if (field.placeholder) {
+      input.placeholder = field.placeholder;
+    }
+    return input;
+  }
+
+  // The editor failed to load: edit 'x1, y1, x2, y2' as text instead
+  _replaceCurveEditor(field, editor, error) {
+    console.warn(`DebugPanel: could not load the curve editor for "${field.key}"; using a text field`, error);
+    const entry = this.fields.get(field.key);
+    if (!entry || entry.control !== editor) return; // Re-rendered or destroyed meanwhile
+
+    const input = this._createInput(field, 'text');
+    input.id = editor.id;
+    input.placeholder = input.placeholder || 'x1, y1, x2, y2';
+    this._unlisten(editor);
+    editor.replaceWith(input);
+    this.fields.set(field.key, { ...entry, control: input });
+    this._bindControl(field, input, 'change');
+    this.sync();
+  }
+
+  _listen(element, type, handler) {
+    element.addEventListener(type, handler);
+    this._listeners.push({ element, type, handler });
+  }
+
+  _unlisten(element) {
+    this._listeners = this._listeners.filter((listener) => {
+      if (listener.element !== element) return true;
+      element.removeEventListener(listener.type, listener.handler);
+      return false;
+    });
+  }
+
+  _removeListeners() {
+    this._listeners.forEach(({ element, type, handler }) => element.removeEventListener(type, handler));
+    this._listeners = [];
+  }
+}
+
+export default DebugPanel;
@@ -0,0 +1,169 @@
+/**
+ * DebugPresets
+ * Named presets for a component's debug settings. Presets are kept in
+ * localStorage, can be exported and imported as JSON, and a tuning can be
+ * encoded into the URL hash so a link opens the prototype with exactly those
+ * settings. Everything is checked against the component's defaults: unknown
+ * keys and values of the wrong type are dropped.
+ */
+
+const STORAGE_PREFIX = 'debug-presets:';
+const DEFAULT_HASH_KEY = 'debug';
+
+export const sanitizeSettings = (settings, defaults) => {
+  if (!settings || typeof settings !== 'object') return {};
+
+  return Object.keys(defaults).reduce((result, key) => {
+    const value = settings[key];
+    if (value !== undefined && typeof value === typeof defaults[key]) {
+      result[key] = value;
+    }
+    return result;
+  }, {});
+};
+
+// Only values that differ from the defaults, so links stay short and pick up
+// later default changes for everything the designer did not touch
+export const diffSettings = (settings, defaults) => {
+  const clean = sanitizeSettings(settings, defaults);
+  return Object.keys(clean).reduce((result, key) => {
+    if (clean[key] !== defaults[key]) {
+      result[key] = clean[key];
+    }
+    return result;
+  }, {});
+};
+
+// UTF-8 so labels with °, accents or emoji survive btoa/atob
+const toBase64Url = (text) => {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+// Throws on bad base64 or invalid UTF-8, which decodeSettingsHash reports as null
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+// `key=<base64url JSON>`, suitable for location.hash (without the '#')
+export const encodeSettingsHash = (settings, defaults, { key = DEFAULT_HASH_KEY } = {}) => {
+  return `${key}=${toBase64Url(JSON.stringify(diffSettings(settings, defaults)))}`;
+};
+
+// Reads settings back from a hash such as '#debug=eyJ...'. Returns null when
+// the hash has no entry for `key` or it cannot be decoded.
+export const decodeSettingsHash = (hash, defaults, { key = DEFAULT_HASH_KEY } = {}) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const encoded = params.get(key);
+  if (!encoded) return null;
+
+  try {
+    return sanitizeSettings(JSON.parse(fromBase64Url(encoded)), defaults);
+  } catch (_error) {
+    return null;
+  }
+};
+
+const getDefaultStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (_error) {
+    // Storage access throws in some sandboxed iframes
+    return null;
+  }
+};
+
+export class DebugPresetStore {
+  constructor({ namespace, defaults, storage = getDefaultStorage() } = {}) {
+    if (!namespace || !defaults) {
+      throw new Error('DebugPresets: a namespace and default settings are required');
+    }
+    this.namespace = namespace;
+    this.defaults = defaults;
+    this.storage = storage;
+    this.storageKey = `${STORAGE_PREFIX}${namespace}`;
+    this._memory = {}; // Used when localStorage is unavailable
+  }
+
+  _read() {
+    if (!this.storage) return { ...this._memory };
+    try {
+      const parsed = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (_error) {
+      return {};
+    }
+  }
+
+  _write(presets) {
+    if (!this.storage) {
+      this._memory = presets;
+      return;
+    }
+    this.storage.setItem(this.storageKey, JSON.stringify(presets));
+  }
+
+  list() {
+    return Object.keys(this._read()).sort((a, b) => a.localeCompare(b));
+  }
+
+  load(name) {
+    const presets = this._read();
+    return Object.prototype.hasOwnProperty.call(presets, name)
+      ? { ...this.defaults, ...sanitizeSettings(presets[name], this.defaults) }
+      : null;
+  }
+
+  save(name, settings) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('DebugPresets: a preset needs a name');
+    }
+    const presets = this._read();
+    presets[trimmed] = sanitizeSettings(settings, this.defaults);
+    this._write(presets);
+    return trimmed;
+  }
+
+  remove(name) {
+    const presets = this._read();
+    if (!Object.prototype.hasOwnProperty.call(presets, name)) return false;
+    delete presets[name];
+    this._write(presets);
+    return true;
+  }
+
+  toJSON(name, settings) {
+    return JSON.stringify({
+      component: this.namespace,
+      name: name || null,
+      settings: sanitizeSettings(settings, this.defaults)
+    }, null, 2);
+  }
+
+  // Accepts toJSON() output or a bare settings object
+  fromJSON(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (_error) {
+      throw new Error('DebugPresets: file is not valid JSON');
+    }
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error('DebugPresets: file does not contain settings');
+    }
+    if (parsed.component && parsed.component !== this.namespace) {
+      throw new Error(`DebugPresets: preset is for ${parsed.component}, not ${this.namespace}`);
+    }
+
+    const settings = sanitizeSettings(parsed.settings || parsed, this.defaults);
+    return { name: parsed.name || null, settings: { ...this.defaults, ...settings } };
+  }
+}
+
+export default DebugPresetStore;
@@ -0,0 +1,167 @@
+import { resolveEasing } from './easing.js';
+
+/**
+ * DialAcceleration
+ * Step-size models for fast rotation. 'rapid' is the dial's original
+ * behaviour (4x after a burst of presses, see
+ * CircularTimeDial#calculateRapidModeAcceleration); 'velocity' maps the
+ * detent rate onto a step size through an easing curve, so long ranges can
+ * be crossed quickly while slow turns stay exact.
+ *
+ * AccelerationTrace keeps the last samples (rate, step, ...) for plotting;
+ * plotAccelerationTrace() draws them as press rate vs step size.
+ */
+
+export const ACCELERATION_MODELS = Object.freeze(['rapid', 'velocity']);
+
+export const DEFAULT_VELOCITY_OPTIONS = Object.freeze({
+  minStep: 1,
+  maxStep: 12,
+  minRate: 6, // detents/s below which every detent is one step
+  maxRate: 30, // detents/s at which maxStep is reached
+  smoothing: 0.3, // Weight of the newest interval in the smoothed rate (0-1)
+  hysteresis: 0.25, // Extra steps the target must move past a midpoint before the step changes
+  curve: 'easeIn',
+  idleResetMs: 500 // A pause this long starts over at minStep
+});
+
+// Intervals shorter than this are key repeat noise rather than a faster turn
+const MIN_INTERVAL_MS = 10;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export class VelocityAcceleration {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_VELOCITY_OPTIONS };
+    this.configure(options);
+    this.reset();
+  }
+
+  // Invalid options throw and leave the current ones in place
+  configure(options = {}) {
+    const next = { ...this.options };
+    Object.keys(options).forEach((key) => {
+      if (options[key] !== undefined && Object.prototype.hasOwnProperty.call(DEFAULT_VELOCITY_OPTIONS, key)) {
+        next[key] = options[key];
+      }
+    });
+
+    const { minStep, maxStep, minRate, maxRate } = next;
+    if (!(minStep >= 1) || !(maxStep >= minStep)) {
+      throw new Error('VelocityAcceleration: maxStep must be at least minStep, which must be at least 1');
+    }
+    if (!(minRate >= 0) || !(maxRate > minRate)) {
+      throw new Error('VelocityAcceleration: maxRate must be greater than minRate');
+    }
+    next.smoothing = clamp(Number(next.smoothing) || 0, 0.01, 1);
+    next.hysteresis = Math.max(0, Number(next.hysteresis) || 0);
+    this.ease = resolveEasing(next.curve);
+    this.options = next;
+    return this;
+  }
+
+  reset() {
+    this.lastTime = null;
+    this.lastDirection = 0;
+    this.rate = 0;
+    this.stepSize = this.options.minStep;
+  }
+
+  /**
+   * Registers a detent at `now` (ms) turning in `direction` and returns
+   * `{ step, rate, instantRate, target }`: the whole steps to move, the
+   * smoothed and raw detent rates (per second) and the unrounded step the
+   * curve asked for.
+   */
+  step(direction, now) {
+    const { minStep, maxStep, minRate, maxRate, smoothing, hysteresis, idleResetMs } = this.options;
+    let interval = this.lastTime === null ? Infinity : now - this.lastTime;
+
+    // Reversing usually means correcting an overshoot, which should be precise
+    if (direction !== this.lastDirection || interval > idleResetMs) {
+      this.reset();
+      interval = Infinity;
+    }
+    this.lastTime = now;
+    this.lastDirection = direction;
+
+    const instantRate = Number.isFinite(interval) && interval <= idleResetMs
+      ? 1000 / Math.max(interval, MIN_INTERVAL_MS)
+      : 0;
+    this.rate += smoothing * (instantRate - this.rate);
+
+    const progress = clamp((this.rate - minRate) / (maxRate - minRate), 0, 1);
+    const target = minStep + (maxStep - minStep) * clamp(this.ease(progress), 0, 1);
+
+    // The step only changes once the target is well past the halfway point
+    // between steps, so a rate hovering on a boundary does not flicker
+    if (Math.abs(target - this.stepSize) >= 0.5 + hysteresis) {
+      this.stepSize = clamp(Math.round(target), minStep, maxStep);
+    }
+
+    return { step: this.stepSize, rate: this.rate, instantRate, target };
+  }
+}
+
+const TRACE_FIELDS = ['time', 'model', 'direction', 'rate', 'instantRate', 'target', 'step'];
+
+export class AccelerationTrace {
+  constructor({ limit = 500 } = {}) {
+    this.limit = limit;
+    this.samples = [];
+  }
+
+  record(sample) {
+    this.samples.push(sample);
+    if (this.samples.length > this.limit) {
+      this.samples.splice(0, this.samples.length - this.limit);
+    }
+    return sample;
+  }
+
+  clear() {
+    this.samples = [];
+  }
+
+  toCSV() {
+    const rows = this.samples.map((sample) => TRACE_FIELDS.map((field) => {
+      const value = sample[field];
+      return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : (value ?? '');
+    }).join(','));
+    return [TRACE_FIELDS.join(','), ...rows].join('\n');
+  }
+}
+
+/**
+ * Scatter plot of press rate (x) against step size (y) on a 2D canvas
+ * context. The newest sample is drawn last and highlighted.
+ */
+export const plotAccelerationTrace = (ctx, samples, {
+  width = ctx.canvas.width,
+  height = ctx.canvas.height,
+  maxRate = 40,
+  maxStep = 12,
+  color = '#fa4947',
+  gridColor = 'rgba(255, 255, 255, 0.2)'
+} = {}) => {
+  const padding = 4;
+  const toX = (rate) => padding + (clamp(rate, 0, maxRate) / maxRate) * (width - padding * 2);
+  const toY = (step) => height - padding - (clamp(step, 0, maxStep) / maxStep) * (height - padding * 2);
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.strokeStyle = gridColor;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(padding, padding, width - padding * 2, height - padding * 2);
+
+  samples.forEach((sample, index) => {
+    const latest = index === samples.length - 1;
+    ctx.fillStyle = latest ? '#ffffff' : color;
+    ctx.globalAlpha = latest ? 1 : 0.35 + 0.65 * (index / samples.length);
+    ctx.beginPath();
+    ctx.arc(toX(sample.rate), toY(sample.step), latest ? 3 : 2, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.globalAlpha = 1;
+};
+
+export default VelocityAcceleration;
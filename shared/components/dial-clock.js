@@ -0,0 +1,152 @@
+/**
+ * DialClock
+ * Time source for dial timers and animations. `SystemClock` follows real
+ * time, optionally accelerated (x10 / x60) so a 45-minute cook can be demoed
+ * in a few minutes; `ManualClock` only moves when `advance()` is called, so
+ * tests can step through preheat and countdown deterministically.
+ *
+ * Every clock exposes now(), setInterval/clearInterval,
+ * requestFrame/cancelFrame and advance(ms).
+ */
+
+export const CLOCK_RATES = Object.freeze({
+  real: 1,
+  x10: 10,
+  x60: 60
+});
+
+const FRAME_FALLBACK_MS = 16;
+
+export class SystemClock {
+  constructor({ rate = 1 } = {}) {
+    this.rate = rate;
+    this._anchorReal = Date.now();
+    this._anchorTime = this._anchorReal;
+  }
+
+  now() {
+    return this._anchorTime + (Date.now() - this._anchorReal) * this.rate;
+  }
+
+  // Re-anchors so the current time carries over without a jump
+  setRate(rate) {
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`DialClock: invalid rate ${rate}`);
+    }
+    this._anchorTime = this.now();
+    this._anchorReal = Date.now();
+    this.rate = rate;
+  }
+
+  // Jumps ahead; intervals keep their real-time cadence and simply see the new time
+  advance(ms) {
+    this._anchorTime += Math.max(0, ms);
+    return this.now();
+  }
+
+  setInterval(callback, ms) {
+    return setInterval(callback, ms);
+  }
+
+  clearInterval(id) {
+    clearInterval(id);
+  }
+
+  requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+      return requestAnimationFrame(() => callback(this.now()));
+    }
+    return setTimeout(() => callback(this.now()), FRAME_FALLBACK_MS);
+  }
+
+  cancelFrame(id) {
+    if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(id);
+    } else {
+      clearTimeout(id);
+    }
+  }
+}
+
+export class ManualClock {
+  constructor({ now = 0, frameMs = FRAME_FALLBACK_MS } = {}) {
+    this._now = now;
+    this.frameMs = Math.max(1, frameMs);
+    this._timers = new Map();
+    this._frames = new Map();
+    this._nextId = 1;
+  }
+
+  now() {
+    return this._now;
+  }
+
+  setInterval(callback, ms) {
+    const id = this._nextId++;
+    const period = Math.max(1, ms);
+    this._timers.set(id, { callback, period, due: this._now + period });
+    return id;
+  }
+
+  clearInterval(id) {
+    this._timers.delete(id);
+  }
+
+  requestFrame(callback) {
+    const id = this._nextId++;
+    this._frames.set(id, callback);
+    return id;
+  }
+
+  cancelFrame(id) {
+    this._frames.delete(id);
+  }
+
+  /**
+   * Moves time forward in `frameMs` slices. Each slice fires the intervals
+   * that came due, then the frames requested before it started.
+   */
+  advance(ms) {
+    const target = this._now + Math.max(0, ms);
+    while (this._now < target) {
+      this._now = Math.min(target, this._now + this.frameMs);
+      this._runTimers();
+      this._runFrames();
+    }
+    return this._now;
+  }
+
+  _runTimers() {
+    this._timers.forEach((timer, id) => {
+      while (this._timers.has(id) && timer.due <= this._now) {
+        timer.due += timer.period;
+        timer.callback();
+      }
+    });
+  }
+
+  _runFrames() {
+    const frames = [...this._frames.values()];
+    this._frames.clear();
+    frames.forEach((callback) => callback(this._now));
+  }
+}
+
+/**
+ * Accepts a clock instance, a CLOCK_RATES key ('real', 'x10', 'x60') or
+ * 'manual'.
+ */
+export const createClock = (kind = 'real') => {
+  if (kind && typeof kind === 'object') {
+    return kind;
+  }
+  if (kind === 'manual') {
+    return new ManualClock();
+  }
+  if (!CLOCK_RATES[kind]) {
+    throw new Error(`DialClock: unknown clock "${kind}"`);
+  }
+  return new SystemClock({ rate: CLOCK_RATES[kind] });
+};
+
+export default createClock;
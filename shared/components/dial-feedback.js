@@ -0,0 +1,238 @@
+/**
+ * DialFeedback
+ * Audio and haptic cues for dial interactions, standing in for the
+ * appliance's mechanical detents. Components call cue() at the moments the
+ * hardware would click or bump; how the cue is rendered (synthesized sound,
+ * vibration, both, or nothing) is decided here so every prototype sounds
+ * the same.
+ *
+ * Sound is synthesized with WebAudio, so there are no assets to load. When
+ * audio cannot play (no WebAudio, or the page has not had a user gesture
+ * yet) the cue falls back to navigator.vibrate. Hosts can also listen for
+ * 'cue' events to drive other outputs.
+ */
+
+export const FEEDBACK_CUES = Object.freeze({
+  DETENT: 'detent',
+  BOUNDARY: 'boundary',
+  MODE_CHANGE: 'mode-change',
+  START: 'start',
+  COMPLETE: 'complete'
+});
+
+const CUE_TYPES = Object.values(FEEDBACK_CUES);
+
+export const HAPTIC_MODES = Object.freeze(['fallback', 'always', 'off']);
+
+// Fast spins would otherwise stack clicks into a buzz
+const MIN_DETENT_INTERVAL_MS = 25;
+
+// Each cue is a list of tones: oscillator type, start/end frequency (Hz),
+// delay and duration (s) and peak gain before the master volume
+const CUE_TONES = Object.freeze({
+  [FEEDBACK_CUES.DETENT]: [
+    { type: 'square', frequency: 2200, endFrequency: 1400, duration: 0.008, gain: 0.2 }
+  ],
+  [FEEDBACK_CUES.BOUNDARY]: [
+    { type: 'sine', frequency: 150, endFrequency: 60, duration: 0.09, gain: 0.9 }
+  ],
+  [FEEDBACK_CUES.MODE_CHANGE]: [
+    { type: 'triangle', frequency: 880, duration: 0.05, gain: 0.35 },
+    { type: 'triangle', frequency: 1320, delay: 0.06, duration: 0.06, gain: 0.35 }
+  ],
+  [FEEDBACK_CUES.START]: [
+    { type: 'sine', frequency: 523.25, duration: 0.12, gain: 0.4 },
+    { type: 'sine', frequency: 659.25, delay: 0.08, duration: 0.12, gain: 0.4 },
+    { type: 'sine', frequency: 783.99, delay: 0.16, duration: 0.2, gain: 0.4 }
+  ],
+  [FEEDBACK_CUES.COMPLETE]: [
+    { type: 'sine', frequency: 783.99, duration: 0.25, gain: 0.45 },
+    { type: 'sine', frequency: 1046.5, delay: 0.18, duration: 0.25, gain: 0.45 },
+    { type: 'sine', frequency: 1318.51, delay: 0.36, duration: 0.5, gain: 0.45 }
+  ]
+});
+
+// navigator.vibrate patterns (ms on, off, on, ...)
+const CUE_VIBRATIONS = Object.freeze({
+  [FEEDBACK_CUES.DETENT]: [5],
+  [FEEDBACK_CUES.BOUNDARY]: [25],
+  [FEEDBACK_CUES.MODE_CHANGE]: [10, 40, 10],
+  [FEEDBACK_CUES.START]: [30, 60, 30],
+  [FEEDBACK_CUES.COMPLETE]: [60, 80, 60, 80, 150]
+});
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const getAudioContextClass = () => {
+  if (typeof window === 'undefined') return null;
+  return window.AudioContext || window.webkitAudioContext || null;
+};
+
+export class WebAudioFeedback {
+  constructor(options = {}) {
+    this.volume = clamp(options.volume ?? 0.5, 0, 1);
+    this._context = options.context || null;
+  }
+
+  static isSupported() {
+    return Boolean(getAudioContextClass());
+  }
+
+  // Browsers only start an AudioContext after a user gesture, so it is
+  // created on first use and resumed if the page suspended it
+  _getContext() {
+    if (!this._context) {
+      const AudioContextClass = getAudioContextClass();
+      if (!AudioContextClass) return null;
+      this._context = new AudioContextClass();
+    }
+    if (this._context.state === 'suspended' && typeof this._context.resume === 'function') {
+      this._context.resume().catch(() => {});
+    }
+    return this._context;
+  }
+
+  // Returns false when nothing could be scheduled, so the caller can fall back
+  play(cue) {
+    const tones = CUE_TONES[cue];
+    if (!tones || this.volume <= 0) return false;
+
+    const context = this._getContext();
+    if (!context || context.state !== 'running') return false;
+
+    const now = context.currentTime;
+    tones.forEach((tone) => {
+      const start = now + (tone.delay || 0);
+      const end = start + tone.duration;
+
+      const oscillator = context.createOscillator();
+      oscillator.type = tone.type;
+      oscillator.frequency.setValueAtTime(tone.frequency, start);
+      if (tone.endFrequency) {
+        oscillator.frequency.exponentialRampToValueAtTime(tone.endFrequency, end);
+      }
+
+      // Near-instant attack and an exponential tail keep the click from popping
+      const envelope = context.createGain();
+      envelope.gain.setValueAtTime(0.0001, start);
+      envelope.gain.exponentialRampToValueAtTime(tone.gain * this.volume, start + Math.min(0.004, tone.duration / 4));
+      envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+      oscillator.connect(envelope);
+      envelope.connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(end + 0.02);
+    });
+    return true;
+  }
+
+  setVolume(volume) {
+    this.volume = clamp(Number(volume) || 0, 0, 1);
+  }
+
+  close() {
+    if (this._context && typeof this._context.close === 'function') {
+      this._context.close().catch(() => {});
+    }
+    this._context = null;
+  }
+}
+
+export class VibrationFeedback {
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+  }
+
+  play(cue) {
+    const pattern = CUE_VIBRATIONS[cue];
+    if (!pattern || !VibrationFeedback.isSupported()) return false;
+    try {
+      return navigator.vibrate(pattern);
+    } catch (_error) {
+      return false;
+    }
+  }
+}
+
+export class DialFeedback extends EventTarget {
+  constructor(options = {}) {
+    super();
+    this.enabled = options.enabled !== false;
+    this.sound = options.sound !== false;
+    this.haptics = HAPTIC_MODES.includes(options.haptics) ? options.haptics : 'fallback';
+    this.audio = options.audio || new WebAudioFeedback({ volume: options.volume });
+    this.vibration = options.vibration || new VibrationFeedback();
+    this._lastDetentAt = -Infinity;
+  }
+
+  /**
+   * Plays a cue. `detail` is passed on with the 'cue' event (the source
+   * component, the value reached, ...). Returns whether the cue was rendered.
+   */
+  cue(type, detail = {}) {
+    if (!CUE_TYPES.includes(type)) {
+      throw new Error(`DialFeedback: unknown cue "${type}"`);
+    }
+    if (!this.enabled) return false;
+
+    if (type === FEEDBACK_CUES.DETENT) {
+      const now = Date.now();
+      if (now - this._lastDetentAt < MIN_DETENT_INTERVAL_MS) return false;
+      this._lastDetentAt = now;
+    }
+
+    const played = this.sound ? this.audio.play(type) : false;
+    const vibrated = this.haptics === 'always' || (this.haptics === 'fallback' && !played)
+      ? this.vibration.play(type)
+      : false;
+
+    this.dispatchEvent(new CustomEvent('cue', { detail: { ...detail, type, played, vibrated } }));
+    return played || vibrated;
+  }
+
+  detent(detail) {
+    return this.cue(FEEDBACK_CUES.DETENT, detail);
+  }
+
+  boundary(detail) {
+    return this.cue(FEEDBACK_CUES.BOUNDARY, detail);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+  }
+
+  setSound(sound) {
+    this.sound = Boolean(sound);
+  }
+
+  setHaptics(mode) {
+    if (!HAPTIC_MODES.includes(mode)) {
+      throw new Error(`DialFeedback: haptics must be one of ${HAPTIC_MODES.join(', ')}`);
+    }
+    this.haptics = mode;
+  }
+
+  setVolume(volume) {
+    if (typeof this.audio.setVolume === 'function') {
+      this.audio.setVolume(volume);
+    }
+  }
+
+  destroy() {
+    if (typeof this.audio.close === 'function') {
+      this.audio.close();
+    }
+  }
+}
+
+let sharedDialFeedback = null;
+
+export const getSharedDialFeedback = () => {
+  if (!sharedDialFeedback) {
+    sharedDialFeedback = new DialFeedback();
+  }
+  return sharedDialFeedback;
+};
+
+export default DialFeedback;
@@ -0,0 +1,293 @@
+import { HoldGesture, DEFAULT_HOLD_THRESHOLDS } from './hold-gesture.js';
+
+/**
+ * DialInput
+ * Normalizes the physical dial (o / p / q / 1 on the keyboard) into semantic
+ * events and routes them through an ownership stack so exactly one consumer
+ * reacts to each input.
+ */
+
+export const DIAL_EVENTS = Object.freeze({
+  ROTATE_CW: 'rotate-cw',
+  ROTATE_CCW: 'rotate-ccw',
+  PRESS: 'press',
+  LONG_PRESS: 'long-press',
+  HOLD_START: 'hold-start',
+  HOLD_PROGRESS: 'hold-progress',
+  HOLD_REVEAL: 'hold-reveal',
+  HOLD_COMMIT: 'hold-commit',
+  HOLD_CANCEL: 'hold-cancel',
+  AUX: 'aux',
+  BACK: 'back',
+  RESET: 'reset'
+});
+
+// `r` is a prototype-only shortcut; it has no counterpart on the appliance.
+const DEFAULT_KEY_MAP = Object.freeze({
+  p: DIAL_EVENTS.ROTATE_CW,
+  o: DIAL_EVENTS.ROTATE_CCW,
+  q: DIAL_EVENTS.PRESS,
+  1: DIAL_EVENTS.AUX,
+  2: DIAL_EVENTS.BACK,
+  escape: DIAL_EVENTS.BACK,
+  r: DIAL_EVENTS.RESET
+});
+
+const HOLD_EVENT_TYPES = [
+  DIAL_EVENTS.LONG_PRESS,
+  DIAL_EVENTS.HOLD_START,
+  DIAL_EVENTS.HOLD_PROGRESS,
+  DIAL_EVENTS.HOLD_REVEAL,
+  DIAL_EVENTS.HOLD_COMMIT,
+  DIAL_EVENTS.HOLD_CANCEL
+];
+
+const isEditableTarget = (target) => {
+  if (!target || typeof target !== 'object') return false;
+  if (target.isContentEditable) return true;
+  const tag = typeof target.tagName === 'string' ? target.tagName.toLowerCase() : '';
+  return tag === 'input' || tag === 'textarea' || tag === 'select';
+};
+
+export class DialInput {
+  constructor(options = {}) {
+    this.target = options.target || (typeof document !== 'undefined' ? document : null);
+    this.keyMap = { ...DEFAULT_KEY_MAP, ...(options.keyMap || {}) };
+    // longPressMs (when long-press fires) is the hold's commit point;
+    // holdThresholds.commitMs wins if both are given
+    const longPress = options.longPressMs === undefined
+      ? {}
+      : { commitMs: Math.max(0, Number(options.longPressMs) || 0) };
+    this.holdThresholds = {
+      ...DEFAULT_HOLD_THRESHOLDS,
+      ...longPress,
+      ...(options.holdThresholds || {})
+    };
+    this.holdThresholds.startMs = Math.min(this.holdThresholds.startMs, this.holdThresholds.commitMs);
+    this.holdThresholds.revealMs = Math.min(this.holdThresholds.revealMs, this.holdThresholds.commitMs);
+    this.longPressMs = this.holdThresholds.commitMs;
+    this.ignoreEditableTargets = options.ignoreEditableTargets !== false;
+
+    this._stack = [];
+    this._press = null;
+    this._attached = false;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onKeyUp = this._onKeyUp.bind(this);
+    this._onBlur = () => this.cancelPress();
+
+    if (options.autoAttach !== false) {
+      this.attach();
+    }
+  }
+
+  attach() {
+    if (this._attached || !this.target) return;
+    this.target.addEventListener('keydown', this._onKeyDown);
+    this.target.addEventListener('keyup', this._onKeyUp);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('blur', this._onBlur);
+    }
+    this._attached = true;
+  }
+
+  detach() {
+    if (!this._attached || !this.target) return;
+    this.target.removeEventListener('keydown', this._onKeyDown);
+    this.target.removeEventListener('keyup', this._onKeyUp);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('blur', this._onBlur);
+    }
+    this.cancelPress();
+    this._attached = false;
+  }
+
+  /**
+   * Pushes a consumer onto the ownership stack. `handlers` maps event types
+   * (see DIAL_EVENTS) to callbacks; events the top consumer does not handle
+   * fall through to the next consumer down. Consumers handling hold events
+   * may pass a `pressIndicator` for the hold visuals and a `holdable()`
+   * predicate to opt out of hold recognition in some states. Returns a
+   * handle with release().
+   */
+  push(handlers = {}, { name = null, pressIndicator = null, holdable = null } = {}) {
+    const entry = {
+      name,
+      handlers: { ...handlers },
+      pressIndicator,
+      holdable,
+      release: () => this.release(entry)
+    };
+    this._stack.push(entry);
+    return entry;
+  }
+
+  release(entry) {
+    const index = this._stack.indexOf(entry);
+    if (index === -1) return false;
+    this._stack.splice(index, 1);
+    if (this._press && this._press.owner === entry) {
+      this.cancelPress();
+    }
+    return true;
+  }
+
+  isActive(entry) {
+    return this._stack.length > 0 && this._stack[this._stack.length - 1] === entry;
+  }
+
+  getActiveName() {
+    const top = this._stack[this._stack.length - 1];
+    return top ? top.name : null;
+  }
+
+  resolve(type) {
+    for (let i = this._stack.length - 1; i >= 0; i -= 1) {
+      const entry = this._stack[i];
+      if (typeof entry.handlers[type] === 'function') {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  emit(type, detail = {}) {
+    const entry = this.resolve(type);
+    if (!entry) return false;
+    entry.handlers[type]({ type, ...detail });
+    return true;
+  }
+
+  rotate(direction, detail = {}) {
+    const type = direction < 0 ? DIAL_EVENTS.ROTATE_CCW : DIAL_EVENTS.ROTATE_CW;
+    return this.emit(type, detail);
+  }
+
+  isPressing() {
+    return this._press !== null;
+  }
+
+  /**
+   * Starts a dial press. Consumers that handle `long-press` or any hold
+   * event get the press routed through a HoldGesture, so `press` arrives on
+   * release; everyone else gets `press` immediately, matching the original
+   * keydown behaviour.
+   */
+  pressStart(detail = {}) {
+    if (this._press) return true;
+
+    const owner = this._resolvePressOwner();
+    if (!owner) return false;
+
+    if (!this._wantsHold(owner)) {
+      this._press = { owner, gesture: null };
+      this._deliver(owner, DIAL_EVENTS.PRESS, detail);
+      return true;
+    }
+
+    const gesture = new HoldGesture({
+      thresholds: this.holdThresholds,
+      indicator: owner.pressIndicator,
+      onPress: () => this._deliver(owner, DIAL_EVENTS.PRESS, detail),
+      onHoldStart: () => this._deliver(owner, DIAL_EVENTS.HOLD_START, detail),
+      onHoldProgress: ({ progress }) => this._deliver(owner, DIAL_EVENTS.HOLD_PROGRESS, { ...detail, progress }),
+      onHoldReveal: () => this._deliver(owner, DIAL_EVENTS.HOLD_REVEAL, detail),
+      onHoldCommit: () => {
+        this._deliver(owner, DIAL_EVENTS.HOLD_COMMIT, detail);
+        this._deliver(owner, DIAL_EVENTS.LONG_PRESS, detail);
+      },
+      onHoldCancel: ({ revealed, cancelled }) => this._deliver(owner, DIAL_EVENTS.HOLD_CANCEL, { ...detail, revealed, cancelled })
+    });
+    this._press = { owner, gesture };
+    gesture.down();
+    return true;
+  }
+
+  pressEnd() {
+    const press = this._press;
+    if (!press) return false;
+    this._press = null;
+
+    if (press.gesture) {
+      press.gesture.up();
+    }
+    return true;
+  }
+
+  cancelPress() {
+    const press = this._press;
+    if (!press) return;
+    this._press = null;
+    if (press.gesture) {
+      press.gesture.cancel();
+    }
+  }
+
+  _resolvePressOwner() {
+    for (let i = this._stack.length - 1; i >= 0; i -= 1) {
+      const entry = this._stack[i];
+      if (typeof entry.handlers[DIAL_EVENTS.PRESS] === 'function' || this._handlesHold(entry)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  _handlesHold(entry) {
+    return HOLD_EVENT_TYPES.some((type) => typeof entry.handlers[type] === 'function');
+  }
+
+  _wantsHold(entry) {
+    if (!this._handlesHold(entry)) return false;
+    return typeof entry.holdable === 'function' ? Boolean(entry.holdable()) : true;
+  }
+
+  _deliver(entry, type, detail = {}) {
+    const handler = entry.handlers[type];
+    if (typeof handler === 'function') {
+      handler({ type, ...detail });
+    }
+  }
+
+  _typeForKey(event) {
+    if (!event || !event.key) return null;
+    return this.keyMap[event.key.toLowerCase()] || null;
+  }
+
+  _onKeyDown(event) {
+    if (this.ignoreEditableTargets && isEditableTarget(event.target)) return;
+    const type = this._typeForKey(event);
+    if (!type) return;
+
+    let handled;
+    if (type === DIAL_EVENTS.PRESS) {
+      handled = event.repeat ? Boolean(this._press) : this.pressStart({ originalEvent: event });
+    } else if (type === DIAL_EVENTS.ROTATE_CW || type === DIAL_EVENTS.ROTATE_CCW) {
+      handled = this.emit(type, { originalEvent: event, repeat: event.repeat });
+    } else {
+      handled = event.repeat ? false : this.emit(type, { originalEvent: event });
+    }
+
+    if (handled) {
+      event.preventDefault();
+    }
+  }
+
+  _onKeyUp(event) {
+    if (this._typeForKey(event) !== DIAL_EVENTS.PRESS) return;
+    if (this.pressEnd()) {
+      event.preventDefault();
+    }
+  }
+}
+
+let sharedDialInput = null;
+
+export const getSharedDialInput = () => {
+  if (!sharedDialInput) {
+    sharedDialInput = new DialInput();
+  }
+  return sharedDialInput;
+};
+
+export default DialInput;
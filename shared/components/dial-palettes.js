@@ -0,0 +1,195 @@
+/**
+ * DialPalettes
+ * Named colour palettes for CircularTimeDial. The dial's `colorMode` setting
+ * picks a palette from this registry, so a brand variant is a
+ * registerDialPalette() call instead of an edit to the component.
+ *
+ * Colours may be literals or `var(--token, fallback)` references. References
+ * are read from the dial's element when the ring is drawn, so the dial picks
+ * up the `--dial-*` custom properties in shared/tokens.css (and any theme
+ * that overrides them, such as `[data-theme="light"]`). Without a stylesheet,
+ * or in headless dials, the fallback is used.
+ */
+
+// Every colour a palette can set. `gradientStops` is a list of
+// `{ ratio, color }` for the solid temperature ring.
+export const DIAL_PALETTE_KEYS = Object.freeze([
+  'background',
+  'base',
+  'selected',
+  'trailStart',
+  'trailEnd',
+  'track',
+  'fill',
+  'gradientTrack',
+  'completion',
+  'gradientStops'
+]);
+
+// How the temperature ring is drawn: ticks with a trail, ticks filled solid
+// up to the current value, or one continuous gradient arc
+export const DIAL_TEMPERATURE_STYLES = Object.freeze(['ticks', 'no-trail', 'solid']);
+
+const token = (name, fallback) => `var(${name}, ${fallback})`;
+
+export const DEFAULT_DIAL_COLORS = Object.freeze({
+  background: token('--dial-background', '#000000'),
+  base: token('--dial-base', '#434343'),
+  selected: token('--dial-selected', '#FA4947'),
+  trailStart: token('--dial-trail-start', token('--dial-base', '#434343')),
+  trailEnd: token('--dial-trail-end', '#ffffff'),
+  track: token('--dial-track', '#5a060a'),
+  fill: token('--dial-fill', '#FA4947'),
+  gradientTrack: token('--dial-gradient-track', 'rgba(255, 255, 255, 0.18)'),
+  completion: token('--dial-completion', '#2BB671'),
+  gradientStops: Object.freeze([
+    { ratio: 0, color: token('--dial-solid-start', '#2e2e2e') },
+    { ratio: 1, color: token('--dial-solid-end', '#ffffff') }
+  ])
+});
+
+const TEMP_BASE = token('--dial-temp-base', '#571004');
+const TEMP_GREY_BASE = token('--dial-temp-grey-base', '#404040');
+const SOLID_RED_START = token('--dial-solid-start', '#2e2e2e');
+const SOLID_RED_END = token('--dial-solid-red-end', '#FB7E75');
+
+const palettes = new Map();
+
+const assertColors = (name, colors, where) => {
+  if (!colors) return;
+  if (typeof colors !== 'object') {
+    throw new Error(`DialPalettes: ${where} of palette "${name}" must be an object`);
+  }
+  Object.keys(colors).forEach((key) => {
+    if (!DIAL_PALETTE_KEYS.includes(key)) {
+      throw new Error(`DialPalettes: unknown colour "${key}" in palette "${name}"`);
+    }
+  });
+};
+
+/**
+ * Adds or replaces a palette. `colors` override the palette it extends
+ * (`extends`, default 'default'); `temperature` colours apply on top while
+ * the dial is in temperature mode. Returns the palette name.
+ */
+export const registerDialPalette = (name, {
+  label = name,
+  colors = {},
+  temperature = null,
+  temperatureStyle = 'ticks',
+  extends: parent = name === 'default' ? null : 'default'
+} = {}) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('DialPalettes: a palette needs a name');
+  }
+  if (parent && !palettes.has(parent)) {
+    throw new Error(`DialPalettes: palette "${name}" extends unknown palette "${parent}"`);
+  }
+  if (!DIAL_TEMPERATURE_STYLES.includes(temperatureStyle)) {
+    throw new Error(`DialPalettes: temperatureStyle must be one of ${DIAL_TEMPERATURE_STYLES.join(', ')}`);
+  }
+  assertColors(name, colors, 'colors');
+  assertColors(name, temperature, 'temperature');
+
+  palettes.set(name, Object.freeze({
+    name,
+    label,
+    colors: Object.freeze({ ...colors }),
+    temperature: temperature ? Object.freeze({ ...temperature }) : null,
+    temperatureStyle,
+    extends: parent
+  }));
+  return name;
+};
+
+export const unregisterDialPalette = (name) => {
+  if (name === 'default') {
+    throw new Error('DialPalettes: the default palette cannot be removed');
+  }
+  return palettes.delete(name);
+};
+
+export const getDialPalette = (name) => palettes.get(name) || palettes.get('default');
+
+export const listDialPalettes = () => Array.from(palettes.values(), ({ name, label }) => ({ name, label }));
+
+// Reads `var(--token, fallback)` from the element's computed style; nested
+// fallbacks are followed until one resolves
+export const resolveDialColor = (value, style = null) => {
+  if (typeof value !== 'string') return value;
+  const match = value.trim().match(/^var\(\s*(--[\w-]+)\s*(?:,\s*([\s\S]*))?\)$/);
+  if (!match) return value;
+
+  const fromStyle = style ? style.getPropertyValue(match[1]).trim() : '';
+  if (fromStyle) return fromStyle;
+  return match[2] !== undefined ? resolveDialColor(match[2].trim(), style) : '';
+};
+
+/**
+ * Flattens a palette (its `extends` chain, then the temperature colours when
+ * `temperature` is true) into plain colours a canvas can use. `element` is
+ * where tokens are read from.
+ */
+export const resolveDialPalette = (name, { temperature = false, element = null } = {}) => {
+  const chain = [];
+  for (let palette = getDialPalette(name); palette; palette = palette.extends ? palettes.get(palette.extends) : null) {
+    chain.unshift(palette);
+  }
+
+  const colors = { ...DEFAULT_DIAL_COLORS };
+  chain.forEach((palette) => Object.assign(colors, palette.colors));
+  if (temperature) {
+    chain.forEach((palette) => Object.assign(colors, palette.temperature || {}));
+  }
+
+  const style = element && typeof getComputedStyle === 'function' ? getComputedStyle(element) : null;
+  const resolved = {};
+  Object.keys(colors).forEach((key) => {
+    resolved[key] = key === 'gradientStops'
+      ? colors.gradientStops.map((stop) => ({ ratio: stop.ratio, color: resolveDialColor(stop.color, style) }))
+      : resolveDialColor(colors[key], style);
+  });
+  resolved.temperatureStyle = chain[chain.length - 1].temperatureStyle;
+  return resolved;
+};
+
+// The dial's original colour modes, kept under their setting values
+registerDialPalette('default', { label: 'Default' });
+registerDialPalette('red-temp', {
+  label: 'Red for temp',
+  temperature: { base: TEMP_BASE, trailStart: TEMP_BASE, trailEnd: DEFAULT_DIAL_COLORS.selected }
+});
+registerDialPalette('red-temp-no-trail', {
+  label: 'Red temp no trail',
+  temperatureStyle: 'no-trail'
+});
+registerDialPalette('red-temp-no-trail-no-grey', {
+  label: 'Red temp no trail no grey',
+  temperature: { base: TEMP_BASE, trailStart: TEMP_BASE, trailEnd: DEFAULT_DIAL_COLORS.selected },
+  temperatureStyle: 'no-trail'
+});
+registerDialPalette('red-grey-temp', {
+  label: 'Red & Grey for Temp',
+  temperature: { base: TEMP_GREY_BASE, trailStart: TEMP_GREY_BASE, trailEnd: DEFAULT_DIAL_COLORS.selected }
+});
+registerDialPalette('solid-temp', {
+  label: 'Solid in Temp',
+  temperatureStyle: 'solid'
+});
+registerDialPalette('solid-temp-red', {
+  label: 'Solid in Temp - Red',
+  temperature: {
+    base: SOLID_RED_START,
+    selected: SOLID_RED_END,
+    trailStart: SOLID_RED_START,
+    trailEnd: SOLID_RED_END,
+    gradientStops: [
+      { ratio: 0, color: SOLID_RED_START },
+      { ratio: 0.6, color: token('--dial-solid-red-mid', '#5A060A') },
+      { ratio: 1, color: SOLID_RED_END }
+    ]
+  },
+  temperatureStyle: 'solid'
+});
+
+export default registerDialPalette;
@@ -0,0 +1,111 @@
+/**
+ * Easing
+ * Easing functions map progress 0–1 to eased progress. Anything that takes
+ * an easing accepts a preset name from EASINGS, a CSS-style
+ * 'cubic-bezier(x1, y1, x2, y2)' string (or just the four numbers), a
+ * [x1, y1, x2, y2] array, or a function.
+ */
+
+// Solves the bezier the way browsers do: a few Newton steps, then bisection
+const NEWTON_ITERATIONS = 8;
+const NEWTON_EPSILON = 1e-6;
+const BISECTION_LIMIT = 30;
+
+export const cubicBezier = (x1, y1, x2, y2) => {
+  if (![x1, y1, x2, y2].every(Number.isFinite) || x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+    throw new Error(`Easing: invalid cubic-bezier(${x1}, ${y1}, ${x2}, ${y2})`);
+  }
+  if (x1 === y1 && x2 === y2) {
+    return (t) => t;
+  }
+
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+  const sampleY = (t) => ((ay * t + by) * t + cy) * t;
+  const slopeX = (t) => (3 * ax * t + 2 * bx) * t + cx;
+
+  const solveT = (x) => {
+    let t = x;
+    for (let i = 0; i < NEWTON_ITERATIONS; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < NEWTON_EPSILON) return t;
+      const slope = slopeX(t);
+      if (Math.abs(slope) < NEWTON_EPSILON) break;
+      t -= error / slope;
+    }
+
+    let low = 0;
+    let high = 1;
+    t = x;
+    for (let i = 0; i < BISECTION_LIMIT; i++) {
+      const value = sampleX(t);
+      if (Math.abs(value - x) < NEWTON_EPSILON) break;
+      if (value < x) low = t;
+      else high = t;
+      t = (low + high) / 2;
+    }
+    return t;
+  };
+
+  return (progress) => {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+    return sampleY(solveT(progress));
+  };
+};
+
+export const EASINGS = Object.freeze({
+  linear: (t) => t,
+  ease: cubicBezier(0.25, 0.1, 0.25, 1),
+  easeIn: cubicBezier(0.42, 0, 1, 1),
+  easeOut: cubicBezier(0, 0, 0.58, 1),
+  easeInOut: cubicBezier(0.42, 0, 0.58, 1),
+  easeOutQuad: (t) => 1 - Math.pow(1 - t, 2),
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3)
+});
+
+// '0.42, 0, 0.58, 1', 'cubic-bezier(0.42, 0, 0.58, 1)' or an array; null when invalid
+export const parseCubicBezier = (value) => {
+  let points = value;
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(?:cubic-bezier\()?([^()]*)\)?$/i);
+    points = match ? match[1].split(/[\s,]+/).filter(Boolean).map(Number) : null;
+  }
+  if (!Array.isArray(points) || points.length !== 4 || !points.every(Number.isFinite)) {
+    return null;
+  }
+  const [x1, , x2] = points;
+  if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+    return null;
+  }
+  return points.map(Number);
+};
+
+export const formatCubicBezier = (points) => points
+  .map((point) => String(Math.round(point * 100) / 100))
+  .join(', ');
+
+const resolvedSpecs = new Map();
+
+export const resolveEasing = (spec) => {
+  if (typeof spec === 'function') return spec;
+  if (typeof spec === 'string' && EASINGS[spec]) return EASINGS[spec];
+
+  const key = Array.isArray(spec) ? spec.join(',') : String(spec);
+  if (!resolvedSpecs.has(key)) {
+    const points = parseCubicBezier(spec);
+    if (!points) {
+      throw new Error(`Easing: unknown easing "${spec}"`);
+    }
+    resolvedSpecs.set(key, cubicBezier(...points));
+  }
+  return resolvedSpecs.get(key);
+};
+
+export default resolveEasing;
@@ -117,6 +117,7 @@
         animationMs: options.animationMs,
         onChange: options.onChange,
         onToggle: options.onToggle,
+        dialInput: options.dialInput || null,
         showTitle: options.showTitle ?? false,
         titleText: options.titleText ?? 'Heat Distribution'
       };
@@ -250,7 +251,9 @@
 
       this.heatbar.addEventListener('keydown', this._onBarKeyDown);
 
-      if (this.options.enableShortcuts) {
+      if (this.options.dialInput) {
+        this.bindDialInput(this.options.dialInput);
+      } else if (this.options.enableShortcuts) {
         this._onShortcutKeyDown = (event) => {
           const key = event.key.toLowerCase();
           if (key === this.options.keyboardKeys.toggle) {
@@ -274,6 +277,32 @@
       }
     }
 
+    bindDialInput(dialInput) {
+      this.unbindDialInput();
+      if (!dialInput || typeof dialInput.push !== 'function') return;
+      this._dialInput = dialInput;
+      this._dialInputHandle = dialInput.push({
+        press: () => this.toggle(),
+        'rotate-cw': () => {
+          if (this._isOn) this._nudge(1);
+        },
+        'rotate-ccw': () => {
+          if (this._isOn) this._nudge(-1);
+        },
+        reset: () => {
+          if (this._isOn) this.setPosition(50);
+        }
+      }, { name: 'heat-slider' });
+    }
+
+    unbindDialInput() {
+      if (this._dialInput && this._dialInputHandle) {
+        this._dialInput.release(this._dialInputHandle);
+      }
+      this._dialInput = null;
+      this._dialInputHandle = null;
+    }
+
     _updateFromPointer(event) {
       const rect = this.heatbar.getBoundingClientRect();
       const ratio = (event.clientX - rect.left) / rect.width;
@@ -433,9 +462,10 @@
         window.removeEventListener('pointercancel', this._onPointerUp);
       }
       this.heatbar.removeEventListener('keydown', this._onBarKeyDown);
-      if (this.options.enableShortcuts) {
+      if (this._onShortcutKeyDown) {
         document.removeEventListener('keydown', this._onShortcutKeyDown);
       }
+      this.unbindDialInput();
       HeatSlider.instances.delete(this);
     }
 
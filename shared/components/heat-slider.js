@@ -1,3 +1,5 @@
+import { FEEDBACK_CUES } from './dial-feedback.js';
+
 /**
  * HeatSlider Component
  * Class-based slider for visualizing oven heat distribution with
@@ -7,6 +9,63 @@
 const PRESET_STEPS = [0, 25, 50, 75, 100];
 const DEFAULT_KEYS = { left: 'o', right: 'p', reset: 'r', toggle: 'q' };
 
+// Matches the custom property defaults in heat-slider.css
+export const DEFAULT_HEAT_SLIDER_DEBUG_SETTINGS = Object.freeze({
+  animationMs: 80,
+  coolColor: '#490307',
+  intensity: 0.85,
+  stepMode: 'preset',
+  showTitle: false
+});
+
+// Tunables for DebugPanel (see debug-panel.js)
+export const HEAT_SLIDER_DEBUG_SCHEMA = Object.freeze([
+  {
+    key: 'animationMs',
+    label: 'Animation speed',
+    type: 'range',
+    min: 0,
+    max: 200,
+    step: 10,
+    format: (value) => `${value}ms`
+  },
+  {
+    key: 'coolColor',
+    label: 'Cool side color',
+    type: 'color'
+  },
+  {
+    key: 'intensity',
+    label: 'Heat intensity',
+    type: 'select',
+    options: [
+      { value: 0.85, label: 'High (85%)' },
+      { value: 0.7, label: 'Medium (70%)' },
+      { value: 0.5, label: 'Low (50%)' }
+    ]
+  },
+  {
+    key: 'stepMode',
+    label: 'Step mode',
+    type: 'select',
+    options: [
+      { value: '1', label: '1% increments' },
+      { value: '5', label: '5% increments' },
+      { value: '20', label: '20% increments' },
+      { value: 'preset', label: 'Preset positions' }
+    ]
+  },
+  {
+    key: 'showTitle',
+    label: 'Heat distribution title',
+    type: 'boolean',
+    options: [
+      { value: true, label: 'Show' },
+      { value: false, label: 'Hide' }
+    ]
+  }
+]);
+
 const clampPercent = (value) => {
   const n = Number(value);
   if (Number.isNaN(n)) return 0;
@@ -111,6 +170,8 @@ export class HeatSlider {
       animationMs: options.animationMs,
       onChange: options.onChange,
       onToggle: options.onToggle,
+      dialInput: options.dialInput || null,
+      feedback: options.feedback || null,
       showTitle: options.showTitle ?? false,
       titleText: options.titleText ?? 'Heat Distribution'
     };
@@ -243,7 +304,9 @@ export class HeatSlider {
 
     this.heatbar.addEventListener('keydown', this._onBarKeyDown);
 
-    if (this.options.enableShortcuts) {
+    if (this.options.dialInput) {
+      this.bindDialInput(this.options.dialInput);
+    } else if (this.options.enableShortcuts) {
       this._onShortcutKeyDown = (event) => {
         const key = event.key.toLowerCase();
         if (key === this.options.keyboardKeys.toggle) {
@@ -267,6 +330,32 @@ export class HeatSlider {
     }
   }
 
+  bindDialInput(dialInput) {
+    this.unbindDialInput();
+    if (!dialInput || typeof dialInput.push !== 'function') return;
+    this._dialInput = dialInput;
+    this._dialInputHandle = dialInput.push({
+      press: () => this.toggle(),
+      'rotate-cw': () => {
+        if (this._isOn) this._nudge(1);
+      },
+      'rotate-ccw': () => {
+        if (this._isOn) this._nudge(-1);
+      },
+      reset: () => {
+        if (this._isOn) this.setPosition(50);
+      }
+    }, { name: 'heat-slider' });
+  }
+
+  unbindDialInput() {
+    if (this._dialInput && this._dialInputHandle) {
+      this._dialInput.release(this._dialInputHandle);
+    }
+    this._dialInput = null;
+    this._dialInputHandle = null;
+  }
+
   _updateFromPointer(event) {
     const rect = this.heatbar.getBoundingClientRect();
     const ratio = (event.clientX - rect.left) / rect.width;
@@ -274,8 +363,15 @@ export class HeatSlider {
     this.setPosition(clampPercent(clamped * 100));
   }
 
+  // Steps one detent; a DialFeedback passed as `feedback` clicks on each
+  // step and bumps when there is nowhere left to go
   _nudge(direction) {
     const current = this.getPosition();
+    this._stepPosition(direction, current);
+    this._cueFeedback(this.getPosition() !== current ? FEEDBACK_CUES.DETENT : FEEDBACK_CUES.BOUNDARY);
+  }
+
+  _stepPosition(direction, current) {
     if (this.options.stepMode === 'preset') {
       const idx = PRESET_STEPS.findIndex((value) => Math.abs(value - current) <= 2);
       if (idx === -1) {
@@ -346,6 +442,7 @@ export class HeatSlider {
     if (shouldBeOn === this._isOn) return this._isOn;
     this._isOn = shouldBeOn;
     this.root.classList.toggle('heat-slider--off', !this._isOn);
+    this._cueFeedback(FEEDBACK_CUES.MODE_CHANGE);
     if (typeof this.options.onToggle === 'function') {
       this.options.onToggle({ isOn: this._isOn, position: this._currentTop });
     }
@@ -356,6 +453,15 @@ export class HeatSlider {
     return this._isOn;
   }
 
+  setFeedback(feedback) {
+    this.options.feedback = feedback || null;
+  }
+
+  _cueFeedback(cue) {
+    if (!this.options.feedback) return;
+    this.options.feedback.cue(cue, { source: 'heat-slider', position: this._currentTop, isOn: this._isOn });
+  }
+
   setStepMode(mode) {
     this.options.stepMode = mode || 'preset';
   }
@@ -392,11 +498,13 @@ export class HeatSlider {
 
   setIntensity(intensity) {
     const clamped = clampRange(intensity, 0, 1);
+    this.options.intensity = clamped;
     this.root.style.setProperty('--heat-slider-intensity', String(clamped));
   }
 
   setAnimationDuration(ms) {
     const duration = clampRange(ms, 0, 10000);
+    this.options.animationMs = duration;
     this.root.style.setProperty('--heat-slider-anim-ms', `${duration}ms`);
   }
 
@@ -410,6 +518,7 @@ export class HeatSlider {
       }
     }
     if (theme.coolColor) {
+      this.options.coolColor = theme.coolColor;
       this.root.style.setProperty('--heat-slider-cool', theme.coolColor);
     }
     if (typeof theme.intensity === 'number') {
@@ -420,6 +529,30 @@ export class HeatSlider {
     }
   }
 
+  getDebugSettings() {
+    return {
+      animationMs: this.options.animationMs ?? DEFAULT_HEAT_SLIDER_DEBUG_SETTINGS.animationMs,
+      coolColor: this.options.coolColor || DEFAULT_HEAT_SLIDER_DEBUG_SETTINGS.coolColor,
+      intensity: this.options.intensity ?? DEFAULT_HEAT_SLIDER_DEBUG_SETTINGS.intensity,
+      stepMode: String(this.options.stepMode),
+      showTitle: this.options.showTitle
+    };
+  }
+
+  getDefaultDebugSettings() {
+    return { ...DEFAULT_HEAT_SLIDER_DEBUG_SETTINGS };
+  }
+
+  // Partial settings only change the keys they name
+  applyDebugSettings(settings = {}) {
+    if (settings.animationMs !== undefined) this.setAnimationDuration(settings.animationMs);
+    if (settings.coolColor !== undefined) this.setTheme({ coolColor: settings.coolColor });
+    if (settings.intensity !== undefined) this.setIntensity(settings.intensity);
+    if (settings.stepMode !== undefined) this.setStepMode(String(settings.stepMode));
+    if (settings.showTitle !== undefined) this.showTitle(settings.showTitle);
+    return this.getDebugSettings();
+  }
+
   destroy() {
     if (this.options.enablePointer) {
       this.heatbar.removeEventListener('pointerdown', this._onPointerDown);
@@ -428,9 +561,10 @@ export class HeatSlider {
       window.removeEventListener('pointercancel', this._onPointerUp);
     }
     this.heatbar.removeEventListener('keydown', this._onBarKeyDown);
-    if (this.options.enableShortcuts) {
+    if (this._onShortcutKeyDown) {
       document.removeEventListener('keydown', this._onShortcutKeyDown);
     }
+    this.unbindDialInput();
     HeatSlider.instances.delete(this);
   }
 
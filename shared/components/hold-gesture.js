@@ -0,0 +1,173 @@
+/**
+ * HoldGesture
+ * Press-and-hold recognizer shared by every dial flow. Tune the thresholds
+ * here so all prototypes get identical timing.
+ */
+
+export const DEFAULT_HOLD_THRESHOLDS = Object.freeze({
+  startMs: 300, // press indicator appears
+  revealMs: 1000, // host starts revealing its target (e.g. the bottom sheet)
+  commitMs: 1500 // releasing after this keeps the target open
+});
+
+const PROGRESS_TICK_MS = 16;
+const INDICATOR_FADE_MS = 300;
+const DEFAULT_PROGRESS_CIRCUMFERENCE = 75.36; // 12px radius circle
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Drives the shared #pressIndicator / #pressProgress markup.
+ */
+export class PressIndicator {
+  constructor(target, options = {}) {
+    const root = typeof target === 'string' ? document.querySelector(target) : target;
+    this.root = root || null;
+    this.circle = this.root ? this.root.querySelector(options.progressSelector || '.progress-circle') : null;
+    this.circumference = options.circumference ?? DEFAULT_PROGRESS_CIRCUMFERENCE;
+    this._fadeTimer = null;
+  }
+
+  show() {
+    if (!this.root) return;
+    clearTimeout(this._fadeTimer);
+    this.root.classList.remove('fade-out');
+    this.root.classList.add('visible');
+    this.setProgress(0);
+  }
+
+  setProgress(progress) {
+    if (!this.circle) return;
+    const dash = clamp01(progress) * this.circumference;
+    this.circle.style.strokeDasharray = `${dash} ${this.circumference}`;
+  }
+
+  hide() {
+    if (!this.root) return;
+    this.root.classList.add('fade-out');
+    this.root.classList.remove('visible');
+    clearTimeout(this._fadeTimer);
+    this._fadeTimer = setTimeout(() => {
+      this.root.classList.remove('fade-out');
+    }, INDICATOR_FADE_MS);
+  }
+}
+
+/**
+ * Call down() when the dial is pressed and up() when it is released.
+ * Emits onPress (released before startMs), onHoldStart, onHoldProgress (0..1
+ * between startMs and commitMs), onHoldReveal, onHoldCommit, and onHoldCancel
+ * (released after startMs but before commitMs, or cancel()led then;
+ * `{ revealed, cancelled }` tells the host whether to take back a reveal).
+ */
+export class HoldGesture {
+  constructor(options = {}) {
+    this.thresholds = {
+      ...DEFAULT_HOLD_THRESHOLDS,
+      ...(options.thresholds || {})
+    };
+    this.indicator = options.indicator || null;
+    this.onPress = options.onPress;
+    this.onHoldStart = options.onHoldStart;
+    this.onHoldProgress = options.onHoldProgress;
+    this.onHoldReveal = options.onHoldReveal;
+    this.onHoldCommit = options.onHoldCommit;
+    this.onHoldCancel = options.onHoldCancel;
+
+    this._startTime = null;
+    this._timer = null;
+    this._state = null;
+  }
+
+  isHolding() {
+    return this._startTime !== null;
+  }
+
+  down() {
+    if (this.isHolding()) return;
+    this._startTime = Date.now();
+    this._state = { started: false, revealed: false, committed: false };
+    this._timer = setInterval(() => this._tick(), PROGRESS_TICK_MS);
+  }
+
+  up() {
+    if (!this.isHolding()) return;
+    this._tick();
+    const state = this._state;
+    this._stop();
+
+    if (state.committed) {
+      return;
+    }
+
+    if (state.started) {
+      if (this.indicator) this.indicator.hide();
+      this._call(this.onHoldCancel, { revealed: state.revealed, cancelled: false });
+      return;
+    }
+
+    this._call(this.onPress, {});
+  }
+
+  // Abandons the press (focus lost, device gone). A hold that had started
+  // still gets onHoldCancel so a half-revealed target can close.
+  cancel() {
+    if (!this.isHolding()) return;
+    const { started, revealed, committed } = this._state;
+    this._stop();
+    if (!started || committed) return;
+
+    if (this.indicator) this.indicator.hide();
+    this._call(this.onHoldCancel, { revealed, cancelled: true });
+  }
+
+  _tick() {
+    const state = this._state;
+    if (!state || state.committed) return;
+
+    const { startMs, revealMs, commitMs } = this.thresholds;
+    const elapsed = Date.now() - this._startTime;
+
+    if (!state.started && elapsed >= startMs) {
+      state.started = true;
+      if (this.indicator) this.indicator.show();
+      this._call(this.onHoldStart, {});
+    }
+
+    if (!state.started) return;
+
+    const progress = clamp01((elapsed - startMs) / Math.max(1, commitMs - startMs));
+    if (this.indicator) this.indicator.setProgress(progress);
+    this._call(this.onHoldProgress, { progress });
+
+    if (!state.revealed && elapsed >= revealMs) {
+      state.revealed = true;
+      this._call(this.onHoldReveal, {});
+    }
+
+    if (elapsed >= commitMs) {
+      state.committed = true;
+      clearInterval(this._timer);
+      this._timer = null;
+      if (this.indicator) this.indicator.hide();
+      this._call(this.onHoldCommit, {});
+    }
+  }
+
+  _stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+    }
+    this._timer = null;
+    this._startTime = null;
+    this._state = null;
+  }
+
+  _call(callback, detail) {
+    if (typeof callback === 'function') {
+      callback(detail);
+    }
+  }
+}
+
+export default HoldGesture;
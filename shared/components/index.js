@@ -1,5 +1,20 @@
-export { HeatSlider } from './heat-slider.js';
-export { CircularTimeDial, DEFAULT_DEBUG_SETTINGS as CIRCULAR_TIME_DIAL_DEFAULT_DEBUG_SETTINGS, BASE_GRAY, createCircularTimeDialDebugSettings } from './circular-time-dial.js';
-export { SegmentRange } from './segment-range.js';
+export { HeatSlider, HEAT_SLIDER_DEBUG_SCHEMA, DEFAULT_HEAT_SLIDER_DEBUG_SETTINGS } from './heat-slider.js';
+export { CircularTimeDial, DEFAULT_DEBUG_SETTINGS as CIRCULAR_TIME_DIAL_DEFAULT_DEBUG_SETTINGS, BASE_GRAY, createCircularTimeDialDebugSettings, CIRCULAR_TIME_DIAL_EVENTS, CIRCULAR_TIME_DIAL_DEBUG_SCHEMA, DEFAULT_COMPLETION_ACTIONS, DEFAULT_TEMPERATURE_RANGE, DEFAULT_TIME_SCHEDULE, RING_VIEW_SIZE, TEMPERATURE_UNITS, convertTemperature } from './circular-time-dial.js';
+export { SegmentRange, SEGMENT_RANGE_DEBUG_SCHEMA } from './segment-range.js';
 export { ToggleSwitch } from './toggle-switch.js';
+export { DialInput, DIAL_EVENTS, getSharedDialInput } from './dial-input.js';
+export { HoldGesture, PressIndicator, DEFAULT_HOLD_THRESHOLDS } from './hold-gesture.js';
+export { SystemClock, ManualClock, createClock, CLOCK_RATES } from './dial-clock.js';
+export { SvgRingContext, SvgGradient } from './svg-ring-context.js';
+export { DebugPresetStore, sanitizeSettings, diffSettings, encodeSettingsHash, decodeSettingsHash } from './debug-presets.js';
+export { DebugPanel, DEBUG_FIELD_TYPES, DEBUG_SETTINGS_CHANGE_EVENT, validateDebugSchema } from './debug-panel.js';
+export { registerDialPalette, unregisterDialPalette, getDialPalette, listDialPalettes, resolveDialPalette, resolveDialColor, DEFAULT_DIAL_COLORS, DIAL_PALETTE_KEYS, DIAL_TEMPERATURE_STYLES } from './dial-palettes.js';
+export { EASINGS, cubicBezier, parseCubicBezier, formatCubicBezier, resolveEasing } from './easing.js';
+export { CurveEditor } from './curve-editor.js';
+export { DialFeedback, WebAudioFeedback, VibrationFeedback, FEEDBACK_CUES, HAPTIC_MODES, getSharedDialFeedback } from './dial-feedback.js';
+export { VelocityAcceleration, AccelerationTrace, ACCELERATION_MODELS, DEFAULT_VELOCITY_OPTIONS, plotAccelerationTrace } from './dial-acceleration.js';
+export { OvenThermalModel, THERMAL_MODES, DEFAULT_THERMAL_OPTIONS } from './oven-thermal.js';
+export { ApplianceSimulator, ApplianceClient, LocalApplianceTransport, WebSocketApplianceTransport, APPLIANCE_COMMANDS, APPLIANCE_PHASES, APPLIANCE_LIMITS, DEFAULT_APPLIANCE_SETTINGS, DEFAULT_APPLIANCE_URL, handleApplianceMessage, getSharedApplianceSimulator } from './appliance-simulator.js';
+export { ApplianceDialBinding, ApplianceThermalMirror, bindDialToAppliance } from './appliance-binding.js';
+export { RotaryEncoder, LoopbackEncoder, SerialEncoderTransport, HidEncoderTransport, ENCODER_COMMANDS, parseEncoderLine, parseHidReport } from './rotary-encoder.js';
 export { default } from './heat-slider.js';
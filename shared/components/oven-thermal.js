@@ -0,0 +1,173 @@
+/**
+ * OvenThermal
+ * A lumped thermal model of the oven cavity, so preheat takes as long as it
+ * would on the appliance instead of a fixed 10 seconds. The cavity gains
+ * heat from the elements (faster with the fan, slower when the heat is
+ * pushed to one element) and loses it to the room in proportion to the
+ * temperature difference, much faster with the door open.
+ *
+ * Temperatures are in °F and times in model seconds; CircularTimeDial
+ * converts from its unit and scales the model clock so demos stay short.
+ */
+
+export const THERMAL_MODES = Object.freeze({
+  // Rise per minute at full power from room temperature, and how much the
+  // element split matters (broil only uses the top element, so none)
+  bake: Object.freeze({ label: 'Bake', heatingRate: 50, distributionLoss: 0.3 }),
+  convection: Object.freeze({ label: 'Convection', heatingRate: 62, distributionLoss: 0.15 }),
+  'air-fry': Object.freeze({ label: 'Air Fry', heatingRate: 70, distributionLoss: 0.15 }),
+  roast: Object.freeze({ label: 'Roast', heatingRate: 55, distributionLoss: 0.25 }),
+  broil: Object.freeze({ label: 'Broil', heatingRate: 80, distributionLoss: 0 }),
+  proof: Object.freeze({ label: 'Proof', heatingRate: 30, distributionLoss: 0.3 })
+});
+
+export const DEFAULT_THERMAL_OPTIONS = Object.freeze({
+  ambient: 72,
+  mode: 'bake',
+  heatDistribution: 50, // Share of the heat from the top element (0-100)
+  lossRate: 0.06, // Fraction of the gap to ambient lost per minute, door closed
+  doorLossRate: 0.35, // ... and with the door open
+  controlBand: 15, // °F below target where the thermostat starts easing off
+  tolerance: 5 // °F below target that counts as preheated
+});
+
+// Longest step integrated in one go; the thermostat is re-evaluated between steps
+const MAX_STEP_SECONDS = 1;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export class OvenThermalModel {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_THERMAL_OPTIONS };
+    this.configure(options);
+    this.temperature = this.options.ambient;
+    this.target = null;
+    this.doorOpen = false;
+    this.power = 0;
+  }
+
+  // Invalid options throw and leave the current ones in place
+  configure(options = {}) {
+    const next = { ...this.options };
+    Object.keys(options).forEach((key) => {
+      if (options[key] !== undefined && Object.prototype.hasOwnProperty.call(DEFAULT_THERMAL_OPTIONS, key)) {
+        next[key] = options[key];
+      }
+    });
+
+    if (!THERMAL_MODES[next.mode]) {
+      throw new Error(`OvenThermalModel: unknown mode "${next.mode}"`);
+    }
+    if (!Number.isFinite(next.ambient)) {
+      throw new Error('OvenThermalModel: ambient must be a number');
+    }
+    if (!(next.lossRate > 0) || !(next.doorLossRate >= next.lossRate)) {
+      throw new Error('OvenThermalModel: lossRate must be positive and no more than doorLossRate');
+    }
+    next.heatDistribution = clamp(Number(next.heatDistribution) || 0, 0, 100);
+    this.options = next;
+    return this;
+  }
+
+  // °F per minute the elements add at full power
+  getHeatingRate() {
+    const { heatingRate, distributionLoss } = THERMAL_MODES[this.options.mode];
+    // An even split heats the cavity fastest; all top or all bottom loses distributionLoss
+    const skew = Math.abs(this.options.heatDistribution - 50) / 50;
+    return heatingRate * (1 - distributionLoss * skew);
+  }
+
+  getLossRate() {
+    return this.doorOpen ? this.options.doorLossRate : this.options.lossRate;
+  }
+
+  // The hottest the cavity can get with the elements flat out
+  getMaxTemperature() {
+    return this.options.ambient + this.getHeatingRate() / this.getLossRate();
+  }
+
+  // null turns the elements off
+  setTarget(target) {
+    this.target = target === null || target === undefined ? null : Number(target);
+  }
+
+  setDoorOpen(open) {
+    this.doorOpen = Boolean(open);
+  }
+
+  // Back to room temperature, elements off
+  reset() {
+    this.temperature = this.options.ambient;
+    this.target = null;
+    this.doorOpen = false;
+    this.power = 0;
+  }
+
+  isAtTarget() {
+    return this.target !== null && this.temperature >= this.target - this.options.tolerance;
+  }
+
+  // Thermostat: full power well below the target, then just enough to hold
+  // it, so the cavity settles on the target without overshooting
+  getPower() {
+    if (this.target === null || this.temperature >= this.target) return 0;
+    const holding = (this.getLossRate() * (this.target - this.options.ambient)) / this.getHeatingRate();
+    return clamp(holding + (this.target - this.temperature) / this.options.controlBand, 0, 1);
+  }
+
+  /**
+   * Advances the model by `seconds`. Returns the seconds into the step at
+   * which the cavity first came within tolerance of the target, or null.
+   */
+  step(seconds) {
+    let elapsed = 0;
+    let reachedAt = null;
+    let wasAtTarget = this.isAtTarget();
+
+    while (elapsed < seconds) {
+      const dt = Math.min(MAX_STEP_SECONDS, seconds - elapsed);
+      const minutes = dt / 60;
+      const loss = this.getLossRate();
+      this.power = this.getPower();
+
+      // Exact solution for constant power over the step, stable for any dt
+      const settle = this.options.ambient + (this.power * this.getHeatingRate()) / loss;
+      this.temperature = settle + (this.temperature - settle) * Math.exp(-loss * minutes);
+      elapsed += dt;
+
+      const atTarget = this.isAtTarget();
+      if (atTarget && !wasAtTarget && reachedAt === null) {
+        reachedAt = elapsed;
+      }
+      wasAtTarget = atTarget;
+    }
+    return reachedAt;
+  }
+
+  /**
+   * Seconds to heat from `from` to within tolerance of `target` at full
+   * power; Infinity when the oven cannot get there.
+   */
+  estimateSecondsToTarget(target = this.target, from = this.temperature) {
+    if (target === null) return 0;
+    const goal = target - this.options.tolerance;
+    if (from >= goal) return 0;
+    const loss = this.getLossRate();
+    const max = this.getMaxTemperature();
+    if (goal >= max) return Infinity;
+    return (-Math.log((max - goal) / (max - from)) / loss) * 60;
+  }
+
+  getState() {
+    return {
+      temperature: this.temperature,
+      target: this.target,
+      power: this.power,
+      doorOpen: this.doorOpen,
+      mode: this.options.mode,
+      heatDistribution: this.options.heatDistribution
+    };
+  }
+}
+
+export default OvenThermalModel;
@@ -0,0 +1,427 @@
+import { DIAL_EVENTS, getSharedDialInput } from './dial-input.js';
+
+/**
+ * RotaryEncoder
+ * Feeds a physical rotary encoder into DialInput so the prototypes can be
+ * usability-tested on a real knob. Devices connect over Web Serial (line
+ * protocol below), Web HID (input reports), or a loopback device for testing
+ * without hardware.
+ *
+ * Serial lines hold one or more whitespace-separated tokens:
+ *   +1 / -1   rotate clockwise / counter-clockwise (+3 = three steps)
+ *   P         press and release
+ *   PD / PU   press down / release, so holds reach the hold gesture
+ *   A         aux button
+ *   B         back button
+ */
+
+export const ENCODER_COMMANDS = Object.freeze({
+  ROTATE: 'rotate',
+  PRESS: 'press',
+  PRESS_DOWN: 'press-down',
+  PRESS_UP: 'press-up',
+  AUX: 'aux',
+  BACK: 'back'
+});
+
+const TOKEN_COMMANDS = Object.freeze({
+  P: ENCODER_COMMANDS.PRESS,
+  PD: ENCODER_COMMANDS.PRESS_DOWN,
+  PU: ENCODER_COMMANDS.PRESS_UP,
+  A: ENCODER_COMMANDS.AUX,
+  B: ENCODER_COMMANDS.BACK
+});
+
+// Default HID layout: byte 0 is a signed rotation delta, byte 1 a button
+// bitmask (bit 0 press, bit 1 aux, bit 2 back).
+const HID_BUTTON_BITS = Object.freeze({
+  press: 0x01,
+  aux: 0x02,
+  back: 0x04
+});
+
+const DEFAULT_BAUD_RATE = 115200;
+
+export const parseEncoderLine = (line) => {
+  if (typeof line !== 'string') return [];
+
+  return line.trim().split(/[\s,]+/).reduce((commands, rawToken) => {
+    const token = rawToken.toUpperCase();
+    if (!token) return commands;
+
+    if (/^[+-]\d+$/.test(token)) {
+      const steps = parseInt(token, 10);
+      if (steps !== 0) {
+        commands.push({ type: ENCODER_COMMANDS.ROTATE, steps });
+      }
+      return commands;
+    }
+
+    if (TOKEN_COMMANDS[token]) {
+      commands.push({ type: TOKEN_COMMANDS[token] });
+    }
+    return commands;
+  }, []);
+};
+
+/**
+ * Turns a HID input report into encoder commands. `previousButtons` is the
+ * bitmask from the last report so button edges can be detected.
+ */
+export const parseHidReport = (data, previousButtons = 0) => {
+  const commands = [];
+  if (!data || data.byteLength < 1) {
+    return { commands, buttons: previousButtons };
+  }
+
+  const delta = data.getInt8(0);
+  const buttons = data.byteLength > 1 ? data.getUint8(1) : 0;
+
+  if (delta !== 0) {
+    commands.push({ type: ENCODER_COMMANDS.ROTATE, steps: delta });
+  }
+
+  const pressed = (mask) => (buttons & mask) !== 0 && (previousButtons & mask) === 0;
+  const released = (mask) => (buttons & mask) === 0 && (previousButtons & mask) !== 0;
+
+  if (pressed(HID_BUTTON_BITS.press)) commands.push({ type: ENCODER_COMMANDS.PRESS_DOWN });
+  if (released(HID_BUTTON_BITS.press)) commands.push({ type: ENCODER_COMMANDS.PRESS_UP });
+  if (pressed(HID_BUTTON_BITS.aux)) commands.push({ type: ENCODER_COMMANDS.AUX });
+  if (pressed(HID_BUTTON_BITS.back)) commands.push({ type: ENCODER_COMMANDS.BACK });
+
+  return { commands, buttons };
+};
+
+export class SerialEncoderTransport {
+  constructor(options = {}) {
+    this.baudRate = options.baudRate || DEFAULT_BAUD_RATE;
+    this.filters = options.filters || [];
+    this.port = options.port || null;
+    this.label = 'serial';
+
+    this._reader = null;
+    this._pipeDone = null;
+    this._onDisconnect = null;
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && Boolean(navigator.serial);
+  }
+
+  async open({ onCommand, onClose }) {
+    if (!SerialEncoderTransport.isSupported()) {
+      throw new Error('RotaryEncoder: Web Serial is not available in this browser');
+    }
+
+    if (!this.port) {
+      this.port = await navigator.serial.requestPort({ filters: this.filters });
+    }
+    await this.port.open({ baudRate: this.baudRate });
+
+    this._onDisconnect = () => onClose();
+    this.port.addEventListener('disconnect', this._onDisconnect);
+
+    this._readLines(onCommand).then(onClose, onClose);
+  }
+
+  async _readLines(onCommand) {
+    const decoder = new TextDecoderStream();
+    this._pipeDone = this.port.readable.pipeTo(decoder.writable).catch(() => {});
+    this._reader = decoder.readable.getReader();
+
+    let buffer = '';
+    try {
+      while (true) {
+        const { value, done } = await this._reader.read();
+        if (done) break;
+
+        buffer += value;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach((line) => parseEncoderLine(line).forEach(onCommand));
+      }
+    } finally {
+      this._reader.releaseLock();
+      this._reader = null;
+    }
+  }
+
+  async close() {
+    if (!this.port) return;
+
+    if (this._onDisconnect) {
+      this.port.removeEventListener('disconnect', this._onDisconnect);
+      this._onDisconnect = null;
+    }
+    if (this._reader) {
+      await this._reader.cancel().catch(() => {});
+    }
+    if (this._pipeDone) {
+      await this._pipeDone;
+      this._pipeDone = null;
+    }
+    await this.port.close().catch(() => {});
+  }
+}
+
+export class HidEncoderTransport {
+  constructor(options = {}) {
+    this.filters = options.filters || [];
+    this.reportId = options.reportId ?? null;
+    this.parseReport = options.parseReport || parseHidReport;
+    this.device = options.device || null;
+    this.label = 'hid';
+
+    this._buttons = 0;
+    this._onInputReport = null;
+    this._onDisconnect = null;
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && Boolean(navigator.hid);
+  }
+
+  async open({ onCommand, onClose }) {
+    if (!HidEncoderTransport.isSupported()) {
+      throw new Error('RotaryEncoder: Web HID is not available in this browser');
+    }
+
+    if (!this.device) {
+      const [device] = await navigator.hid.requestDevice({ filters: this.filters });
+      if (!device) {
+        throw new Error('RotaryEncoder: no HID device selected');
+      }
+      this.device = device;
+    }
+    if (!this.device.opened) {
+      await this.device.open();
+    }
+
+    this._buttons = 0;
+    this._onInputReport = (event) => {
+      if (this.reportId !== null && event.reportId !== this.reportId) return;
+      const { commands, buttons } = this.parseReport(event.data, this._buttons);
+      this._buttons = buttons;
+      commands.forEach(onCommand);
+    };
+    this.device.addEventListener('inputreport', this._onInputReport);
+
+    this._onDisconnect = (event) => {
+      if (event.device === this.device) onClose();
+    };
+    navigator.hid.addEventListener('disconnect', this._onDisconnect);
+  }
+
+  async close() {
+    if (!this.device) return;
+
+    if (this._onInputReport) {
+      this.device.removeEventListener('inputreport', this._onInputReport);
+      this._onInputReport = null;
+    }
+    if (this._onDisconnect) {
+      navigator.hid.removeEventListener('disconnect', this._onDisconnect);
+      this._onDisconnect = null;
+    }
+    if (this.device.opened) {
+      await this.device.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Mock device that speaks the serial protocol in-page. Drive it from the
+ * console (`encoder.transport.send('+3')`) or from scripted tests.
+ */
+export class LoopbackEncoder {
+  constructor() {
+    this.label = 'loopback';
+    this._onCommand = null;
+  }
+
+  static isSupported() {
+    return true;
+  }
+
+  async open({ onCommand }) {
+    this._onCommand = onCommand;
+  }
+
+  async close() {
+    this._onCommand = null;
+  }
+
+  send(line) {
+    if (!this._onCommand) return false;
+    const commands = parseEncoderLine(line);
+    commands.forEach(this._onCommand);
+    return commands.length > 0;
+  }
+
+  rotate(steps = 1) {
+    return this.send(steps < 0 ? `${steps}` : `+${steps}`);
+  }
+
+  press() {
+    return this.send('P');
+  }
+
+  pressDown() {
+    return this.send('PD');
+  }
+
+  pressUp() {
+    return this.send('PU');
+  }
+
+  hold(durationMs) {
+    this.pressDown();
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        this.pressUp();
+        resolve();
+      }, durationMs);
+    });
+  }
+
+  aux() {
+    return this.send('A');
+  }
+
+  back() {
+    return this.send('B');
+  }
+}
+
+const TRANSPORTS = {
+  serial: SerialEncoderTransport,
+  hid: HidEncoderTransport,
+  loopback: LoopbackEncoder
+};
+
+export class RotaryEncoder {
+  constructor(options = {}) {
+    this.dialInput = options.dialInput || getSharedDialInput();
+    this.stepsPerDetent = Math.max(1, options.stepsPerDetent || 1);
+    this.invert = Boolean(options.invert);
+    this.onStatusChange = options.onStatusChange;
+
+    this.transport = null;
+    this.status = 'disconnected';
+    this._pendingSteps = 0;
+    this._pressing = false;
+  }
+
+  static isSupported(kind) {
+    const Transport = TRANSPORTS[kind];
+    return Boolean(Transport && Transport.isSupported());
+  }
+
+  isConnected() {
+    return this.status === 'connected';
+  }
+
+  /**
+   * Connects a transport. `kind` is 'serial', 'hid', 'loopback', or a
+   * transport instance; Serial and HID must be called from a user gesture
+   * because the browser shows a device picker.
+   */
+  async connect(kind = 'serial', options = {}) {
+    await this.disconnect();
+
+    let transport = kind;
+    if (typeof kind === 'string') {
+      const Transport = TRANSPORTS[kind];
+      if (!Transport) {
+        throw new Error(`RotaryEncoder: unknown transport "${kind}"`);
+      }
+      transport = new Transport(options);
+    }
+
+    this.transport = transport;
+    this._setStatus('connecting');
+    try {
+      await transport.open({
+        onCommand: (command) => this.handleCommand(command),
+        onClose: () => {
+          if (this.transport === transport) {
+            this.disconnect();
+          }
+        }
+      });
+    } catch (error) {
+      this.transport = null;
+      this._setStatus('disconnected', error);
+      throw error;
+    }
+
+    this._setStatus('connected');
+    return transport;
+  }
+
+  async disconnect() {
+    const transport = this.transport;
+    if (!transport) return;
+
+    this.transport = null;
+    this._pendingSteps = 0;
+    if (this._pressing) {
+      this._pressing = false;
+      this.dialInput.cancelPress();
+    }
+
+    await transport.close();
+    this._setStatus('disconnected');
+  }
+
+  handleCommand(command) {
+    if (!command) return;
+    const detail = { source: 'encoder' };
+
+    switch (command.type) {
+      case ENCODER_COMMANDS.ROTATE:
+        this._rotate(command.steps, detail);
+        break;
+      case ENCODER_COMMANDS.PRESS:
+        this.dialInput.pressStart(detail);
+        this.dialInput.pressEnd();
+        break;
+      case ENCODER_COMMANDS.PRESS_DOWN:
+        this._pressing = true;
+        this.dialInput.pressStart(detail);
+        break;
+      case ENCODER_COMMANDS.PRESS_UP:
+        this._pressing = false;
+        this.dialInput.pressEnd();
+        break;
+      case ENCODER_COMMANDS.AUX:
+        this.dialInput.emit(DIAL_EVENTS.AUX, detail);
+        break;
+      case ENCODER_COMMANDS.BACK:
+        this.dialInput.emit(DIAL_EVENTS.BACK, detail);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Encoders often report several quadrature counts per detent; only whole
+  // detents become dial steps.
+  _rotate(steps, detail) {
+    this._pendingSteps += this.invert ? -steps : steps;
+    while (Math.abs(this._pendingSteps) >= this.stepsPerDetent) {
+      const direction = Math.sign(this._pendingSteps);
+      this._pendingSteps -= direction * this.stepsPerDetent;
+      this.dialInput.rotate(direction, detail);
+    }
+  }
+
+  _setStatus(status, error = null) {
+    this.status = status;
+    if (typeof this.onStatusChange === 'function') {
+      this.onStatusChange({ status, error, transport: this.transport ? this.transport.label : null });
+    }
+  }
+}
+
+export default RotaryEncoder;
@@ -1,3 +1,5 @@
+import { FEEDBACK_CUES } from './dial-feedback.js';
+
 const DEFAULT_MIN_SEGMENTS = 2;
 const DEFAULT_MAX_SEGMENTS = 30;
 const DARKNESS_MAX_SEGMENTS = 10;
@@ -52,6 +54,30 @@ const STYLE_VARIABLES = {
   minimizedSelectedColor: '--segment-range-minimized-selected-bg'
 };
 
+const EASING_OPTIONS = [
+  { value: 'ease', label: 'Ease' },
+  { value: 'ease-in', label: 'Ease In' },
+  { value: 'ease-out', label: 'Ease Out' },
+  { value: 'ease-in-out', label: 'Ease In Out' },
+  { value: 'linear', label: 'Linear' }
+];
+
+// Animation tunables for DebugPanel (see debug-panel.js). Durations and
+// heights stay CSS strings; `unit` lets the panel edit them as numbers.
+export const SEGMENT_RANGE_DEBUG_SCHEMA = Object.freeze([
+  { key: 'transitionDuration', label: 'Box Transition Duration', type: 'range', min: 100, max: 1000, step: 50, unit: 'ms' },
+  { key: 'switchSpeed', label: 'Component Switch Speed', type: 'range', min: 100, max: 800, step: 50, unit: 'ms' },
+  { key: 'heightEasing', label: 'Box Height Animation', type: 'select', options: EASING_OPTIONS },
+  { key: 'colorEasing', label: 'Background Color Animation', type: 'select', options: EASING_OPTIONS },
+  { key: 'minimizedHeight', label: 'Minimized Box Height', type: 'range', min: 8, max: 20, step: 1, unit: 'px' },
+  { key: 'normalHeight', label: 'Normal Box Height', type: 'range', min: 40, max: 70, step: 1, unit: 'px' }
+]);
+
+const pickDebugSettings = (options) => SEGMENT_RANGE_DEBUG_SCHEMA.reduce((settings, { key }) => {
+  if (options[key] !== undefined) settings[key] = options[key];
+  return settings;
+}, {});
+
 const buildDarknessPalette = (count) => {
   const startIndex = DARKNESS_COLOR_STARTS[count] ?? Math.max(0, TOMATO_SCALE.length - count);
   const endIndex = clamp(startIndex + count, startIndex, TOMATO_SCALE.length);
@@ -98,6 +124,10 @@ export class SegmentRange {
     this.value = clamp(requestedValue, 1, this.segmentCount);
 
     this.onChange = typeof options.onChange === 'function' ? options.onChange : null;
+    this.onPress = typeof options.onPress === 'function' ? options.onPress : null;
+    this.dialInput = options.dialInput || null;
+    this.dialInputHandle = null;
+    this.feedback = options.feedback || null;
     this.isExpanded = options.expanded !== false;
     this.isActive = options.active !== false;
 
@@ -243,6 +273,19 @@ export class SegmentRange {
     return { ...this.styleOptions };
   }
 
+  getDebugSettings() {
+    return pickDebugSettings(this.styleOptions);
+  }
+
+  getDefaultDebugSettings() {
+    return pickDebugSettings(this.defaultStyleOptions);
+  }
+
+  applyDebugSettings(settings = {}) {
+    this.setStyleOptions(pickDebugSettings(settings || {}));
+    return this.getDebugSettings();
+  }
+
   setExpanded(isExpanded) {
     this.isExpanded = Boolean(isExpanded);
     this.root.classList.toggle('segment-range--minimized', !this.isExpanded);
@@ -253,16 +296,63 @@ export class SegmentRange {
     this.isActive = Boolean(isActive);
     this.root.classList.toggle('segment-range--inactive', !this.isActive);
     this.root.classList.toggle('segment-range--active', this.isActive);
+    this.syncDialInput();
+  }
+
+  setDialInput(dialInput) {
+    if (this.dialInput && this.dialInputHandle) {
+      this.dialInput.release(this.dialInputHandle);
+    }
+    this.dialInput = dialInput || null;
+    this.dialInputHandle = null;
+    this.syncDialInput();
+  }
+
+  // Only the active range owns the dial; inactive ranges release it.
+  syncDialInput() {
+    if (!this.dialInput || typeof this.dialInput.push !== 'function') return;
+
+    if (this.isActive && !this.dialInputHandle) {
+      const handlers = {
+        'rotate-cw': () => this.increment(),
+        'rotate-ccw': () => this.decrement()
+      };
+      if (this.onPress) {
+        handlers.press = () => this.onPress(this);
+      }
+      this.dialInputHandle = this.dialInput.push(handlers, { name: 'segment-range' });
+    } else if (!this.isActive && this.dialInputHandle) {
+      this.dialInput.release(this.dialInputHandle);
+      this.dialInputHandle = null;
+    }
   }
 
   increment() {
-    if (this.value >= this.segmentCount) return;
+    if (this.value >= this.segmentCount) {
+      this.cueFeedback(FEEDBACK_CUES.BOUNDARY);
+      return;
+    }
     this.setValue(this.value + 1);
+    this.cueFeedback(FEEDBACK_CUES.DETENT);
   }
 
   decrement() {
-    if (this.value <= 1) return;
+    if (this.value <= 1) {
+      this.cueFeedback(FEEDBACK_CUES.BOUNDARY);
+      return;
+    }
     this.setValue(this.value - 1);
+    this.cueFeedback(FEEDBACK_CUES.DETENT);
+  }
+
+  // `feedback` is a DialFeedback (dial-feedback.js); steps click, the ends bump
+  setFeedback(feedback) {
+    this.feedback = feedback || null;
+  }
+
+  cueFeedback(cue) {
+    if (!this.feedback) return;
+    this.feedback.cue(cue, { source: 'segment-range', value: this.value });
   }
 
   setValue(value, { suppressEvent = false, forceUpdate = false } = {}) {
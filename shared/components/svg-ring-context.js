@@ -0,0 +1,331 @@
+/**
+ * SvgRingContext
+ * Stand-in for a canvas 2D context that records what CircularTimeDial's ring
+ * renderer draws as SVG: arc and line paths, strokes, fillRect, linear and
+ * conic gradients, save/restore and setTransform. Passing one to
+ * `renderRing()` gives vector art with exactly the canvas geometry.
+ *
+ * SVG has no conic gradient, so conic-gradient strokes are split into short
+ * arc segments, each coloured from the gradient at its angle.
+ *
+ * `patchSVG()` puts a new frame into a live element in place: elements are
+ * matched by position and only changed attributes are written, so ticks and
+ * paths that stay on screen keep their identity (and any CSS animation or
+ * transition running on them) from frame to frame.
+ */
+
+const TAU = Math.PI * 2;
+const CONIC_SEGMENT_ANGLE = Math.PI / 90; // 2°
+const CONIC_SEGMENT_OVERLAP = 0.002; // Hides anti-aliasing seams between segments
+
+const formatNumber = (value) => String(Math.round(value * 1000) / 1000);
+
+const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+const parseColor = (color) => {
+  const value = String(color).trim();
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map((digit) => digit + digit).join('') : hex[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: 1
+    };
+  }
+
+  const rgb = value.match(/^rgba?\(([^)]+)\)$/i);
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if ([r, g, b, a].every(Number.isFinite)) {
+      return { r, g, b, a };
+    }
+  }
+  return null;
+};
+
+// SVG paint attributes; alpha goes in a separate opacity attribute, which
+// design tools read more reliably than rgba()
+const paintAttributes = (kind, color) => {
+  const parsed = parseColor(color);
+  if (!parsed || parsed.a >= 1) {
+    return `${kind}="${escapeAttribute(color)}"`;
+  }
+  return `${kind}="rgb(${parsed.r}, ${parsed.g}, ${parsed.b})" ${kind}-opacity="${formatNumber(parsed.a)}"`;
+};
+
+const mixColors = (from, to, ratio) => {
+  const start = parseColor(from);
+  const end = parseColor(to);
+  if (!start || !end) {
+    return ratio < 0.5 ? from : to;
+  }
+  const channel = (key) => start[key] + (end[key] - start[key]) * ratio;
+  return `rgba(${Math.round(channel('r'))}, ${Math.round(channel('g'))}, ${Math.round(channel('b'))}, ${formatNumber(channel('a'))})`;
+};
+
+export class SvgGradient {
+  constructor(type, geometry) {
+    this.type = type;
+    this.geometry = geometry;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+    this.stops.sort((a, b) => a.offset - b.offset);
+  }
+
+  // Colour at `offset` (0–1), as the canvas would interpolate it
+  colorAt(offset) {
+    if (!this.stops.length) return 'transparent';
+    if (offset <= this.stops[0].offset) return this.stops[0].color;
+
+    for (let index = 1; index < this.stops.length; index++) {
+      const previous = this.stops[index - 1];
+      const stop = this.stops[index];
+      if (offset <= stop.offset) {
+        const span = stop.offset - previous.offset;
+        return span > 0 ? mixColors(previous.color, stop.color, (offset - previous.offset) / span) : stop.color;
+      }
+    }
+    return this.stops[this.stops.length - 1].color;
+  }
+}
+
+export class SvgRingContext {
+  constructor({ width = 320, height = width } = {}) {
+    // renderRing() sizes its drawing from ctx.canvas
+    this.canvas = { width, height };
+
+    this.strokeStyle = '#000';
+    this.fillStyle = '#000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+
+    this._transform = [1, 0, 0, 1, 0, 0];
+    this._stack = [];
+    this._path = [];
+    this._elements = [];
+    this._defs = [];
+    this._nextId = 1;
+  }
+
+  // Drops everything drawn so far (a canvas would just be painted over)
+  clear() {
+    this._elements = [];
+    this._defs = [];
+    this._path = [];
+    this._nextId = 1;
+  }
+
+  save() {
+    this._stack.push({
+      strokeStyle: this.strokeStyle,
+      fillStyle: this.fillStyle,
+      lineWidth: this.lineWidth,
+      lineCap: this.lineCap,
+      transform: [...this._transform]
+    });
+  }
+
+  restore() {
+    const state = this._stack.pop();
+    if (!state) return;
+    this.strokeStyle = state.strokeStyle;
+    this.fillStyle = state.fillStyle;
+    this.lineWidth = state.lineWidth;
+    this.lineCap = state.lineCap;
+    this._transform = state.transform;
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this._transform = [a, b, c, d, e, f];
+  }
+
+  beginPath() {
+    this._path = [];
+  }
+
+  moveTo(x, y) {
+    this._path.push({ type: 'move', x, y });
+  }
+
+  lineTo(x, y) {
+    this._path.push({ type: 'line', x, y });
+  }
+
+  // Same sweep rules as CanvasRenderingContext2D.arc
+  arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+    let sweep = endAngle - startAngle;
+    if (!anticlockwise && sweep >= TAU) {
+      sweep = TAU;
+    } else if (anticlockwise && -sweep >= TAU) {
+      sweep = -TAU;
+    } else if (!anticlockwise) {
+      sweep = ((sweep % TAU) + TAU) % TAU;
+    } else {
+      sweep = -((((startAngle - endAngle) % TAU) + TAU) % TAU);
+    }
+    this._path.push({ type: 'arc', x, y, radius, startAngle, sweep });
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SvgGradient('linear', { x0, y0, x1, y1 });
+  }
+
+  createConicGradient(startAngle, x, y) {
+    return new SvgGradient('conic', { startAngle, x, y });
+  }
+
+  stroke() {
+    if (this.strokeStyle instanceof SvgGradient && this.strokeStyle.type === 'conic') {
+      this._strokeConic(this.strokeStyle);
+      return;
+    }
+
+    const d = this._pathData(this._path);
+    if (!d) return;
+    this._elements.push(`<path d="${d}" fill="none" ${this._paint('stroke', this.strokeStyle)} stroke-width="${formatNumber(this.lineWidth)}" stroke-linecap="${this.lineCap}"${this._transformAttribute()}/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    this._elements.push(`<rect x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" height="${formatNumber(height)}" ${this._paint('fill', this.fillStyle)}${this._transformAttribute()}/>`);
+  }
+
+  toSVG() {
+    const { width, height } = this.canvas;
+    const defs = this._defs.length ? `<defs>${this._defs.join('')}</defs>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${defs}${this._elements.join('')}</svg>`;
+  }
+
+  _paint(kind, style) {
+    if (!(style instanceof SvgGradient)) {
+      return paintAttributes(kind, style);
+    }
+
+    const id = `ring-gradient-${this._nextId++}`;
+    const { x0, y0, x1, y1 } = style.geometry;
+    const stops = style.stops.map(({ offset, color }) => {
+      const parsed = parseColor(color);
+      const opacity = parsed && parsed.a < 1 ? ` stop-opacity="${formatNumber(parsed.a)}"` : '';
+      const solid = parsed ? `rgb(${parsed.r}, ${parsed.g}, ${parsed.b})` : escapeAttribute(color);
+      return `<stop offset="${formatNumber(offset)}" stop-color="${solid}"${opacity}/>`;
+    }).join('');
+    this._defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${formatNumber(x0)}" y1="${formatNumber(y0)}" x2="${formatNumber(x1)}" y2="${formatNumber(y1)}">${stops}</linearGradient>`);
+    return `${kind}="url(#${id})"`;
+  }
+
+  _transformAttribute() {
+    const [a, b, c, d, e, f] = this._transform;
+    if (a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0) {
+      return '';
+    }
+    return ` transform="matrix(${[a, b, c, d, e, f].map(formatNumber).join(' ')})"`;
+  }
+
+  _pathData(path) {
+    const commands = [];
+    let current = null;
+
+    path.forEach((segment) => {
+      if (segment.type === 'move') {
+        commands.push(`M${formatNumber(segment.x)} ${formatNumber(segment.y)}`);
+        current = segment;
+      } else if (segment.type === 'line') {
+        commands.push(`${current ? 'L' : 'M'}${formatNumber(segment.x)} ${formatNumber(segment.y)}`);
+        current = segment;
+      } else {
+        const { x, y, radius, startAngle, sweep } = segment;
+        const start = { x: x + Math.cos(startAngle) * radius, y: y + Math.sin(startAngle) * radius };
+        // Like canvas, an arc joins the current point with a straight line
+        commands.push(`${current ? 'L' : 'M'}${formatNumber(start.x)} ${formatNumber(start.y)}`);
+        if (sweep === 0) {
+          current = start;
+          return;
+        }
+
+        // SVG cannot draw a full circle in one arc command
+        const pieces = Math.abs(sweep) > Math.PI ? 2 : 1;
+        const sweepFlag = sweep > 0 ? 1 : 0;
+        for (let piece = 1; piece <= pieces; piece++) {
+          const angle = startAngle + (sweep * piece) / pieces;
+          const point = { x: x + Math.cos(angle) * radius, y: y + Math.sin(angle) * radius };
+          commands.push(`A${formatNumber(radius)} ${formatNumber(radius)} 0 0 ${sweepFlag} ${formatNumber(point.x)} ${formatNumber(point.y)}`);
+          current = point;
+        }
+      }
+    });
+
+    return commands.join(' ');
+  }
+
+  _strokeConic(gradient) {
+    const { startAngle: gradientStart } = gradient.geometry;
+    const transform = this._transformAttribute();
+    const width = formatNumber(this.lineWidth);
+
+    this._path.filter((segment) => segment.type === 'arc' && segment.sweep !== 0).forEach((arc) => {
+      const count = Math.max(1, Math.ceil(Math.abs(arc.sweep) / CONIC_SEGMENT_ANGLE));
+      const step = arc.sweep / count;
+      const colorAt = (angle) => gradient.colorAt((((angle - gradientStart) % TAU) + TAU) % TAU / TAU);
+
+      for (let index = 0; index < count; index++) {
+        const from = arc.startAngle + step * index;
+        const to = from + step + (index < count - 1 ? Math.sign(step) * CONIC_SEGMENT_OVERLAP : 0);
+        const d = this._pathData([{ ...arc, startAngle: from, sweep: to - from }]);
+        this._elements.push(`<path d="${d}" fill="none" ${paintAttributes('stroke', colorAt(from + step / 2))} stroke-width="${width}" stroke-linecap="butt"${transform}/>`);
+      }
+
+      // Round caps take the colour at each end
+      if (this.lineCap === 'round') {
+        [arc.startAngle, arc.startAngle + arc.sweep].forEach((angle) => {
+          const cx = arc.x + Math.cos(angle) * arc.radius;
+          const cy = arc.y + Math.sin(angle) * arc.radius;
+          this._elements.push(`<circle cx="${formatNumber(cx)}" cy="${formatNumber(cy)}" r="${formatNumber(this.lineWidth / 2)}" ${paintAttributes('fill', colorAt(angle))}${transform}/>`);
+        });
+      }
+    });
+  }
+}
+
+// Brings `target` in line with `source`, reusing elements that match by position
+const patchElement = (target, source) => {
+  Array.from(target.attributes).forEach(({ name }) => {
+    if (!source.hasAttribute(name)) target.removeAttribute(name);
+  });
+  Array.from(source.attributes).forEach(({ name, value }) => {
+    if (target.getAttribute(name) !== value) target.setAttribute(name, value);
+  });
+
+  const children = Array.from(source.children);
+  children.forEach((child, index) => {
+    const existing = target.children[index];
+    if (!existing) {
+      target.appendChild(child);
+    } else if (existing.tagName === child.tagName) {
+      patchElement(existing, child);
+    } else {
+      existing.replaceWith(child);
+    }
+  });
+  while (target.children.length > children.length) {
+    target.lastElementChild.remove();
+  }
+};
+
+// Shows `markup` (from toSVG()) inside `host`, updating the SVG already there
+export const patchSVG = (host, markup) => {
+  const template = host.ownerDocument.createElement('template');
+  template.innerHTML = markup;
+  const next = template.content.firstElementChild;
+  const current = host.firstElementChild;
+  if (current && current.tagName === next.tagName) {
+    patchElement(current, next);
+  } else {
+    host.replaceChildren(next);
+  }
+};
+
+export default SvgRingContext;